@@ -0,0 +1,329 @@
+/**
+ * SpendSomeTime Analytics
+ * Aggregates challenge notes, the XP ledger and game history into dashboard
+ * series, and draws them as inline SVG (no chart libraries or services).
+ * All days are CalendarDay keys, so charts agree with streaks and quests.
+ *
+ * Load this with defer, after gamification.js.
+ */
+
+const Analytics = {
+  heatmapWeeks: 53,
+  heatmapLevels: 4,
+  movingAverageWindow: 5,
+
+  // Readable names for XP ledger sources (unknown sources show as-is)
+  sourceLabels: {
+    challengeProgress: 'Challenge practice',
+    logReflection: 'Reflections',
+    completeQuiz: 'Quizzes',
+    winGame: 'Games',
+    dailyQuest: 'Daily quests',
+    weeklyQuest: 'Weekly quests',
+    dailyBonus: 'Quest bonus',
+    dailyGoal: 'Daily goals',
+    weeklyGoal: 'Weekly goals'
+  },
+
+  // Game keys from games.html; lower-is-better games trend downward when improving
+  games: {
+    reaction: { label: 'Reaction Time', unit: 'ms', lowerIsBetter: true },
+    memory: { label: 'Memory Match', unit: 's', lowerIsBetter: true },
+    typing: { label: 'Typing Speed', unit: 'WPM' },
+    number: { label: 'Number Memory', unit: 'level' },
+    sequence: { label: 'Sequence Master', unit: 'level' },
+    math: { label: 'Mental Math', unit: 'points' },
+    stroop: { label: 'Stroop Sprint', unit: 'points' },
+    schulte: { label: 'Schulte Grid', unit: 's', lowerIsBetter: true },
+    odd: { label: 'Odd-One-Out Rush', unit: 'points' }
+  },
+
+  /**
+   * Minutes logged per day across all challenges
+   * @param {Array} challenges - Stored challenges
+   * @returns {Object} { 'YYYY-MM-DD': minutes }
+   */
+  dailyMinutes(challenges) {
+    const days = {};
+    (challenges || []).forEach(challenge => {
+      (challenge.notes || []).forEach(note => {
+        const day = CalendarDay.dayKey(note.date);
+        if (!day) return;
+        days[day] = (days[day] || 0) + Math.max(0, Number(note.time) || 0);
+      });
+    });
+    return days;
+  },
+
+  /**
+   * One entry per day in a range, zero-filled
+   * @param {Object} daily - From dailyMinutes
+   * @param {string} fromKey - First day
+   * @param {string} toKey - Last day (inclusive)
+   * @returns {Array} { day, minutes }
+   */
+  dailySeries(daily, fromKey, toKey) {
+    const series = [];
+    for (let day = fromKey; day <= toKey; day = CalendarDay.addDays(day, 1)) {
+      series.push({ day, minutes: daily[day] || 0 });
+    }
+    return series;
+  },
+
+  /**
+   * Minutes per week (weeks start per CalendarDay settings), zero-filled
+   * @param {Object} daily - From dailyMinutes
+   * @param {number} count - Number of weeks, ending with the week of endKey
+   * @param {string} endKey - Day in the last week (defaults to today)
+   * @returns {Array} { week (first day), minutes }
+   */
+  weeklySeries(daily, count, endKey = CalendarDay.today()) {
+    const lastWeek = CalendarDay.weekStart(endKey);
+    const series = [];
+    for (let i = count - 1; i >= 0; i--) {
+      const week = CalendarDay.addDays(lastWeek, -7 * i);
+      let minutes = 0;
+      for (let d = 0; d < 7; d++) minutes += daily[CalendarDay.addDays(week, d)] || 0;
+      series.push({ week, minutes });
+    }
+    return series;
+  },
+
+  /**
+   * Minutes per challenge, most practiced first
+   * @param {Array} challenges - Stored challenges
+   * @param {string} sinceKey - Only count notes from this day on (optional)
+   * @returns {Array} { id, name, minutes }
+   */
+  timeByChallenge(challenges, sinceKey = null) {
+    return (challenges || [])
+      .map(challenge => ({
+        id: challenge.id,
+        name: challenge.name,
+        minutes: (challenge.notes || []).reduce((sum, note) => {
+          const day = CalendarDay.dayKey(note.date);
+          if (!day || (sinceKey && day < sinceKey)) return sum;
+          return sum + Math.max(0, Number(note.time) || 0);
+        }, 0)
+      }))
+      .filter(item => item.minutes > 0)
+      .sort((a, b) => b.minutes - a.minutes);
+  },
+
+  /**
+   * XP earned per source, including history already folded into the checkpoint
+   * @param {Object} userData - GameSystem user data
+   * @returns {Array} { source, label, amount } largest first (spends excluded)
+   */
+  xpBySource(userData) {
+    const totals = {};
+    const add = (source, amount) => {
+      const key = String(source).split(':')[0];
+      totals[key] = (totals[key] || 0) + amount;
+    };
+    // Checkpoint totals are net per source; spend sources come out negative
+    Object.entries(userData?.ledgerCheckpoint?.bySource || {}).forEach(([source, amount]) => {
+      if (amount > 0) add(source, amount);
+    });
+    (userData?.xpHistory || []).forEach(entry => {
+      if (entry.amount > 0) add(entry.source, entry.amount);
+    });
+    return Object.entries(totals)
+      .map(([source, amount]) => ({ source, label: this.sourceLabels[source] || source, amount }))
+      .sort((a, b) => b.amount - a.amount);
+  },
+
+  /**
+   * Trailing moving average
+   * @param {Array<number>} values - Series
+   * @param {number} window - Points per average
+   * @returns {Array<number>} Same length; early points average what's available
+   */
+  movingAverage(values, window = this.movingAverageWindow) {
+    let sum = 0;
+    return values.map((value, i) => {
+      sum += value;
+      if (i >= window) sum -= values[i - window];
+      return Math.round((sum / Math.min(i + 1, window)) * 10) / 10;
+    });
+  },
+
+  /**
+   * Score history per game with a moving average
+   * gameHistory stores bare values in play order, so x is the play number.
+   * @param {Object} gameHistory - { gameKey: [values] }
+   * @returns {Array} { game, label, unit, lowerIsBetter, values, average, best, latest }
+   */
+  gameTrends(gameHistory) {
+    return Object.entries(gameHistory || {})
+      .map(([game, history]) => {
+        const values = (Array.isArray(history) ? history : []).map(Number).filter(Number.isFinite);
+        const info = this.games[game] || { label: game, unit: '' };
+        return {
+          game,
+          label: info.label,
+          unit: info.unit,
+          lowerIsBetter: !!info.lowerIsBetter,
+          values,
+          average: this.movingAverage(values),
+          best: values.length ? (info.lowerIsBetter ? Math.min(...values) : Math.max(...values)) : null,
+          latest: values.length ? values[values.length - 1] : null
+        };
+      })
+      .filter(trend => trend.values.length > 0);
+  },
+
+  /**
+   * Personal records from daily minutes
+   * @param {Object} daily - From dailyMinutes
+   * @returns {Object} { totalMinutes, activeDays, bestDay, bestWeek, longestRun }
+   *   bestDay { day, minutes } / bestWeek { week, minutes } are null with no data
+   */
+  records(daily) {
+    const days = Object.keys(daily).filter(day => daily[day] > 0).sort();
+    const weeks = {};
+    let bestDay = null;
+    let longestRun = 0;
+    let run = 0;
+
+    days.forEach((day, i) => {
+      const minutes = daily[day];
+      if (!bestDay || minutes > bestDay.minutes) bestDay = { day, minutes };
+      const week = CalendarDay.weekStart(day);
+      weeks[week] = (weeks[week] || 0) + minutes;
+      run = i > 0 && CalendarDay.diffDays(days[i - 1], day) === 1 ? run + 1 : 1;
+      longestRun = Math.max(longestRun, run);
+    });
+
+    const bestWeek = Object.entries(weeks)
+      .reduce((best, [week, minutes]) => (!best || minutes > best.minutes ? { week, minutes } : best), null);
+
+    return {
+      totalMinutes: days.reduce((sum, day) => sum + daily[day], 0),
+      activeDays: days.length,
+      bestDay,
+      bestWeek,
+      longestRun
+    };
+  },
+
+  /**
+   * @param {number} minutes - Minutes on a day
+   * @param {number} max - Busiest day in view
+   * @returns {number} Intensity 0 (none) to heatmapLevels
+   */
+  heatmapLevel(minutes, max) {
+    if (!minutes || !max) return 0;
+    return Math.max(1, Math.ceil((minutes / max) * this.heatmapLevels));
+  },
+
+  /**
+   * @param {string} text - Untrusted label
+   * @returns {string} Text safe inside SVG/HTML
+   */
+  escape(text) {
+    return String(text).replace(/[&<>"']/g, ch => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[ch]));
+  },
+
+  /**
+   * Contribution heatmap: one column per week, one row per weekday
+   * @param {Object} daily - From dailyMinutes
+   * @param {string} endKey - Last day shown
+   * @returns {string} SVG markup
+   */
+  heatmapSvg(daily, endKey) {
+    const cell = 11;
+    const gap = 3;
+    const top = 16;
+    const left = 28;
+    const lastWeek = CalendarDay.weekStart(endKey);
+    const firstWeek = CalendarDay.addDays(lastWeek, -7 * (this.heatmapWeeks - 1));
+    const max = Math.max(0, ...this.dailySeries(daily, firstWeek, endKey).map(d => d.minutes));
+    const monthNames = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+    const weekdays = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+    const weekStartDay = CalendarDay.getSettings().weekStartDay;
+    const width = left + this.heatmapWeeks * (cell + gap);
+    const height = top + 7 * (cell + gap);
+
+    let svg = `<svg class="analytics-svg" viewBox="0 0 ${width} ${height}" role="img" aria-label="Minutes practiced per day">`;
+    [1, 3, 5].forEach(row => {
+      svg += `<text x="0" y="${top + row * (cell + gap) + cell - 2}" class="analytics-axis">${weekdays[(row + weekStartDay) % 7]}</text>`;
+    });
+
+    let lastMonth = null;
+    for (let w = 0; w < this.heatmapWeeks; w++) {
+      const week = CalendarDay.addDays(firstWeek, 7 * w);
+      const x = left + w * (cell + gap);
+      const month = Number(week.split('-')[1]) - 1;
+      if (month !== lastMonth && w < this.heatmapWeeks - 2) {
+        svg += `<text x="${x}" y="10" class="analytics-axis">${monthNames[month]}</text>`;
+      }
+      lastMonth = month;
+
+      for (let d = 0; d < 7; d++) {
+        const day = CalendarDay.addDays(week, d);
+        if (day > endKey) break;
+        const minutes = daily[day] || 0;
+        const level = this.heatmapLevel(minutes, max);
+        svg += `<rect x="${x}" y="${top + d * (cell + gap)}" width="${cell}" height="${cell}" rx="2" class="heat-${level}"><title>${day}: ${minutes} min</title></rect>`;
+      }
+    }
+    return svg + '</svg>';
+  },
+
+  /**
+   * Vertical bar chart
+   * @param {Array} items - { label, value, title? }
+   * @param {Object} options - { height, valueLabel(value) }
+   * @returns {string} SVG markup
+   */
+  barChartSvg(items, options = {}) {
+    const height = options.height || 160;
+    const format = options.valueLabel || (v => String(v));
+    const barWidth = 18;
+    const gap = 6;
+    const bottom = 18;
+    const width = Math.max(1, items.length * (barWidth + gap));
+    const max = Math.max(1, ...items.map(item => item.value));
+    const labelEvery = Math.ceil(items.length / 8);
+
+    let svg = `<svg class="analytics-svg" viewBox="0 0 ${width} ${height}" role="img">`;
+    items.forEach((item, i) => {
+      const h = Math.round((item.value / max) * (height - bottom - 4));
+      const x = i * (barWidth + gap);
+      svg += `<rect x="${x}" y="${height - bottom - h}" width="${barWidth}" height="${h}" rx="3" class="analytics-bar"><title>${this.escape(item.title || item.label)}: ${this.escape(format(item.value))}</title></rect>`;
+      if (i % labelEvery === 0) {
+        svg += `<text x="${x}" y="${height - 4}" class="analytics-axis">${this.escape(item.label)}</text>`;
+      }
+    });
+    return svg + '</svg>';
+  },
+
+  /**
+   * Line chart of a series and its moving average
+   * @param {Array<number>} values - Raw points
+   * @param {Array<number>} average - Smoothed points (same length)
+   * @param {Object} options - { width, height, unit }
+   * @returns {string} SVG markup
+   */
+  lineChartSvg(values, average, options = {}) {
+    const width = options.width || 300;
+    const height = options.height || 90;
+    const pad = 4;
+    const min = Math.min(...values);
+    const max = Math.max(...values);
+    const span = max - min || 1;
+    const x = i => pad + (values.length > 1 ? (i / (values.length - 1)) * (width - 2 * pad) : (width - 2 * pad) / 2);
+    const y = v => height - pad - ((v - min) / span) * (height - 2 * pad);
+    const path = series => series.map((v, i) => `${i ? 'L' : 'M'}${x(i).toFixed(1)},${y(v).toFixed(1)}`).join(' ');
+    const unit = options.unit ? ` ${this.escape(options.unit)}` : '';
+
+    let svg = `<svg class="analytics-svg" viewBox="0 0 ${width} ${height}" role="img">`;
+    svg += `<path d="${path(values)}" class="analytics-line-raw"/>`;
+    svg += `<path d="${path(average)}" class="analytics-line-average"/>`;
+    values.forEach((v, i) => {
+      svg += `<circle cx="${x(i).toFixed(1)}" cy="${y(v).toFixed(1)}" r="2" class="analytics-point"><title>Play ${i + 1}: ${v}${unit} (avg ${average[i]}${unit})</title></circle>`;
+    });
+    return svg + '</svg>';
+  }
+};
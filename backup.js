@@ -0,0 +1,530 @@
+/**
+ * SpendSomeTime Backup & Restore
+ * Exports every stored key (XP, themes, achievements, streaks, challenges with
+ * notes, game scores/history, quiz history, bookmarks, quests) to a versioned
+ * file, and validates, previews and restores it with merge or replace.
+ * Backups cover the active profile only (profiles.js); restoring one into
+ * another profile is how progress moves between profiles.
+ *
+ * Load this with defer, after storage.js and gamification.js.
+ */
+
+const BackupManager = {
+  APP_ID: 'spendsometime',
+  BACKUP_VERSION: 1,
+
+  // Keys that describe this device/session rather than user progress: the
+  // storage layer's device settings plus an unfinished quiz or focus session
+  deviceOnlyKeys: [...StorageManager.deviceKeys, 'quizProgress', 'focusSession'],
+
+  // Built-in lower-is-better games (used when merging best scores); newer
+  // games are flagged in gameScores as `<game>LowerIsBetter` (game-registry.js)
+  lowerIsBetterGames: ['reaction', 'memory', 'schulte'],
+
+  /**
+   * Build a backup object from current storage
+   * @returns {Object} Backup file contents
+   */
+  createBackup() {
+    const data = {};
+    StorageManager.keys()
+      .filter(key => !this.deviceOnlyKeys.includes(key))
+      .forEach(key => {
+        data[key] = StorageManager.get(key);
+      });
+
+    return {
+      app: this.APP_ID,
+      backupVersion: this.BACKUP_VERSION,
+      schemaVersion: StorageManager.SCHEMA_VERSION,
+      exportDate: new Date().toISOString(),
+      summary: this.summarize(data),
+      data
+    };
+  },
+
+  /**
+   * Download a full backup as JSON
+   */
+  download() {
+    const json = JSON.stringify(this.createBackup(), null, 2);
+    const blob = new Blob([json], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `spendsometime-backup-${new Date().toISOString().split('T')[0]}.json`;
+    a.click();
+    URL.revokeObjectURL(url);
+  },
+
+  /**
+   * Parse and validate a backup file's text
+   * Older backups are migrated to the current schema before use.
+   * @param {string} text - File contents
+   * @returns {Object} { ok, errors, backup } (backup.data is migrated)
+   */
+  parse(text) {
+    const errors = [];
+    let backup;
+    try {
+      backup = JSON.parse(text);
+    } catch (err) {
+      return { ok: false, errors: ['File is not valid JSON.'], backup: null };
+    }
+
+    if (!backup || typeof backup !== 'object' || backup.app !== this.APP_ID) {
+      return { ok: false, errors: ['This is not a SpendSomeTime backup file.'], backup: null };
+    }
+    if (backup.backupVersion > this.BACKUP_VERSION) {
+      errors.push('This backup was made by a newer version of the site. Reload the page and try again.');
+    }
+    const schemaVersion = Number(backup.schemaVersion) || 0;
+    if (schemaVersion > StorageManager.SCHEMA_VERSION) {
+      errors.push(`Backup data format v${schemaVersion} is newer than this site (v${StorageManager.SCHEMA_VERSION}).`);
+    }
+    if (!backup.data || typeof backup.data !== 'object' || Array.isArray(backup.data)) {
+      errors.push('Backup contains no data.');
+    }
+    if (errors.length) return { ok: false, errors, backup: null };
+
+    // Drop undeclared keys and values of the wrong shape
+    const data = {};
+    Object.entries(backup.data).forEach(([key, value]) => {
+      const spec = StorageManager.getSpec(key);
+      if (!spec) {
+        errors.push(`Skipped unknown entry "${key}".`);
+      } else if (!StorageManager.isValid(value, spec)) {
+        errors.push(`Skipped "${key}" (expected ${spec.type}).`);
+      } else {
+        data[key] = value;
+      }
+    });
+
+    try {
+      backup.data = StorageManager.migrateSnapshot(data, schemaVersion);
+    } catch (err) {
+      console.error('Backup migration failed:', err);
+      return { ok: false, errors: ['Backup could not be upgraded to the current format.'], backup: null };
+    }
+
+    // Imported skills end up in page markup, so they get the same checks as an import
+    if (Array.isArray(backup.data.userSkills) && typeof SkillCatalog !== 'undefined') {
+      const cleaned = SkillCatalog.cleanStored(backup.data.userSkills);
+      const dropped = backup.data.userSkills.length - cleaned.length;
+      if (dropped) errors.push(`Skipped ${dropped} invalid imported skill${dropped === 1 ? '' : 's'}.`);
+      backup.data.userSkills = cleaned;
+    }
+    if (Array.isArray(backup.data.challenges)) {
+      const cleaned = this.cleanChallenges(backup.data.challenges);
+      const dropped = backup.data.challenges.length - cleaned.length;
+      if (dropped) errors.push(`Skipped ${dropped} invalid challenge${dropped === 1 ? '' : 's'}.`);
+      backup.data.challenges = cleaned;
+    }
+
+    // Skipped entries are warnings; the rest of the file is still usable
+    return { ok: true, errors, backup };
+  },
+
+  /**
+   * Read the current stored values as a snapshot
+   * @returns {Object} { key: value }
+   */
+  currentSnapshot() {
+    const data = {};
+    StorageManager.keys().forEach(key => {
+      data[key] = StorageManager.get(key);
+    });
+    return data;
+  },
+
+  /**
+   * Headline numbers for a snapshot (used for the preview table)
+   * @param {Object} data - Snapshot
+   * @returns {Object} Summary counts
+   */
+  summarize(data) {
+    const game = data.gamificationData || {};
+    const challenges = data.challenges || [];
+    const gameHistory = data.gameHistory || {};
+    return {
+      totalXPEarned: game.totalXPEarned || 0,
+      spendableXP: game.totalXP || 0,
+      themes: (game.unlockedThemes || []).length,
+      achievements: (game.unlockedAchievements || []).length,
+      longestStreak: game.longestStreak || 0,
+      challenges: challenges.length,
+      notes: challenges.reduce((sum, c) => sum + ((c.notes || []).length), 0),
+      minutesLogged: challenges.reduce((sum, c) => sum + (c.totalTime || 0), 0),
+      gamesPlayed: Object.values(gameHistory).reduce((sum, h) => sum + (Array.isArray(h) ? h.length : 0), 0),
+      quizzes: (data.quizHistory || []).length,
+      bookmarks: (data.bookmarkedSkills || []).length,
+      questDays: Object.keys(data).filter(k => k.startsWith('questProgress-')).length
+    };
+  },
+
+  /**
+   * Compute the result of restoring without writing anything
+   * @param {Object} backup - Parsed backup
+   * @returns {Object} { current, merge, replace } summaries, plus `warnings` about the merge
+   */
+  preview(backup) {
+    const current = this.currentSnapshot();
+    const warnings = [];
+    const mine = current.gamificationData?.ledgerCheckpoint || null;
+    const theirs = backup.data.gamificationData?.ledgerCheckpoint || null;
+    const { exact, lost } = this.mergeCheckpoints(mine, theirs);
+    if (!exact && lost) {
+      warnings.push(`Both sides have compacted XP history that can't be combined exactly. Merging keeps the larger summary; up to ${lost} XP from the other side may not be counted.`);
+    }
+    return {
+      current: this.summarize(current),
+      merge: this.summarize(this.mergeSnapshots(current, backup.data)),
+      replace: this.summarize(this.replaceSnapshot(current, backup.data)),
+      warnings
+    };
+  },
+
+  /**
+   * Replace progress with the backup, keeping device-only settings
+   * @param {Object} current - Current snapshot
+   * @param {Object} incoming - Backup snapshot
+   * @returns {Object} Resulting snapshot
+   */
+  replaceSnapshot(current, incoming) {
+    const result = { ...incoming };
+    this.deviceOnlyKeys.forEach(key => {
+      if (key in current) result[key] = current[key];
+    });
+    return result;
+  },
+
+  /**
+   * Merge a backup into current data, never discarding progress on either side
+   * @param {Object} current - Current snapshot
+   * @param {Object} incoming - Backup snapshot
+   * @returns {Object} Resulting snapshot
+   */
+  mergeSnapshots(current, incoming) {
+    const result = { ...current };
+    Object.entries(incoming).forEach(([key, value]) => {
+      if (!(key in current) || current[key] === null) {
+        result[key] = value;
+        return;
+      }
+      result[key] = this.mergeValue(key, current[key], value);
+    });
+    return result;
+  },
+
+  /**
+   * Merge one stored value
+   * @param {string} key - Storage key
+   * @param {*} mine - Current value
+   * @param {*} theirs - Backup value
+   * @returns {*} Merged value
+   */
+  mergeValue(key, mine, theirs) {
+    if (key === 'gamificationData') return this.mergeGamification(mine, theirs);
+    if (key === 'challenges') return this.mergeChallenges(mine, theirs);
+    if (key === 'gameScores') return this.mergeGameScores(mine, theirs);
+    if (key === 'gameHistory') {
+      // Entries have no timestamps, so keep the longer log per game
+      const merged = { ...mine };
+      Object.entries(theirs).forEach(([game, values]) => {
+        if (!Array.isArray(merged[game]) || values.length > merged[game].length) merged[game] = values;
+      });
+      return merged;
+    }
+    if (key === 'quizHistory') {
+      const seen = new Set(mine.map(h => h.date));
+      return [...mine, ...theirs.filter(h => !seen.has(h.date))]
+        .sort((a, b) => new Date(b.date) - new Date(a.date))
+        .slice(0, QuizHistory.getLimit());
+    }
+    if (key === 'bookmarkedSkills' || key === 'dismissedSkills' || key.startsWith('questsCompleted-') || key.startsWith('weeklyQuestsCompleted-')) {
+      return [...new Set([...mine, ...theirs])];
+    }
+    if (key === 'bookmarkMeta') return { ...theirs, ...mine }; // Notes and collections per bookmark
+    if (key === 'gameDifficulty') return { ...theirs, ...mine }; // Adaptive level per game
+    if (key === 'userSkills' || key === 'customThemes') {
+      // Imported skills and built themes: union by id, this device's copy wins
+      const ids = new Set(mine.map(s => s.id));
+      return [...mine, ...theirs.filter(s => !ids.has(s.id))];
+    }
+    if (key.startsWith('questProgress-') || key.startsWith('weeklyProgress-')) {
+      // Counters take the larger side, lists are unioned, flags stick once set
+      const merged = { ...theirs, ...mine };
+      Object.keys(theirs).forEach(field => {
+        const value = theirs[field];
+        if (typeof value === 'number') merged[field] = Math.max(Number(mine[field]) || 0, value);
+        else if (Array.isArray(value)) merged[field] = [...new Set([...(mine[field] || []), ...value])];
+        else if (value === true) merged[field] = true;
+      });
+      return merged;
+    }
+    if (key.startsWith('dailyBonus-') || key.startsWith('goalMet-') || key.startsWith('weeklyGoalMet-')) return mine || theirs;
+
+    // Settings and today's quest picks: this device wins
+    return mine;
+  },
+
+  /**
+   * Merge gamification data (ledgers unioned, totals recomputed from the ledger)
+   */
+  mergeGamification(mine, theirs) {
+    const { checkpoint: ledgerCheckpoint } = this.mergeCheckpoints(mine.ledgerCheckpoint || null, theirs.ledgerCheckpoint || null);
+
+    // Same event on both devices shares an idempotency key; same entry shares an id.
+    // Entries the kept checkpoint already counts (e.g. from an older backup) are dropped.
+    const seen = new Set();
+    (mine.xpHistory || []).forEach(e => { seen.add(e.id); seen.add(e.key); });
+    const xpHistory = [...(mine.xpHistory || []), ...(theirs.xpHistory || []).filter(e => !seen.has(e.id) && !seen.has(e.key))]
+      .filter(e => !GameSystem.checkpointCovers(ledgerCheckpoint, e))
+      .map(e => ({ ...e }))
+      .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+
+    const unlockTimes = { ...(theirs.achievementUnlockTimes || {}) };
+    Object.entries(mine.achievementUnlockTimes || {}).forEach(([id, time]) => {
+      // Keep the earliest unlock
+      if (!unlockTimes[id] || new Date(time) < new Date(unlockTimes[id])) unlockTimes[id] = time;
+    });
+
+    const mineLatest = mine.lastActivityDate ? new Date(mine.lastActivityDate) : new Date(0);
+    const theirsLatest = theirs.lastActivityDate ? new Date(theirs.lastActivityDate) : new Date(0);
+    const latest = theirsLatest > mineLatest ? theirs : mine;
+
+    const merged = {
+      ...theirs,
+      ...mine,
+      unlockedThemes: [...new Set([...(mine.unlockedThemes || []), ...(theirs.unlockedThemes || [])])],
+      xpHistory,
+      ledgerCheckpoint,
+      currentStreak: latest.currentStreak || 0,
+      lastActivityDate: latest.lastActivityDate || null,
+      longestStreak: Math.max(mine.longestStreak || 0, theirs.longestStreak || 0),
+      unlockedAchievements: [...new Set([...(mine.unlockedAchievements || []), ...(theirs.unlockedAchievements || [])])],
+      achievementUnlockTimes: unlockTimes,
+      passedMilestones: [...new Set([...(mine.passedMilestones || []), ...(theirs.passedMilestones || [])])],
+      freezeHistory: this.mergeFreezeHistory(mine.freezeHistory || [], theirs.freezeHistory || []),
+      counters: this.mergeCounters(mine.counters || {}, theirs.counters || {})
+    };
+
+    // Entries from both devices are interleaved, so the hash chain is rebuilt
+    GameSystem.sealLedger(merged, true);
+    GameSystem.recomputeBalance(merged);
+    return merged;
+  },
+
+  /**
+   * Combine two ledger checkpoints (compacted XP history)
+   * Key digests tell whether the folded entries overlap: disjoint checkpoints
+   * are added up and one that contains the other is kept. Partly overlapping
+   * or pre-digest checkpoints can't be combined exactly, so the one covering
+   * more entries is kept and `lost` is the earned XP the other may take with it.
+   * @param {Object|null} mine - Current checkpoint
+   * @param {Object|null} theirs - Backup checkpoint
+   * @returns {Object} { checkpoint, exact, lost }
+   */
+  mergeCheckpoints(mine, theirs) {
+    if (!mine || !theirs) return { checkpoint: mine || theirs || null, exact: true, lost: 0 };
+
+    const keyed = checkpoint => Array.isArray(checkpoint.keys) && !checkpoint.legacyThrough;
+    if (keyed(mine) && keyed(theirs)) {
+      const theirKeys = new Set(theirs.keys);
+      const shared = mine.keys.filter(key => theirKeys.has(key)).length;
+      if (shared === mine.keys.length) return { checkpoint: theirs, exact: true, lost: 0 };
+      if (shared === theirs.keys.length) return { checkpoint: mine, exact: true, lost: 0 };
+      if (shared === 0) {
+        const later = Date.parse(theirs.through) > Date.parse(mine.through) ? theirs : mine;
+        const bySource = { ...mine.bySource };
+        Object.entries(theirs.bySource || {}).forEach(([source, amount]) => {
+          bySource[source] = (bySource[source] || 0) + amount;
+        });
+        return {
+          checkpoint: {
+            earned: (mine.earned || 0) + (theirs.earned || 0),
+            spent: (mine.spent || 0) + (theirs.spent || 0),
+            count: (mine.count || 0) + (theirs.count || 0),
+            bySource,
+            keys: [...mine.keys, ...theirs.keys],
+            through: later.through,
+            hash: later.hash
+          },
+          exact: true,
+          lost: 0
+        };
+      }
+    }
+
+    const [kept, dropped] = (theirs.count || 0) > (mine.count || 0) ? [theirs, mine] : [mine, theirs];
+    return { checkpoint: kept, exact: false, lost: dropped.earned || 0 };
+  },
+
+  /**
+   * Event counters: the larger count per source (devices can't be told apart)
+   */
+  mergeCounters(mine, theirs) {
+    const merged = { ...theirs };
+    Object.entries(mine).forEach(([source, count]) => {
+      merged[source] = Math.max(count, merged[source] || 0);
+    });
+    return merged;
+  },
+
+  /**
+   * Union streak freeze/repair uses (one per type, scope and day)
+   */
+  mergeFreezeHistory(mine, theirs) {
+    const useKey = use => `${use.type}|${use.scope}|${use.day}`;
+    const seen = new Set(mine.map(useKey));
+    return [...mine, ...theirs.filter(use => !seen.has(useKey(use)))]
+      .sort((a, b) => new Date(a.at) - new Date(b.at));
+  },
+
+  /**
+   * Text from a backup file with markup removed (challenges.html renders it)
+   * @param {*} value - Candidate text
+   * @returns {string} Plain text ('' if not a string)
+   */
+  plainText(value) {
+    return typeof value === 'string' ? value.replace(/<[^>]*>/g, '').replace(/[<>]/g, '') : '';
+  },
+
+  /**
+   * @param {*} id - Challenge or milestone id from a backup file
+   * @returns {number|string|null} A finite number or a plain token, else null
+   */
+  cleanId(id) {
+    if (typeof id === 'number') return Number.isFinite(id) ? id : null;
+    return typeof id === 'string' && /^[\w.-]{1,64}$/.test(id) ? id : null;
+  },
+
+  /**
+   * Restored challenges go into page markup and inline handlers: ids must be
+   * numbers or plain tokens, text loses its markup and counters are numbers
+   * @param {Array} list - Challenges from a backup
+   * @returns {Array} Cleaned challenges (entries without a usable id are dropped)
+   */
+  cleanChallenges(list) {
+    const number = value => (Number.isFinite(Number(value)) ? Number(value) : 0);
+    const statuses = ['active', 'paused', 'completed'];
+    return list
+      .filter(challenge => challenge && typeof challenge === 'object' && this.cleanId(challenge.id) !== null)
+      .map(challenge => ({
+        ...challenge,
+        id: this.cleanId(challenge.id),
+        name: this.plainText(challenge.name),
+        description: this.plainText(challenge.description),
+        status: statuses.includes(challenge.status) ? challenge.status : 'active',
+        progress: number(challenge.progress),
+        totalTime: number(challenge.totalTime),
+        streak: number(challenge.streak),
+        brokenStreak: challenge.brokenStreak && typeof challenge.brokenStreak === 'object'
+          ? { ...challenge.brokenStreak, length: number(challenge.brokenStreak.length), missed: number(challenge.brokenStreak.missed) }
+          : null,
+        category: challenge.category ? this.plainText(challenge.category) || null : null,
+        tags: Array.isArray(challenge.tags) ? challenge.tags.map(tag => this.plainText(tag)).filter(Boolean) : [],
+        notes: Array.isArray(challenge.notes)
+          ? challenge.notes.filter(note => note && typeof note === 'object').map(note => ({ ...note, note: this.plainText(note.note) }))
+          : [],
+        milestones: Array.isArray(challenge.milestones)
+          ? challenge.milestones.filter(m => m && this.cleanId(m.id) !== null).map(m => ({ ...m, title: this.plainText(m.title) }))
+          : [],
+        resources: Array.isArray(challenge.resources)
+          ? challenge.resources.filter(r => r && typeof r === 'object').map(r => ({ ...r, title: this.plainText(r.title) }))
+          : []
+      }));
+  },
+
+  /**
+   * Merge challenge lists by id; notes are unioned (the later journal edit of
+   * the same note wins), milestones done on either side stay done, newest
+   * edit wins otherwise
+   */
+  mergeChallenges(mine, theirs) {
+    const byId = new Map(mine.map(c => [String(c.id), c]));
+    theirs.forEach(incoming => {
+      const existing = byId.get(String(incoming.id));
+      if (!existing) {
+        byId.set(String(incoming.id), incoming);
+        return;
+      }
+      const newer = new Date(incoming.lastUpdate) > new Date(existing.lastUpdate) ? incoming : existing;
+      const noteKey = n => `${n.date}|${n.time}`;
+      const edited = n => new Date(n.editedAt || 0).getTime();
+      const incomingNotes = new Map((incoming.notes || []).map(n => [noteKey(n), n]));
+      const seen = new Set((existing.notes || []).map(noteKey));
+      const notes = [
+        ...(existing.notes || []).map(n => {
+          const other = incomingNotes.get(noteKey(n));
+          return other && edited(other) > edited(n) ? other : n;
+        }),
+        ...(incoming.notes || []).filter(n => !seen.has(noteKey(n)))
+      ].sort((a, b) => new Date(a.date) - new Date(b.date));
+
+      const older = newer === incoming ? existing : incoming;
+      const doneAt = new Map((older.milestones || []).filter(m => m.doneAt).map(m => [m.id, m.doneAt]));
+      const milestones = (newer.milestones || []).map(m => (m.doneAt || !doneAt.has(m.id) ? m : { ...m, doneAt: doneAt.get(m.id) }));
+
+      byId.set(String(incoming.id), {
+        ...newer,
+        notes,
+        milestones,
+        progress: Math.max(existing.progress || 0, incoming.progress || 0),
+        totalTime: notes.reduce((sum, n) => sum + (n.time || 0), 0) || Math.max(existing.totalTime || 0, incoming.totalTime || 0)
+      });
+    });
+    return [...byId.values()];
+  },
+
+  /**
+   * Merge best scores, respecting each game's direction
+   */
+  mergeGameScores(mine, theirs) {
+    const merged = { ...theirs, ...mine };
+    Object.keys(theirs).forEach(key => {
+      const a = Number(mine[key]);
+      const b = Number(theirs[key]);
+      if (!Number.isFinite(b)) return;
+      if (!Number.isFinite(a)) {
+        merged[key] = theirs[key];
+      } else if (key.endsWith('BestPercentile')) {
+        merged[key] = Math.max(a, b);
+      } else if (key.endsWith('Best')) {
+        const game = key.slice(0, -'Best'.length);
+        const lowerIsBetter = this.lowerIsBetterGames.includes(game) || Boolean(mine[`${game}LowerIsBetter`] || theirs[`${game}LowerIsBetter`]);
+        const theirsBetter = lowerIsBetter ? b < a : b > a;
+        if (theirsBetter) merged[key] = theirs[key];
+      }
+    });
+    return merged;
+  },
+
+  /**
+   * Write a restored snapshot to storage
+   * @param {Object} backup - Parsed backup (from parse())
+   * @param {string} mode - 'merge' or 'replace'
+   * @returns {boolean} True on success
+   */
+  restore(backup, mode = 'merge') {
+    const current = this.currentSnapshot();
+    const next = mode === 'replace'
+      ? this.replaceSnapshot(current, backup.data)
+      : this.mergeSnapshots(current, backup.data);
+
+    // Replace drops keys the backup doesn't have (e.g. other days' quests)
+    if (mode === 'replace') {
+      Object.keys(current).forEach(key => {
+        if (!(key in next)) StorageManager.remove(key);
+      });
+    }
+
+    let ok = true;
+    Object.entries(next).forEach(([key, value]) => {
+      if (!StorageManager.set(key, value)) ok = false;
+    });
+
+    window.dispatchEvent(new CustomEvent('backupRestored', { detail: { mode, ok } }));
+    return ok;
+  }
+};
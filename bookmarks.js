@@ -0,0 +1,179 @@
+/**
+ * SpendSomeTime Bookmarks
+ * Bookmarked quiz skills from skills.json / weird.json, stored by their
+ * stable `id` (bookmarkedSkills) with an optional note and collection per
+ * bookmark (bookmarkMeta). Shared by both quizzes, the skill browser in
+ * diagram.html and the bookmarks manager in challenges.html.
+ * Every change fires a window `bookmarksChanged` event.
+ *
+ * Load this WITHOUT defer, after storage.js.
+ */
+
+const BookmarkManager = {
+  STORAGE_KEY: 'bookmarkedSkills',
+  META_KEY: 'bookmarkMeta',
+
+  limits: { note: 280, collection: 40 },
+
+  /**
+   * Id for a name; dataset ids were generated this way (tools/datasets.js)
+   * Keep in step with storage.js migration v5.
+   * @param {string} name - Skill name
+   * @returns {string} e.g. 'learn-morse-code'
+   */
+  slug(name) {
+    return String(name).toLowerCase()
+      .normalize('NFKD').replace(/[\u0300-\u036f]/g, '')
+      .replace(/&/g, ' and ')
+      .replace(/[^a-z0-9]+/g, '-')
+      .replace(/^-+|-+$/g, '');
+  },
+
+  /**
+   * @param {Object} skill - Dataset entry
+   * @returns {string} Its id (entries without one, like built-in examples, use their name)
+   */
+  skillId(skill) {
+    return skill.id || this.slug(skill.name);
+  },
+
+  /**
+   * Every skill that can be bookmarked (catalog.js)
+   * @returns {Promise<Array>} Entries with `_source` 'skills', 'weird' or 'user'
+   */
+  loadCatalog() {
+    return SkillCatalog.load();
+  },
+
+  /**
+   * @returns {Array} Bookmarked ids, oldest first
+   */
+  getIds() {
+    return StorageManager.get(this.STORAGE_KEY);
+  },
+
+  /**
+   * @param {string} id - Skill id
+   * @returns {boolean} True if bookmarked
+   */
+  has(id) {
+    return this.getIds().includes(id);
+  },
+
+  /**
+   * @param {string} id - Skill id
+   */
+  add(id) {
+    const ids = this.getIds();
+    if (ids.includes(id)) return;
+    StorageManager.set(this.STORAGE_KEY, [...ids, id]);
+    this.setMeta(id, { addedAt: new Date().toISOString() });
+  },
+
+  /**
+   * Remove bookmarks along with their notes and collections
+   * @param {Array|string} ids - Skill id(s)
+   */
+  remove(ids) {
+    const drop = new Set([].concat(ids));
+    StorageManager.set(this.STORAGE_KEY, this.getIds().filter(id => !drop.has(id)));
+    const meta = StorageManager.get(this.META_KEY);
+    drop.forEach(id => delete meta[id]);
+    StorageManager.set(this.META_KEY, meta);
+    this.changed();
+  },
+
+  /**
+   * @param {string} id - Skill id
+   * @returns {boolean} True if the skill is now bookmarked
+   */
+  toggle(id) {
+    if (this.has(id)) {
+      this.remove(id);
+      return false;
+    }
+    this.add(id);
+    return true;
+  },
+
+  /**
+   * @param {string} id - Skill id
+   * @returns {Object} { note, collection, addedAt }
+   */
+  getMeta(id) {
+    return { note: '', collection: '', addedAt: null, ...(StorageManager.get(this.META_KEY)[id] || {}) };
+  },
+
+  /**
+   * @param {string} id - Skill id
+   * @param {Object} fields - Subset of { note, collection, addedAt }
+   */
+  setMeta(id, fields) {
+    const meta = StorageManager.get(this.META_KEY);
+    meta[id] = { ...this.getMeta(id), ...fields };
+    StorageManager.set(this.META_KEY, meta);
+    this.changed();
+  },
+
+  /**
+   * @param {string} id - Skill id
+   * @param {string} note - Free text (trimmed, capped)
+   */
+  setNote(id, note) {
+    this.setMeta(id, { note: String(note || '').trim().slice(0, this.limits.note) });
+  },
+
+  /**
+   * Move bookmarks into a collection ('' for none)
+   * @param {Array|string} ids - Skill id(s)
+   * @param {string} collection - Collection name
+   */
+  setCollection(ids, collection) {
+    const name = String(collection || '').trim().replace(/\s+/g, ' ').slice(0, this.limits.collection);
+    [].concat(ids).forEach(id => this.setMeta(id, { collection: name }));
+  },
+
+  /**
+   * @returns {Array} Collection names in use, alphabetical
+   */
+  getCollections() {
+    const meta = StorageManager.get(this.META_KEY);
+    const names = new Set(this.getIds().map(id => (meta[id] || {}).collection).filter(Boolean));
+    return [...names].sort((a, b) => a.localeCompare(b));
+  },
+
+  /**
+   * Bookmarks joined with their dataset entries
+   * Ids missing from the catalog (skill removed from the datasets) are kept
+   * with `skill: null` so they can still be removed.
+   * @param {Array} catalog - From loadCatalog()
+   * @returns {Array} { id, skill, note, collection, addedAt }
+   */
+  list(catalog) {
+    const byId = new Map(catalog.map(skill => [this.skillId(skill), skill]));
+    return this.getIds().map(id => ({ id, skill: byId.get(id) || null, ...this.getMeta(id) }));
+  },
+
+  /**
+   * A challenge already following this skill (archived ones don't count)
+   * @param {Object} skill - Dataset entry
+   * @param {Array} challenges - Stored challenges
+   * @returns {Object|undefined} The challenge
+   */
+  existingChallengeFor(skill, challenges) {
+    const id = this.skillId(skill);
+    const name = skill.name.trim().toLowerCase();
+    return challenges.find(c => !c.archivedAt && (
+      c.skillId === id ||
+      (c.path && c.path.skill === skill.name) ||
+      String(c.name || '').trim().toLowerCase() === name
+    ));
+  },
+
+  /**
+   * Tell open views (quiz results, browser, manager) to redraw
+   */
+  changed() {
+    window.dispatchEvent(new CustomEvent('bookmarksChanged', { detail: { ids: this.getIds() } }));
+  }
+};
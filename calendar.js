@@ -0,0 +1,253 @@
+/**
+ * SpendSomeTime Calendar Days
+ * One definition of "what day is it" for streaks, quests, daily progress and
+ * calendars: a 'YYYY-MM-DD' key in the user's timezone, where the day starts
+ * at a configurable hour (night owls can keep 1am logs on the previous day).
+ *
+ * Load this WITHOUT defer, after storage.js.
+ */
+
+const CalendarDay = {
+  SETTINGS_KEY: 'calendarSettings',
+  MS_PER_DAY: 86400000,
+
+  // Intl formatters are expensive to build; one per timezone
+  _formatters: {},
+
+  /**
+   * Get the user's day settings
+   * @returns {Object} { timeZone (null = device timezone), dayStartHour (0-23), weekStartDay (0 = Sunday, 1 = Monday) }
+   */
+  getSettings() {
+    const saved = StorageManager.get(this.SETTINGS_KEY) || {};
+    return {
+      timeZone: this.isValidTimeZone(saved.timeZone) ? saved.timeZone : null,
+      dayStartHour: this.clampHour(saved.dayStartHour),
+      weekStartDay: Number(saved.weekStartDay) === 1 ? 1 : 0
+    };
+  },
+
+  /**
+   * Save day settings (invalid values fall back to defaults)
+   * @param {Object} settings - { timeZone, dayStartHour, weekStartDay }
+   * @returns {Object} The settings that were saved
+   */
+  setSettings(settings) {
+    const next = {
+      timeZone: this.isValidTimeZone(settings.timeZone) ? settings.timeZone : null,
+      dayStartHour: this.clampHour(settings.dayStartHour),
+      weekStartDay: Number(settings.weekStartDay) === 1 ? 1 : 0
+    };
+    StorageManager.set(this.SETTINGS_KEY, next);
+    window.dispatchEvent(new CustomEvent('calendarSettingsChanged', { detail: next }));
+    return next;
+  },
+
+  /**
+   * @param {*} hour - Candidate hour
+   * @returns {number} Integer hour 0-23 (0 if invalid)
+   */
+  clampHour(hour) {
+    const n = Math.floor(Number(hour));
+    return Number.isFinite(n) && n >= 0 && n <= 23 ? n : 0;
+  },
+
+  /**
+   * @param {*} timeZone - Candidate IANA timezone name
+   * @returns {boolean} True if Intl accepts it
+   */
+  isValidTimeZone(timeZone) {
+    if (!timeZone || typeof timeZone !== 'string') return false;
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone });
+      return true;
+    } catch (err) {
+      return false;
+    }
+  },
+
+  /**
+   * @returns {string} The browser's IANA timezone (e.g. 'America/New_York')
+   */
+  deviceTimeZone() {
+    return Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+  },
+
+  /**
+   * List timezones for a settings picker
+   * @returns {Array} IANA timezone names
+   */
+  timeZones() {
+    if (typeof Intl.supportedValuesOf === 'function') return Intl.supportedValuesOf('timeZone');
+    return [this.deviceTimeZone(), 'UTC'];
+  },
+
+  /**
+   * Wall-clock date and time of an instant in a timezone
+   * @param {Date} date - Instant
+   * @param {string} timeZone - IANA timezone
+   * @returns {Object} { year, month (1-12), day, hour, minute }
+   */
+  wallClock(date, timeZone) {
+    if (!this._formatters[timeZone]) {
+      this._formatters[timeZone] = new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        year: 'numeric',
+        month: 'numeric',
+        day: 'numeric',
+        hour: 'numeric',
+        minute: 'numeric',
+        hourCycle: 'h23'
+      });
+    }
+    const parts = {};
+    this._formatters[timeZone].formatToParts(date).forEach(p => { parts[p.type] = p.value; });
+    return {
+      year: Number(parts.year),
+      month: Number(parts.month),
+      day: Number(parts.day),
+      hour: Number(parts.hour) % 24,
+      minute: Number(parts.minute)
+    };
+  },
+
+  /**
+   * Day key for an instant (SINGLE SOURCE OF TRUTH for day boundaries)
+   * Uses wall-clock hours, not elapsed ms, so DST days still start at the
+   * configured hour.
+   * @param {Date|string|number} date - Instant (defaults to now)
+   * @param {Object} settings - Override settings (defaults to saved)
+   * @returns {string|null} 'YYYY-MM-DD', or null for invalid dates
+   */
+  dayKey(date = new Date(), settings = this.getSettings()) {
+    const instant = date instanceof Date ? date : new Date(date);
+    if (isNaN(instant.getTime())) return null;
+
+    const clock = this.wallClock(instant, settings.timeZone || this.deviceTimeZone());
+    const key = this.fromParts(clock.year, clock.month - 1, clock.day);
+    // Before the day-start hour still belongs to the previous day
+    return clock.hour < settings.dayStartHour ? this.addDays(key, -1) : key;
+  },
+
+  /**
+   * @returns {string} Today's day key
+   */
+  today() {
+    return this.dayKey(new Date());
+  },
+
+  /**
+   * Instant the current day ends (next configured day-start in the timezone)
+   * Found by search rather than arithmetic so DST and odd offsets just work.
+   * @param {Date} date - Starting instant (defaults to now)
+   * @returns {Date} First instant that belongs to the next day key
+   */
+  nextDayStart(date = new Date()) {
+    const settings = this.getSettings();
+    const current = this.dayKey(date, settings);
+    const hour = 3600000;
+
+    // Step by hours to bracket the boundary, then narrow to the second
+    let low = date.getTime();
+    let high = low + hour;
+    while (this.dayKey(new Date(high), settings) === current) {
+      low = high;
+      high += hour;
+    }
+    while (high - low > 1000) {
+      const mid = low + Math.floor((high - low) / 2);
+      if (this.dayKey(new Date(mid), settings) === current) low = mid;
+      else high = mid;
+    }
+    // Boundaries fall on whole seconds: the first one after `low` (at most `high`)
+    return new Date(Math.floor(low / 1000) * 1000 + 1000);
+  },
+
+  /**
+   * Instant a wall-clock time happens on a calendar date in the user's
+   * timezone (e.g. a scheduled reminder). Times skipped by a DST jump land
+   * up to an hour off rather than failing.
+   * @param {string} key - 'YYYY-MM-DD' calendar date (not shifted by dayStartHour)
+   * @param {number} hour - 0-23
+   * @param {number} minute - 0-59
+   * @param {Object} settings - Override settings (defaults to saved)
+   * @returns {Date} Instant
+   */
+  zonedTime(key, hour, minute = 0, settings = this.getSettings()) {
+    const timeZone = settings.timeZone || this.deviceTimeZone();
+    const [year, month, day] = key.split('-').map(Number);
+    const wanted = Date.UTC(year, month - 1, day, hour, minute);
+
+    // Start as if the zone were UTC, then shift by the offset we observe;
+    // a second pass settles guesses that crossed a DST change
+    let guess = wanted;
+    for (let i = 0; i < 3; i++) {
+      const clock = this.wallClock(new Date(guess), timeZone);
+      const seen = Date.UTC(clock.year, clock.month - 1, clock.day, clock.hour, clock.minute);
+      if (seen === wanted) break;
+      guess += wanted - seen;
+    }
+    return new Date(guess);
+  },
+
+  /**
+   * Build a key from calendar parts (e.g. a calendar grid cell)
+   * @param {number} year - Full year
+   * @param {number} monthIndex - 0-11, like Date#getMonth
+   * @param {number} day - Day of month
+   * @returns {string} 'YYYY-MM-DD'
+   */
+  fromParts(year, monthIndex, day) {
+    return new Date(Date.UTC(year, monthIndex, day)).toISOString().split('T')[0];
+  },
+
+  /**
+   * Shift a key by whole days (pure date math, unaffected by DST)
+   * @param {string} key - 'YYYY-MM-DD'
+   * @param {number} days - Days to add (negative to go back)
+   * @returns {string} 'YYYY-MM-DD'
+   */
+  addDays(key, days) {
+    const [year, month, day] = key.split('-').map(Number);
+    return this.fromParts(year, month - 1, day + days);
+  },
+
+  /**
+   * Whole days from one key to another
+   * @param {string} fromKey - 'YYYY-MM-DD'
+   * @param {string} toKey - 'YYYY-MM-DD'
+   * @returns {number} Positive if toKey is later
+   */
+  diffDays(fromKey, toKey) {
+    const toUTC = key => {
+      const [year, month, day] = key.split('-').map(Number);
+      return Date.UTC(year, month - 1, day);
+    };
+    return Math.round((toUTC(toKey) - toUTC(fromKey)) / this.MS_PER_DAY);
+  },
+
+  /**
+   * @param {string} key - 'YYYY-MM-DD'
+   * @returns {number} Day of week, 0 = Sunday
+   */
+  weekday(key) {
+    const [year, month, day] = key.split('-').map(Number);
+    return new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+  },
+
+  /**
+   * @param {string} key - 'YYYY-MM-DD'
+   * @returns {number} Days since the start of the week (0-6), per weekStartDay
+   */
+  weekdayIndex(key) {
+    return (this.weekday(key) - this.getSettings().weekStartDay + 7) % 7;
+  },
+
+  /**
+   * @param {string} key - 'YYYY-MM-DD' (defaults to today)
+   * @returns {string} Key of the day starting that week (Sunday or Monday, per settings)
+   */
+  weekStart(key = this.today()) {
+    return this.addDays(key, -this.weekdayIndex(key));
+  }
+};
@@ -0,0 +1,246 @@
+/**
+ * SpendSomeTime Skill Catalog
+ * Every skill the quizzes can recommend: the built-in skills.json /
+ * weird.json entries plus skills the user imported from shared lists
+ * (userSkills). Imported entries are validated and cleaned like the
+ * built-in datasets (tools/schemas), de-duplicated by id and name, and
+ * join the quiz whose traits they use.
+ *
+ * Load this WITHOUT defer, after storage.js and bookmarks.js.
+ */
+
+const SkillCatalog = {
+  STORAGE_KEY: 'userSkills',
+  USER_SOURCE: 'user', // `_source` of imported entries
+
+  // Trait keys each quiz ranks by (same as tools/schemas)
+  datasets: {
+    skills: { file: 'skills.json', traits: ['creative', 'analytical', 'hands_on', 'solo', 'time_commitment'] },
+    weird: { file: 'weird.json', traits: ['weirdness', 'time', 'type', 'structure', 'energy', 'impressiveness'] }
+  },
+
+  limits: { name: 80, text: 500, entries: 500 },
+
+  // Built-in entries, fetched once per page
+  builtIn: null,
+
+  /**
+   * @returns {Promise<Array>} skills.json and weird.json entries with `_source` 'skills' or 'weird'
+   */
+  async loadBuiltIn() {
+    if (this.builtIn) return this.builtIn;
+    const lists = await Promise.all(Object.entries(this.datasets).map(([source, spec]) => fetch(spec.file)
+      .then(r => (r.ok ? r.json() : []))
+      .then(items => items.map(item => ({ ...item, _source: source })))
+      .catch(() => [])));
+    this.builtIn = lists.flat();
+    return this.builtIn;
+  },
+
+  /**
+   * @returns {Promise<Array>} Built-in entries followed by imported ones
+   */
+  async load() {
+    return [...await this.loadBuiltIn(), ...this.getUserSkills()];
+  },
+
+  /**
+   * Imported skills
+   * Stored entries are checked again on the way out: backups and other tabs
+   * write userSkills too, and pages put these fields into markup.
+   * @param {string} dataset - Only those for 'skills' or 'weird' (optional)
+   * @returns {Array} Entries with `_source` 'user'
+   */
+  getUserSkills(dataset) {
+    return this.cleanStored(StorageManager.get(this.STORAGE_KEY))
+      .filter(entry => !dataset || this.datasetOf(entry) === dataset)
+      .map(entry => ({ ...entry, _source: this.USER_SOURCE }));
+  },
+
+  /**
+   * @param {Object} entry - Skill entry
+   * @returns {string} 'weird' for quick skills (they have a weirdness trait), else 'skills'
+   */
+  datasetOf(entry) {
+    return entry.traits && 'weirdness' in entry.traits ? 'weird' : 'skills';
+  },
+
+  /**
+   * Tags from trait levels, same rule as `node tools/datasets.js fix`
+   * @param {Object} traits - Trait values
+   * @returns {Array} e.g. ['creative-high', 'solo-low']
+   */
+  tagsFor(traits) {
+    return Object.entries(traits).map(([trait, value]) => `${trait}-${value < 0.4 ? 'low' : value < 0.7 ? 'medium' : 'high'}`);
+  },
+
+  /**
+   * Plain text from a shared list (markup characters dropped, pages render it as HTML)
+   * @param {*} value - Candidate text
+   * @param {number} max - Maximum length
+   * @returns {string} Cleaned text ('' if not a string)
+   */
+  cleanText(value, max) {
+    if (typeof value !== 'string') return '';
+    return value.replace(/<[^>]*>/g, '').replace(/[<>]/g, '').replace(/\s+/g, ' ').trim().slice(0, max);
+  },
+
+  /**
+   * @param {*} url - Candidate link
+   * @returns {string|null} The URL if it's http(s), else null
+   */
+  safeUrl(url) {
+    try {
+      const parsed = new URL(String(url).trim());
+      return parsed.protocol === 'http:' || parsed.protocol === 'https:' ? parsed.href : null;
+    } catch (err) {
+      return null;
+    }
+  },
+
+  /**
+   * Check and clean one entry from a shared list
+   * Traits decide the quiz: every trait of that quiz is required, 0-1, and
+   * nothing else is allowed. Tags are rebuilt from traits. Missing reason and
+   * link fall back to the description and a tutorial search.
+   * @param {*} raw - Entry as found in the file
+   * @returns {Object} { entry, errors } entry is null when there are errors
+   */
+  validate(raw) {
+    const errors = [];
+    if (!raw || typeof raw !== 'object' || Array.isArray(raw)) return { entry: null, errors: ['not an object'] };
+
+    const name = this.cleanText(raw.name, this.limits.name);
+    if (!name) errors.push('missing name');
+    const description = this.cleanText(raw.description, this.limits.text);
+    if (!description) errors.push('missing description');
+
+    const traits = {};
+    const given = raw.traits && typeof raw.traits === 'object' && !Array.isArray(raw.traits) ? raw.traits : null;
+    if (!given) {
+      errors.push('missing traits');
+    } else {
+      const keys = this.datasets['weirdness' in given ? 'weird' : 'skills'].traits;
+      keys.forEach(key => {
+        const value = Number(given[key]);
+        if (given[key] === undefined) errors.push(`missing trait "${key}"`);
+        else if (!Number.isFinite(value) || value < 0 || value > 1) errors.push(`trait "${key}" must be 0-1`);
+        else traits[key] = value;
+      });
+      Object.keys(given).filter(key => !keys.includes(key)).forEach(key => errors.push(`unknown trait "${key}"`));
+    }
+
+    const givenUrl = raw.learn_url || raw.url;
+    const learnUrl = this.safeUrl(givenUrl);
+    if (givenUrl && !learnUrl) errors.push('link must be http(s)');
+
+    const id = typeof raw.id === 'string' && /^[a-z0-9]+(-[a-z0-9]+)*$/.test(raw.id) ? raw.id : BookmarkManager.slug(name);
+    if (errors.length) return { entry: null, errors };
+
+    const entry = {
+      id,
+      name,
+      description,
+      reason: this.cleanText(raw.reason, this.limits.text) || description,
+      learn_url: learnUrl || `https://www.youtube.com/results?search_query=${encodeURIComponent(`${name} tutorial`)}`,
+      traits,
+      tags: this.tagsFor(traits)
+    };
+    // Authored paths are checked by LearningPaths.normalize() when used
+    if (raw.path && typeof raw.path === 'object') entry.path = raw.path;
+    return { entry, errors };
+  },
+
+  /**
+   * Run saved or restored userSkills through validate()
+   * @param {Array} list - Stored entries
+   * @returns {Array} Cleaned entries; invalid ones and repeated ids are dropped
+   */
+  cleanStored(list) {
+    const ids = new Set();
+    return (Array.isArray(list) ? list : [])
+      .map(raw => this.validate(raw).entry)
+      .filter(entry => entry && !ids.has(entry.id) && ids.add(entry.id));
+  },
+
+  /**
+   * Entries from a parsed file: a plain list, or { skills: [...] }
+   * @param {*} data - Parsed JSON
+   * @returns {Array} Raw entries
+   * @throws {Error} If the file holds no list
+   */
+  entriesOf(data) {
+    const list = Array.isArray(data) ? data : data && Array.isArray(data.skills) ? data.skills : null;
+    if (!list) throw new Error('Expected a list of skills');
+    if (list.length > this.limits.entries) throw new Error(`At most ${this.limits.entries} skills per file`);
+    return list;
+  },
+
+  /**
+   * Work out what importing a list would do, without saving
+   * Entries matching a built-in skill by id or name are skipped; entries
+   * matching an earlier import replace it (keeping its id, so bookmarks and
+   * challenges still point at it).
+   * @param {Array} list - Raw entries (see entriesOf)
+   * @param {Array} builtIn - From loadBuiltIn()
+   * @returns {Object} { added, updated, duplicates: [{ name, reason }], invalid: [{ index, name, errors }] }
+   */
+  planImport(list, builtIn) {
+    const key = name => name.trim().toLowerCase();
+    const builtInIds = new Set(builtIn.map(s => BookmarkManager.skillId(s)));
+    const builtInNames = new Set(builtIn.map(s => key(s.name)));
+    const existing = StorageManager.get(this.STORAGE_KEY);
+    const taken = new Set([...builtInIds, ...existing.map(s => s.id)]);
+    const seenNames = new Set();
+    const seenIds = new Set();
+    const plan = { added: [], updated: [], duplicates: [], invalid: [] };
+
+    list.forEach((raw, index) => {
+      const { entry, errors } = this.validate(raw);
+      if (!entry) {
+        plan.invalid.push({ index, name: raw && typeof raw.name === 'string' ? raw.name : '', errors });
+        return;
+      }
+      const nameKey = key(entry.name);
+      if (builtInNames.has(nameKey) || builtInIds.has(entry.id)) {
+        plan.duplicates.push({ name: entry.name, reason: 'already a built-in skill' });
+        return;
+      }
+      if (seenNames.has(nameKey) || seenIds.has(entry.id)) {
+        plan.duplicates.push({ name: entry.name, reason: 'listed twice in the file' });
+        return;
+      }
+      seenNames.add(nameKey);
+      seenIds.add(entry.id);
+      const previous = existing.find(s => s.id === entry.id || key(s.name) === nameKey);
+      if (previous) {
+        plan.updated.push({ ...entry, id: previous.id });
+        return;
+      }
+      let id = entry.id;
+      for (let n = 2; taken.has(id); n++) id = `${entry.id}-${n}`;
+      taken.add(id);
+      plan.added.push({ ...entry, id });
+    });
+    return plan;
+  },
+
+  /**
+   * Save a plan from planImport()
+   * @param {Object} plan - { added, updated }
+   * @returns {boolean} True on success
+   */
+  applyImport(plan) {
+    const updates = new Map(plan.updated.map(entry => [entry.id, entry]));
+    const merged = StorageManager.get(this.STORAGE_KEY).map(entry => updates.get(entry.id) || entry);
+    return StorageManager.set(this.STORAGE_KEY, [...merged, ...plan.added]);
+  },
+
+  /**
+   * Forget imported skills (bookmarks of them are kept, like removed built-ins)
+   * @param {Array} ids - Ids to remove (all when omitted)
+   */
+  removeUserSkills(ids) {
+    StorageManager.set(this.STORAGE_KEY, ids ? StorageManager.get(this.STORAGE_KEY).filter(entry => !ids.includes(entry.id)) : []);
+  }
+};
@@ -0,0 +1,245 @@
+/**
+ * SpendSomeTime Focus Timer
+ * Pomodoro-style practice sessions attached to a challenge. A session is
+ * stored as timestamps rather than a ticking counter, so it survives
+ * reloads, tab switches and sleeping laptops, and only time inside work
+ * intervals counts as practice.
+ *
+ * Phases: work -> break -> ready (waits for the user) -> work ...
+ *
+ * Load this WITHOUT defer, after storage.js.
+ */
+
+const FocusTimer = {
+  STATE_KEY: 'focusSession',
+  SETTINGS_KEY: 'focusSettings',
+  MS_PER_MINUTE: 60000,
+
+  // Interval lengths in minutes
+  limits: {
+    work: { min: 5, max: 120 },
+    break: { min: 1, max: 60 }
+  },
+
+  /**
+   * @param {number} value - Candidate minutes
+   * @param {string} phase - 'work' or 'break'
+   * @param {number} fallback - Used when value isn't a number
+   * @returns {number} Whole minutes within limits
+   */
+  clampMinutes(value, phase, fallback) {
+    const n = Math.round(Number(value));
+    if (!Number.isFinite(n)) return fallback;
+    const { min, max } = this.limits[phase];
+    return Math.min(max, Math.max(min, n));
+  },
+
+  /**
+   * Last-used interval lengths
+   * @returns {Object} { workMinutes, breakMinutes }
+   */
+  getSettings() {
+    const saved = StorageManager.get(this.SETTINGS_KEY) || {};
+    return {
+      workMinutes: this.clampMinutes(saved.workMinutes, 'work', 25),
+      breakMinutes: this.clampMinutes(saved.breakMinutes, 'break', 5)
+    };
+  },
+
+  /**
+   * @returns {Object|null} Stored session, or null if none is running
+   */
+  getSession() {
+    const session = StorageManager.get(this.STATE_KEY);
+    return session && session.challengeId != null ? session : null;
+  },
+
+  /**
+   * Persist a session (or clear it with null) and notify the page
+   * @param {Object|null} session - Session to store
+   */
+  saveSession(session) {
+    if (session) StorageManager.set(this.STATE_KEY, session);
+    else StorageManager.remove(this.STATE_KEY);
+    window.dispatchEvent(new CustomEvent('focusTimerChanged', { detail: this.describe(session) }));
+  },
+
+  /**
+   * Start a session (one at a time)
+   * @param {number} challengeId - Challenge the practice counts toward
+   * @param {Object} settings - { workMinutes, breakMinutes } (remembered for next time)
+   * @returns {Object|null} Status, or null if a session is already running
+   */
+  start(challengeId, settings = this.getSettings()) {
+    if (this.getSession()) return null;
+
+    const workMinutes = this.clampMinutes(settings.workMinutes, 'work', 25);
+    const breakMinutes = this.clampMinutes(settings.breakMinutes, 'break', 5);
+    StorageManager.set(this.SETTINGS_KEY, { workMinutes, breakMinutes });
+
+    const now = Date.now();
+    const session = {
+      challengeId,
+      workMinutes,
+      breakMinutes,
+      phase: 'work',
+      runningSince: now, // null while paused or waiting in 'ready'
+      phaseElapsedMs: 0, // Time in the current phase before runningSince
+      workedMs: 0, // Completed work intervals
+      cycles: 0,
+      startedAt: now
+    };
+    this.saveSession(session);
+    return this.describe(session);
+  },
+
+  /**
+   * Pause the current phase
+   * @returns {Object|null} Status
+   */
+  pause() {
+    const session = this.advance(Date.now());
+    if (!session || session.runningSince === null) return this.describe(session);
+    session.phaseElapsedMs = this.elapsed(session, Date.now());
+    session.runningSince = null;
+    this.saveSession(session);
+    return this.describe(session);
+  },
+
+  /**
+   * Resume a paused phase, or start the next work interval after a break
+   * @returns {Object|null} Status
+   */
+  resume() {
+    const session = this.advance(Date.now());
+    if (!session || session.runningSince !== null) return this.describe(session);
+    if (session.phase === 'ready') {
+      session.phase = 'work';
+      session.phaseElapsedMs = 0;
+    }
+    session.runningSince = Date.now();
+    this.saveSession(session);
+    return this.describe(session);
+  },
+
+  /**
+   * Skip the rest of a break
+   * @returns {Object|null} Status
+   */
+  skipBreak() {
+    const session = this.advance(Date.now());
+    if (!session || session.phase !== 'break') return this.describe(session);
+    session.phase = 'work';
+    session.phaseElapsedMs = 0;
+    session.runningSince = Date.now();
+    this.saveSession(session);
+    return this.describe(session);
+  },
+
+  /**
+   * End the session
+   * @returns {Object|null} { challengeId, minutes, cycles } practiced, or null if none
+   */
+  finish() {
+    const session = this.advance(Date.now());
+    if (!session) return null;
+    const status = this.describe(session);
+    this.saveSession(null);
+    return {
+      challengeId: session.challengeId,
+      minutes: Math.floor(status.workedMs / this.MS_PER_MINUTE),
+      cycles: session.cycles
+    };
+  },
+
+  /**
+   * Discard the session without logging anything
+   */
+  cancel() {
+    this.saveSession(null);
+  },
+
+  /**
+   * Current status, moving through any phases that ended since the last look
+   * @returns {Object|null} See describe()
+   */
+  getStatus() {
+    return this.describe(this.advance(Date.now()));
+  },
+
+  /**
+   * @param {Object} session - Stored session
+   * @param {number} now - Epoch ms
+   * @returns {number} ms spent in the current phase
+   */
+  elapsed(session, now) {
+    return session.phaseElapsedMs + (session.runningSince !== null ? now - session.runningSince : 0);
+  },
+
+  /**
+   * @param {Object} session - Stored session
+   * @returns {number} Length of the current phase in ms (0 while 'ready')
+   */
+  phaseLength(session) {
+    if (session.phase === 'work') return session.workMinutes * this.MS_PER_MINUTE;
+    if (session.phase === 'break') return session.breakMinutes * this.MS_PER_MINUTE;
+    return 0;
+  },
+
+  /**
+   * Apply every phase change due by `now` and save if anything changed
+   * @param {number} now - Epoch ms
+   * @returns {Object|null} Up-to-date session
+   */
+  advance(now) {
+    const session = this.getSession();
+    if (!session) return null;
+
+    let changed = false;
+    while (session.runningSince !== null) {
+      const length = this.phaseLength(session);
+      const elapsed = this.elapsed(session, now);
+      if (elapsed < length) break;
+
+      const phaseEnd = now - (elapsed - length);
+      if (session.phase === 'work') {
+        session.workedMs += length;
+        session.cycles++;
+        session.phase = 'break';
+        session.phaseElapsedMs = 0;
+        session.runningSince = phaseEnd;
+      } else {
+        // The next work interval waits for the user, so time away never counts as practice
+        session.phase = 'ready';
+        session.phaseElapsedMs = 0;
+        session.runningSince = null;
+      }
+      changed = true;
+    }
+
+    if (changed) this.saveSession(session);
+    return session;
+  },
+
+  /**
+   * Status for display
+   * @param {Object|null} session - Stored session
+   * @returns {Object|null} { challengeId, phase, running, remainingMs, workedMs, cycles, workMinutes, breakMinutes }
+   */
+  describe(session) {
+    if (!session) return null;
+    const now = Date.now();
+    const length = this.phaseLength(session);
+    const elapsed = Math.min(this.elapsed(session, now), length);
+    return {
+      challengeId: session.challengeId,
+      phase: session.phase,
+      running: session.runningSince !== null,
+      remainingMs: Math.max(0, length - elapsed),
+      workedMs: session.workedMs + (session.phase === 'work' ? elapsed : 0),
+      cycles: session.cycles,
+      workMinutes: session.workMinutes,
+      breakMinutes: session.breakMinutes
+    };
+  }
+};
@@ -0,0 +1,144 @@
+/**
+ * SpendSomeTime Game Coach
+ * Adaptive difficulty and recommendations for the games on games.html.
+ * Games with a `difficulty` list (see GameRegistry.register) report each
+ * attempt as a success or failure; once a window of attempts is in, the
+ * level moves up or down to keep the player near targetSuccess. Levels are
+ * stored per game in gameDifficulty as { level, outcomes }.
+ * recommend() picks what the coach line suggests next from the profile's
+ * focus mode, each game's trend and its current level.
+ * Level changes fire a window `gameDifficultyChanged` { game, level, changed } event.
+ *
+ * Load this WITHOUT defer, after game-registry.js.
+ */
+
+const GameCoach = {
+  STORAGE_KEY: 'gameDifficulty',
+
+  targetSuccess: 0.75,
+  tolerance: 0.1, // Level changes once the success rate leaves target ± tolerance
+  window: 8, // Attempts judged together (games can set difficulty.window)
+
+  // Why a game is suggested, most urgent first (GameRegistry.trend directions)
+  priorities: ['plateau', 'new', 'declining', 'improving'],
+
+  /**
+   * @param {string} id - Game id
+   * @returns {Object} { level, outcomes } (level is 1-based)
+   */
+  state(id) {
+    const game = GameRegistry.get(id);
+    const levels = game && game.difficulty ? game.difficulty.levels.length : 1;
+    const stored = StorageManager.get(this.STORAGE_KEY)[id] || {};
+    const fallback = game && game.difficulty ? (game.difficulty.start || 0) + 1 : 1;
+    const level = Math.round(Number(stored.level)) || fallback;
+    return {
+      level: Math.max(1, Math.min(levels, level)),
+      outcomes: Array.isArray(stored.outcomes) ? stored.outcomes.filter(o => typeof o === 'boolean') : []
+    };
+  },
+
+  /**
+   * @param {string} id - Game id
+   * @returns {number} Current level (1 for games without levels)
+   */
+  level(id) {
+    return this.state(id).level;
+  },
+
+  /**
+   * @param {string} id - Game id
+   * @returns {number} Number of levels (1 for games without levels)
+   */
+  levelCount(id) {
+    const game = GameRegistry.get(id);
+    return game && game.difficulty ? game.difficulty.levels.length : 1;
+  },
+
+  /**
+   * @param {string} id - Game id
+   * @returns {Object} The game's settings for its current level ({} without levels)
+   */
+  settings(id) {
+    const game = GameRegistry.get(id);
+    return game && game.difficulty ? game.difficulty.levels[this.level(id) - 1] : {};
+  },
+
+  /**
+   * Pick a level by hand (the coach's suggestion); starts a fresh window
+   * @param {string} id - Game id
+   * @param {number} level - 1-based level
+   * @returns {number} The level saved
+   */
+  setLevel(id, level) {
+    const next = Math.max(1, Math.min(this.levelCount(id), Math.round(Number(level)) || 1));
+    this.save(id, { level: next, outcomes: [] });
+    return next;
+  },
+
+  save(id, state) {
+    const all = StorageManager.get(this.STORAGE_KEY);
+    all[id] = state;
+    StorageManager.set(this.STORAGE_KEY, all);
+  },
+
+  /**
+   * Record one attempt and adjust the level once the window is full
+   * @param {string} id - Game id
+   * @param {boolean} success - Attempt succeeded
+   * @returns {Object} { level, changed: -1|0|1, successRate }
+   */
+  recordOutcome(id, success) {
+    const game = GameRegistry.get(id);
+    if (!game || !game.difficulty) return { level: 1, changed: 0, successRate: null };
+    const size = game.difficulty.window || this.window;
+    const state = this.state(id);
+    const outcomes = [...state.outcomes, Boolean(success)].slice(-size);
+    const successRate = outcomes.filter(Boolean).length / outcomes.length;
+
+    let changed = 0;
+    if (outcomes.length >= size) {
+      if (successRate >= this.targetSuccess + this.tolerance && state.level < this.levelCount(id)) changed = 1;
+      else if (successRate < this.targetSuccess - this.tolerance && state.level > 1) changed = -1;
+    }
+    // A new level starts a fresh window so it's judged on its own attempts
+    this.save(id, { level: state.level + changed, outcomes: changed ? [] : outcomes });
+    if (changed) {
+      window.dispatchEvent(new CustomEvent('gameDifficultyChanged', { detail: { game: id, level: state.level + changed, changed } }));
+    }
+    return { level: state.level + changed, changed, successRate };
+  },
+
+  /**
+   * What to play next
+   * Games trained by the focus mode come first (every scored game for
+   * 'balanced'). Among them, plateaus are suggested before games without a
+   * baseline, then declining and improving ones; ties go to the least played.
+   * A focused player on a plateau is pushed one level up.
+   * @param {string} focus - playerProfile.focus
+   * @param {string} exclude - Game id to skip (e.g. the one just played)
+   * @returns {Object|null} { game, level, levels, trend, reason }
+   */
+  recommend(focus, exclude = null) {
+    const scored = GameRegistry.list({ scored: true }).filter(game => game.id !== exclude);
+    const focused = focus && focus !== 'balanced' ? scored.filter(game => game.focus.includes(focus)) : [];
+    const candidates = (focused.length ? focused : scored).map(game => ({ game, trend: GameRegistry.trend(game.id) }));
+    if (!candidates.length) return null;
+
+    candidates.sort((a, b) => this.priorities.indexOf(a.trend.direction) - this.priorities.indexOf(b.trend.direction)
+      || a.trend.runs - b.trend.runs);
+    const { game, trend } = candidates[0];
+    const levels = this.levelCount(game.id);
+    const current = this.level(game.id);
+    const pushUp = focused.length > 0 && trend.direction === 'plateau' && current < levels;
+    const level = current + (pushUp ? 1 : 0);
+
+    const reasons = {
+      plateau: pushUp ? 'your scores have levelled off, so try it one level harder' : 'your scores have levelled off',
+      new: 'a few more runs will set your personal baseline',
+      declining: 'your recent runs dipped, a steady round will help',
+      improving: 'you are on an upswing, keep it going'
+    };
+    return { game, level, levels, trend, reason: reasons[trend.direction] };
+  }
+};
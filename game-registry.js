@@ -0,0 +1,312 @@
+/**
+ * SpendSomeTime Game Registry
+ * Mini-games on games.html register here with their id, label, lifecycle
+ * hooks and score metric; the registry does the shared work: best scores
+ * (gameScores), result history (gameHistory), percentiles against each
+ * game's benchmark and against the player's own history, trends and XP.
+ * A new game is a register() call plus its markup (a `<id>-game` container
+ * with `<id>-best` / `<id>-percentile` stats).
+ *
+ * Events:
+ *   document `gameResult`        { game, value, percentile, personalPercentile, trend,
+ *                                  newBestPercentile, xp } after finish()
+ *   window   `gameScoresChanged` { game, best } when a best score is saved
+ *
+ * Load this WITHOUT defer, after storage.js.
+ */
+
+const GameRegistry = {
+  SCORES_KEY: 'gameScores',
+  HISTORY_KEY: 'gameHistory',
+  HISTORY_LIMIT: 200, // Results kept per game
+  XP_COOLDOWN_MS: 15000, // At most one XP award per game in this window
+
+  // Personal baseline: runs needed before comparing, runs per side of a trend
+  // and how far (in benchmark std) recent runs must move to count as a trend
+  baseline: { minRuns: 3, trendRuns: 5, trendEffect: 0.25 },
+
+  games: new Map(),
+  active: null, // Id of the open game
+  lastXPAward: {}, // game -> time of the last XP award
+
+  /**
+   * Add a game
+   * @param {Object} game - {
+   *   id: 'odd' (letters/digits, used in element ids and score keys),
+   *   label: 'Odd-One-Out Rush',
+   *   icon, description: card text when the page has no card for it,
+   *   unit: ' points' (appended to scores),
+   *   lowerIsBetter: false,
+   *   benchmark: { mean, std } (leave out for unscored games),
+   *   focus: ['speed'] profile focus modes the game trains ('speed', 'memory', 'logic'),
+   *   difficulty: { levels: [settings, ...], start: index, window } adaptive levels (game-coach.js),
+   *   format(value): in-game best stat (defaults to value + unit),
+   *   prepare(): reset the view when the game is opened or a round ends,
+   *   start(): begin a round,
+   *   stop(): clear timers (called for every game on switch/close)
+   * }
+   * @returns {Object} The stored definition
+   * @throws {Error} If the definition is incomplete or the id is taken
+   */
+  register(game) {
+    if (!game || !/^[a-z][a-z0-9]*$/.test(game.id || '')) throw new Error('Game id must be lowercase letters and digits');
+    if (this.games.has(game.id)) throw new Error(`Game "${game.id}" is already registered`);
+    if (!game.label) throw new Error(`Game "${game.id}" needs a label`);
+    ['prepare', 'start', 'stop', 'format'].forEach(hook => {
+      if (game[hook] !== undefined && typeof game[hook] !== 'function') throw new Error(`Game "${game.id}": ${hook} must be a function`);
+    });
+    const { benchmark } = game;
+    if (benchmark && !(Number.isFinite(benchmark.mean) && benchmark.std > 0)) {
+      throw new Error(`Game "${game.id}": benchmark needs a mean and a positive std`);
+    }
+    const { difficulty } = game;
+    if (difficulty && !(Array.isArray(difficulty.levels) && difficulty.levels.length)) {
+      throw new Error(`Game "${game.id}": difficulty needs a list of levels`);
+    }
+
+    const definition = { unit: '', lowerIsBetter: false, benchmark: null, focus: [], difficulty: null, ...game };
+    this.games.set(game.id, definition);
+    return definition;
+  },
+
+  /**
+   * @param {string} id - Game id
+   * @returns {Object|undefined} Its definition
+   */
+  get(id) {
+    return this.games.get(id);
+  },
+
+  /**
+   * @param {Object} options - { scored: true } for games with a benchmark only
+   * @returns {Array} Definitions in registration order
+   */
+  list({ scored = false } = {}) {
+    return [...this.games.values()].filter(game => !scored || game.benchmark);
+  },
+
+  /**
+   * Stop every game, then prepare this one
+   * @param {string} id - Game id
+   * @returns {Object|undefined} Its definition
+   */
+  open(id) {
+    this.stopAll();
+    const game = this.get(id);
+    this.active = game ? id : null;
+    if (game && game.prepare) game.prepare();
+    return game;
+  },
+
+  /**
+   * Begin a round of a game (Start / New Game buttons)
+   * @param {string} id - Game id
+   */
+  play(id) {
+    const game = this.get(id);
+    if (game && game.start) game.start();
+  },
+
+  close() {
+    this.stopAll();
+    this.active = null;
+  },
+
+  stopAll() {
+    this.games.forEach(game => {
+      if (game.stop) game.stop();
+    });
+  },
+
+  /**
+   * @param {string} id - Game id
+   * @returns {Object} Stored scores for the game: { best, lastPercentile, bestPercentile }
+   */
+  scores(id) {
+    const scores = StorageManager.get(this.SCORES_KEY);
+    return {
+      best: scores[`${id}Best`] ?? null,
+      lastPercentile: Number(scores[`${id}LastPercentile`]) || null,
+      bestPercentile: Number(scores[`${id}BestPercentile`]) || null
+    };
+  },
+
+  /**
+   * @param {string} id - Game id
+   * @returns {number|null} Best score
+   */
+  best(id) {
+    const { best } = this.scores(id);
+    return best === null || best === '' || !Number.isFinite(Number(best)) ? null : Number(best);
+  },
+
+  /**
+   * @param {string} id - Game id
+   * @param {number} value - Score
+   * @param {number|null} than - Score to beat (null is always beaten)
+   * @returns {boolean} True if value beats `than` in the game's direction
+   */
+  isBetter(id, value, than) {
+    if (than === null || !Number.isFinite(Number(than))) return true;
+    return this.get(id).lowerIsBetter ? value < than : value > than;
+  },
+
+  /**
+   * @param {string} id - Game id
+   * @param {number|null} value - Score
+   * @returns {string} In-game stat text ('--' when there is none)
+   */
+  format(id, value) {
+    const game = this.get(id);
+    if (value === null || value === undefined || value === '' || !game) return '--';
+    return game.format ? game.format(value) : `${value}${game.unit}`;
+  },
+
+  /**
+   * Percentile against the game's benchmark
+   * Logistic approximation of the normal CDF; smooth and continuous for exact percentiles.
+   * @param {string} id - Game id
+   * @param {number} rawValue - Score
+   * @returns {number|null} 1-99, or null for unscored games
+   */
+  percentile(id, rawValue) {
+    const value = Number(rawValue);
+    const game = this.get(id);
+    if (!Number.isFinite(value) || !game || !game.benchmark) return null;
+    const zRaw = (value - game.benchmark.mean) / game.benchmark.std;
+    const z = game.lowerIsBetter ? -zRaw : zRaw;
+    const percentile = Math.round((1 / (1 + Math.exp(-1.702 * z))) * 100);
+    return Math.max(1, Math.min(99, percentile));
+  },
+
+  /**
+   * Percentile to show for a game: the latest result's, else the best score's
+   * @param {string} id - Game id
+   * @returns {number|null} Percentile
+   */
+  displayPercentile(id) {
+    return this.scores(id).lastPercentile || this.percentile(id, this.best(id));
+  },
+
+  /**
+   * @param {string} id - Game id
+   * @returns {Array} Recorded scores, oldest first
+   */
+  history(id) {
+    const history = StorageManager.get(this.HISTORY_KEY)[id];
+    return (Array.isArray(history) ? history : []).map(Number).filter(Number.isFinite);
+  },
+
+  /**
+   * Percentile against the player's own runs
+   * Ties count half, like a midrank.
+   * @param {string} id - Game id
+   * @param {number} value - Score
+   * @param {Array} history - Earlier scores (defaults to the stored history)
+   * @returns {number|null} 1-99, or null until there are baseline.minRuns earlier runs
+   */
+  personalPercentile(id, value, history = this.history(id)) {
+    const game = this.get(id);
+    if (!game || history.length < this.baseline.minRuns) return null;
+    const beaten = history.reduce((sum, past) => {
+      if (past === value) return sum + 0.5;
+      return sum + (this.isBetter(id, value, past) ? 1 : 0);
+    }, 0);
+    return Math.max(1, Math.min(99, Math.round((beaten / history.length) * 100)));
+  },
+
+  /**
+   * Compare the latest runs with the ones before them
+   * Change is measured in benchmark std (or the spread of those runs for
+   * games without a benchmark) and is positive when the player got better.
+   * @param {string} id - Game id
+   * @param {Array} history - Scores, oldest first (defaults to the stored history)
+   * @returns {Object} { direction: 'new'|'improving'|'declining'|'plateau', change, runs }
+   */
+  trend(id, history = this.history(id)) {
+    const game = this.get(id);
+    const n = this.baseline.trendRuns;
+    if (!game || history.length < n * 2) return { direction: 'new', change: 0, runs: history.length };
+
+    const mean = values => values.reduce((a, b) => a + b, 0) / values.length;
+    const recent = history.slice(-n);
+    const earlier = history.slice(-n * 2, -n);
+    const window = [...earlier, ...recent];
+    const spread = Math.sqrt(mean(window.map(v => (v - mean(window)) ** 2)));
+    const scale = (game.benchmark && game.benchmark.std) || spread || 1;
+    const raw = (mean(recent) - mean(earlier)) / scale;
+    const change = Math.round((game.lowerIsBetter ? -raw : raw) * 100) / 100;
+
+    const direction = change >= this.baseline.trendEffect ? 'improving'
+      : change <= -this.baseline.trendEffect ? 'declining'
+        : 'plateau';
+    return { direction, change, runs: history.length };
+  },
+
+  /**
+   * Save a score if it beats the best (levels reached count before the run ends)
+   * Lower-is-better games also store `<id>LowerIsBetter` so backups merge them
+   * the right way round on pages that don't load the games.
+   * @param {string} id - Game id
+   * @param {number} value - Score
+   * @returns {boolean} True if it's a new best
+   */
+  saveBest(id, value) {
+    const game = this.get(id);
+    if (!game || !Number.isFinite(Number(value)) || !this.isBetter(id, Number(value), this.best(id))) return false;
+    const scores = StorageManager.get(this.SCORES_KEY);
+    scores[`${id}Best`] = Number(value);
+    if (game.lowerIsBetter) scores[`${id}LowerIsBetter`] = true;
+    StorageManager.set(this.SCORES_KEY, scores);
+    window.dispatchEvent(new CustomEvent('gameScoresChanged', { detail: { game: id, best: Number(value) } }));
+    return true;
+  },
+
+  /**
+   * Record a finished run: best score, percentiles, history, trend and XP
+   * XP scales with the benchmark percentile (GameSystem.xpRules.winGame).
+   * @param {string} id - Game id
+   * @param {number} rawValue - Final score
+   * @returns {Object|null} { game, value, percentile, personalPercentile, trend,
+   *   newBestPercentile, xp } (also sent as `gameResult`)
+   */
+  finish(id, rawValue) {
+    const value = Number(rawValue);
+    if (!this.get(id) || !Number.isFinite(value)) return null;
+    this.saveBest(id, value);
+
+    const percentile = this.percentile(id, value);
+    const scores = StorageManager.get(this.SCORES_KEY);
+    const previousBest = Number(scores[`${id}BestPercentile`] || 0);
+    scores[`${id}LastPercentile`] = percentile;
+    scores[`${id}BestPercentile`] = Math.max(previousBest, percentile || 0);
+    StorageManager.set(this.SCORES_KEY, scores);
+
+    const past = this.history(id);
+    const personalPercentile = this.personalPercentile(id, value, past);
+    const history = StorageManager.get(this.HISTORY_KEY);
+    history[id] = [...past, value].slice(-this.HISTORY_LIMIT);
+    StorageManager.set(this.HISTORY_KEY, history);
+    const trend = this.trend(id, history[id]);
+
+    let xp = null;
+    const now = Date.now();
+    if (percentile && typeof GameSystem !== 'undefined' && now - (this.lastXPAward[id] || 0) > this.XP_COOLDOWN_MS) {
+      xp = GameSystem.earnXP('winGame', { percentile }, `winGame:${id}:${now}`);
+      if (xp) this.lastXPAward[id] = now;
+    }
+
+    // Every finished game counts toward quests (quests.js), XP or not
+    const result = {
+      game: id,
+      value,
+      percentile,
+      personalPercentile,
+      trend,
+      newBestPercentile: Boolean(percentile && percentile > previousBest),
+      xp
+    };
+    document.dispatchEvent(new CustomEvent('gameResult', { detail: result }));
+    return result;
+  }
+};
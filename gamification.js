@@ -13,10 +13,15 @@ const GameSystem = {
     totalXPEarned: 0, // All-time XP earned (never decreases, used for level)
     unlockedThemes: ['default'],
     activeTheme: 'default',
-    xpHistory: [],
+    xpHistory: [], // XP ledger: every earn/spend, hash-chained (see postLedgerEntry)
+    ledgerCheckpoint: null, // Totals of compacted (folded) ledger entries
     currentStreak: 0,
     longestStreak: 0,
     lastActivityDate: null,
+    counters: {}, // Earn events per ledger source (e.g. completeQuiz), for achievements
+    streakFreezes: 0, // Owned streak freeze items (bought with XP)
+    freezeHistory: [], // Freezes consumed and repairs made: { type, scope, day, at }
+    brokenStreak: null, // Last broken global streak, repairable for a short window
     unlockedAchievements: [], // Array of achievement IDs
     achievementUnlockTimes: {}, // Track when achievements were unlocked to prevent re-triggering
     milestones: [50, 100, 250, 500, 1000, 2500, 5000],
@@ -31,40 +36,175 @@ const GameSystem = {
     completeQuiz: 15,
     winGame: 20,
     themeUnlock: 10,
+    dailyBonus: 25,
+    dailyGoal: 15, // Personal daily minute goal met (goals.js)
+    weeklyGoal: 50,
+    verifiedMinute: 1, // Per minute measured by the focus timer
+    reportedMinute: 0.5, // Per minute typed in by hand
   },
 
-  // Achievement definitions
-  achievements: {
-    firstSteps: { id: 'firstSteps', name: 'First Steps', desc: 'Earn your first XP', xp: 10 },
-    earlyBird: { id: 'earlyBird', name: 'Early Bird', desc: 'Earn 50 XP', xp: 50 },
-    grinder: { id: 'grinder', name: 'Grinder', desc: 'Earn 250 XP', xp: 250 },
-    legend: { id: 'legend', name: 'Legend', desc: 'Earn 1000 XP', xp: 1000 },
-    streakStarter: { id: 'streakStarter', name: 'Streak Starter', desc: 'Build a 3-day streak', streak: 3 },
-    collectorFirst: { id: 'collectorFirst', name: 'Collector', desc: 'Unlock your first theme', theme: 1 },
-    collectorMaster: { id: 'collectorMaster', name: 'Master Collector', desc: 'Unlock 5 themes', theme: 5 },
+  // XP rules keyed by source (SINGLE SOURCE OF TRUTH for how much an event is worth)
+  // Each rule receives the event context and current user data and returns XP.
+  // Page UIs must display the amount on the returned ledger entry, never their own math.
+  xpRules: {
+    challengeProgress(ctx, userData) {
+      // Per-minute XP (capped to avoid bogus inputs) plus log/completion bonuses;
+      // time measured by the focus timer is worth more than typed-in minutes
+      const minutes = Math.min(Math.max(0, Number(ctx.timeSpent) || 0), 300);
+      const rate = ctx.verified ? GameSystem.rewards.verifiedMinute : GameSystem.rewards.reportedMinute;
+      let xp = Math.round(minutes * rate);
+      if (ctx.progressIncreased) xp += GameSystem.rewards.logReflection;
+      if (ctx.completed) xp += GameSystem.rewards.completeChallenge;
+      return Math.max(1, Math.round(xp * GameSystem.getStreakMultiplier(userData)));
+    },
+    completeQuiz() {
+      return GameSystem.rewards.completeQuiz;
+    },
+    winGame(ctx) {
+      // Scaled by percentile so better performance earns more
+      const percentile = Number(ctx.percentile) || 0;
+      if (percentile <= 0) return 0;
+      const percentileBonus = Math.max(4, Math.round(percentile / 10));
+      const milestoneBonus = percentile >= 90 ? 8 : percentile >= 75 ? 4 : 0;
+      return percentileBonus + milestoneBonus;
+    },
+    dailyQuest(ctx) {
+      // Reward comes from today's quest picks (quests.js), capped for safety
+      return Math.min(QuestManager.getReward('daily', ctx.questId), 150);
+    },
+    weeklyQuest(ctx) {
+      return Math.min(QuestManager.getReward('weekly', ctx.questId), 400);
+    },
+    dailyBonus() {
+      return GameSystem.rewards.dailyBonus;
+    },
+    dailyGoal() {
+      return GameSystem.rewards.dailyGoal;
+    },
+    weeklyGoal() {
+      return GameSystem.rewards.weeklyGoal;
+    },
+    logReflection(ctx, userData) {
+      // Written journal reflections (journal.js), a few per day
+      const { minLength, perDay } = GameSystem.reflectionLimits;
+      if ((Number(ctx.length) || 0) < minLength) return 0;
+      const today = CalendarDay.today();
+      const paidToday = (userData.xpHistory || [])
+        .filter(e => e.source === 'logReflection' && e.kind === 'earn' && CalendarDay.dayKey(e.timestamp) === today).length;
+      return paidToday < perDay ? GameSystem.rewards.logReflection : 0;
+    }
+  },
+
+  // Spend rules keyed by source (cost is looked up, never trusted from the caller)
+  spendRules: {
+    themeUnlock(ctx) {
+      const theme = ThemeManager.getTheme(ctx.themeId);
+      return theme ? Number(theme.xpCost) || 0 : Number(ctx.cost) || 0;
+    },
+    streakFreeze() {
+      return GameSystem.streakItems.freeze.cost;
+    },
+    streakRepair() {
+      return GameSystem.streakItems.repair.cost;
+    }
+  },
+
+  // Streak protection store items
+  // freeze: auto-consumed, one per missed day; repair: restores a streak broken
+  // by exactly one missed day, only within windowDays of noticing the break
+  streakItems: {
+    freeze: { cost: 40, maxOwned: 3 },
+    repair: { cost: 100, windowDays: 1 }
+  },
+
+  // Journal reflections earn logReflection XP from minLength characters, perDay times a day
+  reflectionLimits: { minLength: 80, perDay: 3 },
+
+  // Ledger compaction: keep recent entries, fold older ones into ledgerCheckpoint
+  ledgerMaxEntries: 500,
+  ledgerKeepEntries: 300,
+  ledgerRetentionDays: 90,
+  LEDGER_GENESIS: 'genesis',
+
+  // Achievements are data (achievements.json), expanded to one entry per tier
+  // by loadAchievements(). Tiered entries have ids like 'finisher.silver'.
+  achievements: [],
+  tierOrder: ['bronze', 'silver', 'gold'],
+
+  // Stats achievements can target (SINGLE SOURCE OF TRUTH for tracked stats)
+  // Each receives (userData, stores) where stores holds the other saved data
+  // and the profile they belong to.
+  achievementStats: {
+    xpEarned: (userData) => userData.totalXPEarned || 0,
+    longestStreak: (userData) => Math.max(userData.longestStreak || 0, userData.currentStreak || 0),
+    themesUnlocked: (userData) => Math.max(0, (userData.unlockedThemes || []).length - 1), // 'default' is free
+    freezesUsed: (userData) => (userData.freezeHistory || []).filter(use => use.type === 'freeze').length,
+    challengesCompleted: (userData, stores) => stores.challenges.filter(c => c.status === 'completed').length,
+    minutesLogged: (userData, stores) => stores.challenges.reduce((sum, c) => sum + (Number(c.totalTime) || 0), 0),
+    gamesPlayed: (userData, stores) => Object.values(stores.gameHistory)
+      .reduce((sum, results) => sum + (Array.isArray(results) ? results.length : 0), 0),
+    bestGamePercentile: (userData, stores) => Math.max(0, ...Object.entries(stores.gameScores)
+      .filter(([key]) => key.endsWith('BestPercentile'))
+      .map(([, value]) => Number(value) || 0)),
+    // quizHistory only keeps the last few results (quiz-history.js); counters keep the real total
+    quizzesTaken: (userData, stores) => Math.max(userData.counters?.completeQuiz || 0, stores.quizHistory.length),
+    skillsDiscovered: (userData, stores) => Math.max(0, ...stores.quizHistory.map(h => Number(h.skillsRanked) || 0)),
+    bestSkillMatch: (userData, stores) => Math.max(0, ...stores.quizHistory.map(h => Number(h.bestMatch) || 0)),
+    topTraitScore: (userData, stores) => Math.max(0, ...stores.quizHistory
+      .flatMap(h => Object.values(h.traits || {}).map(Number).filter(Number.isFinite))),
+    questsCompleted: (userData) => userData.counters?.dailyQuest || 0,
+    questStreak: (userData, stores) => {
+      // Consecutive days with the all-quests bonus, counting today only once earned
+      let day = CalendarDay.today();
+      if (!StorageManager.get('dailyBonus-' + day, stores.profile)) day = CalendarDay.addDays(day, -1);
+      let streak = 0;
+      while (streak < 366 && StorageManager.get('dailyBonus-' + day, stores.profile)) {
+        streak++;
+        day = CalendarDay.addDays(day, -1);
+      }
+      return streak;
+    },
+    goalStreak: () => (typeof GoalManager !== 'undefined' ? GoalManager.getStreak() : 0)
   },
 
   // Debouncing: prevent XP farming from rapid refreshes/navigation
   _lastXPAwardTime: 0,
   _xpDebounceMs: 0, // Minimum ms between XP awards for same action
 
+  // Cross-tab sync: recent changes made in THIS tab, re-applied if another
+  // tab's write (based on older data) drops them
+  _journal: [],
+  _journalTtlMs: 5 * 60 * 1000,
+  _syncStarted: false,
+
   /**
    * Initialize gamification system
    * @returns {Object} User gamification data
    */
   init() {
+    // Field backfills live in StorageManager.migrations (storage.js)
     let userData = this.getUserData();
     if (!userData) {
-      userData = { ...this.defaultUserData };
+      userData = this.createUserData();
       this.saveUserData(userData);
     }
-    // Initialize achievement timestamps if missing (migration)
-    if (!userData.achievementUnlockTimes) {
-      userData.achievementUnlockTimes = {};
+
+    // Ledger is authoritative: seal legacy entries, compact, fix drifted totals
+    const totalsBefore = `${userData.totalXP}/${userData.totalXPEarned}`;
+    const sealed = this.sealLedger(userData);
+    const compacted = this.compactLedger(userData);
+    this.recomputeBalance(userData);
+    if (sealed || compacted || totalsBefore !== `${userData.totalXP}/${userData.totalXPEarned}`) {
+      this.saveUserData(userData);
     }
-    
+    const integrity = this.verifyLedger(userData);
+    if (!integrity.valid) {
+      console.warn(`XP ledger failed verification at entry ${integrity.brokenAt}; history may have been edited`);
+    }
+
     // Mark as initialized BEFORE dispatching events
     this._initialized = true;
+    this.startCrossTabSync();
     
     // Dispatch event to notify that GameSystem is ready
     setTimeout(() => {
@@ -75,49 +215,127 @@ const GameSystem = {
   },
 
   /**
-   * Get user's gamification data from localStorage
-   * @returns {Object|null} User data or null if not found
+   * Fresh user data (deep copy, so defaults' arrays are never shared)
+   * @returns {Object} New user data
+   */
+  createUserData() {
+    return JSON.parse(JSON.stringify(this.defaultUserData));
+  },
+
+  /**
+   * Get user's gamification data via StorageManager
+   * @returns {Object|null} User data or null if not found (or unreadable)
    */
   getUserData() {
-    const data = localStorage.getItem('gamificationData');
-    return data ? JSON.parse(data) : null;
+    return StorageManager.get('gamificationData');
   },
 
   /**
-   * Save user's gamification data to localStorage (SINGLE SOURCE OF TRUTH)
+   * Save user's gamification data via StorageManager (SINGLE SOURCE OF TRUTH)
    * @param {Object} userData - User data to save
    */
   saveUserData(userData) {
-    localStorage.setItem('gamificationData', JSON.stringify(userData));
+    StorageManager.set('gamificationData', userData);
     // Trigger custom event so UI can update
     window.dispatchEvent(new CustomEvent('gamificationUpdate', { detail: userData }));
   },
 
   /**
-   * Award XP to user with debouncing to prevent farming
-   * @param {number} amount - XP to award
-   * @param {string} source - Source of XP (for analytics)
-   * @returns {Object} Updated user data or null if debounced
+   * Start listening for gamificationData changes from other tabs (IDEMPOTENT)
    */
-  awardXP(amount, source = 'unknown') {
+  startCrossTabSync() {
+    if (this._syncStarted) return;
+    this._syncStarted = true;
+    StorageManager.subscribe('gamificationData', incoming => this.reconcile(incoming));
+  },
+
+  /**
+   * Remember a change made in this tab so reconcile() can restore it
+   * @param {Function} isApplied - (userData) => true if the change is present
+   * @param {Function} apply - (userData) => re-applies the change
+   */
+  recordChange(isApplied, apply) {
+    this._journal.push({ time: Date.now(), isApplied, apply });
+  },
+
+  /**
+   * Merge another tab's write with this tab's recent changes
+   * Re-applies any journaled change the incoming data is missing, then
+   * notifies the page so nav stats and UIs refresh.
+   * @param {Object|null} incoming - gamificationData written by another tab
+   */
+  reconcile(incoming) {
+    // Another tab reset progress; don't resurrect our changes
+    if (!incoming) {
+      this._journal = [];
+      window.dispatchEvent(new CustomEvent('gamificationUpdate', { detail: this.getUserData() }));
+      return;
+    }
+
+    const cutoff = Date.now() - this._journalTtlMs;
+    this._journal = this._journal.filter(change => change.time >= cutoff);
+
+    const missing = this._journal.filter(change => !change.isApplied(incoming));
+    if (missing.length) {
+      missing.forEach(change => change.apply(incoming));
+      this.checkAchievements(incoming);
+      this.saveUserData(incoming); // Broadcasts back to the other tab
+    } else {
+      window.dispatchEvent(new CustomEvent('gamificationUpdate', { detail: incoming }));
+    }
+
+    // Theme may have been switched in the other tab
+    ThemeManager.applyActiveTheme();
+  },
+
+  /**
+   * Calculate the XP an event is worth without awarding it
+   * @param {string} source - Rule key in xpRules
+   * @param {Object} context - Event details the rule needs
+   * @returns {number} XP amount (0 for unknown sources)
+   */
+  previewXP(source, context = {}) {
+    const rule = this.xpRules[source];
+    if (!rule) {
+      console.warn(`No XP rule for source "${source}"`);
+      return 0;
+    }
+    return Math.max(0, Math.round(rule(context, this.getUserData() || this.defaultUserData)));
+  },
+
+  /**
+   * Earn XP through the ledger (the ONLY way XP is awarded)
+   * @param {string} source - Rule key in xpRules
+   * @param {Object} context - Event details for the rule
+   * @param {string} idempotencyKey - Unique event key; repeats are ignored
+   * @returns {Object|null} Ledger entry, or null if duplicate/debounced/zero
+   */
+  earnXP(source, context = {}, idempotencyKey = null) {
     const now = Date.now();
     // FARMING PREVENTION: Check if we're awarding too frequently
     if (now - this._lastXPAwardTime < this._xpDebounceMs) {
       console.log('XP award debounced - too frequent');
       return null; // Debounced, don't award
     }
+
+    const userData = this.getUserData() || this.createUserData();
+    const key = idempotencyKey || `${source}:${now}`;
+    if (this.hasLedgerKey(userData, key)) return null;
+
+    const amount = this.previewXP(source, context);
+    if (amount <= 0) return null;
     this._lastXPAwardTime = now;
 
-    const userData = this.getUserData() || this.defaultUserData;
-    userData.totalXP += amount;
-    userData.totalXPEarned = (userData.totalXPEarned || 0) + amount; // Track all-time earning
-
-    // Track XP history for analytics
-    userData.xpHistory.push({
-      amount,
-      source,
-      timestamp: new Date().toISOString()
-    });
+    const entry = this.postLedgerEntry(userData, { key, kind: 'earn', source, amount });
+    this.incrementCounter(userData, source);
+    this.recordChange(
+      data => this.hasLedgerKey(data, key),
+      data => {
+        this.postLedgerEntry(data, { ...entry });
+        this.incrementCounter(data, source);
+        this.updateStreak(data);
+      }
+    );
 
     // Update streak
     this.updateStreak(userData);
@@ -133,6 +351,7 @@ const GameSystem = {
       detail: { 
         amount, 
         source, 
+        key,
         newTotal: userData.totalXP,
         streakMultiplier: this.getStreakMultiplier(userData),
         newAchievements  // Only newly unlocked ones
@@ -142,7 +361,240 @@ const GameSystem = {
     // Check for milestones
     this.checkMilestone(userData);
 
-    return userData;
+    return entry;
+  },
+
+  /**
+   * Spend XP through the ledger
+   * @param {Object} userData - User data to modify (caller saves)
+   * @param {string} source - Rule key in spendRules
+   * @param {Object} context - Details for the rule
+   * @param {string} idempotencyKey - Unique spend key; repeats are ignored
+   * @returns {Object|null} Ledger entry, or null if duplicate/unaffordable
+   */
+  spendXP(userData, source, context, idempotencyKey) {
+    const rule = this.spendRules[source];
+    if (!rule) {
+      console.warn(`No spend rule for source "${source}"`);
+      return null;
+    }
+    if (this.hasLedgerKey(userData, idempotencyKey)) return null;
+
+    const cost = Math.max(0, Math.round(rule(context)));
+    if (userData.totalXP < cost) return null;
+
+    return this.postLedgerEntry(userData, { key: idempotencyKey, kind: 'spend', source, amount: -cost });
+  },
+
+  /**
+   * Append a hash-chained entry and update balances
+   * @param {Object} userData - User data to modify
+   * @param {Object} fields - { key, kind, source, amount, id?, timestamp? }
+   * @returns {Object} The appended entry
+   */
+  postLedgerEntry(userData, fields) {
+    userData.xpHistory = userData.xpHistory || [];
+    const entry = {
+      id: fields.id || `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+      key: fields.key,
+      kind: fields.kind,
+      source: fields.source,
+      amount: fields.amount,
+      timestamp: fields.timestamp || new Date().toISOString()
+    };
+    entry.hash = this.hashLedgerEntry(entry, this.getLedgerTail(userData));
+    userData.xpHistory.push(entry);
+
+    if (entry.amount > 0) {
+      userData.totalXPEarned = (userData.totalXPEarned || 0) + entry.amount;
+    }
+    userData.totalXP = (userData.totalXP || 0) + entry.amount;
+    this.compactLedger(userData);
+    return entry;
+  },
+
+  /**
+   * Find a ledger entry by idempotency key
+   * @param {Object} userData - User data
+   * @param {string} key - Idempotency key
+   * @returns {Object|null} Entry or null
+   */
+  findLedgerEntry(userData, key) {
+    return (userData?.xpHistory || []).find(e => e.key === key) || null;
+  },
+
+  /**
+   * Has an event with this key been posted (live, or folded into the checkpoint)?
+   * Use this for idempotency; findLedgerEntry only sees live entries.
+   * @param {Object} userData - User data
+   * @param {string} key - Idempotency key
+   * @returns {boolean} True if the event was already posted
+   */
+  hasLedgerKey(userData, key) {
+    return Boolean(this.findLedgerEntry(userData, key)) || this.checkpointCovers(userData?.ledgerCheckpoint, { key });
+  },
+
+  /**
+   * Is an entry already counted in a checkpoint?
+   * Checkpoints list digests of the keys they folded. Ones made before that
+   * (no `keys`, or up to `legacyThrough`) only know the time they cover.
+   * @param {Object|null} checkpoint - ledgerCheckpoint
+   * @param {Object} entry - { key, timestamp? }
+   * @returns {boolean} True if the checkpoint's totals include it
+   */
+  checkpointCovers(checkpoint, entry) {
+    if (!checkpoint) return false;
+    if (Array.isArray(checkpoint.keys) && checkpoint.keys.includes(this.hashText(String(entry.key)))) return true;
+    const through = Array.isArray(checkpoint.keys) ? checkpoint.legacyThrough : checkpoint.through;
+    return Boolean(through && entry.timestamp) && Date.parse(entry.timestamp) <= Date.parse(through);
+  },
+
+  /**
+   * Get a ledger entry by idempotency key from stored data
+   * Pages use this to show exactly what was awarded for an event.
+   * @param {string} key - Idempotency key
+   * @returns {Object|null} Entry or null
+   */
+  getLedgerEntry(key) {
+    return this.findLedgerEntry(this.getUserData(), key);
+  },
+
+  /**
+   * Hash of the last entry (or the checkpoint / genesis) to chain onto
+   * @param {Object} userData - User data
+   * @returns {string} Previous hash
+   */
+  getLedgerTail(userData) {
+    const history = userData.xpHistory || [];
+    if (history.length) return history[history.length - 1].hash;
+    return userData.ledgerCheckpoint?.hash || this.LEDGER_GENESIS;
+  },
+
+  /**
+   * FNV-1a hash of an entry chained to the previous hash
+   * Tamper-EVIDENT, not tamper-proof: editing any entry breaks every later hash.
+   * @param {Object} entry - Ledger entry
+   * @param {string} prevHash - Hash of the previous entry
+   * @returns {string} 8-char hex hash
+   */
+  hashLedgerEntry(entry, prevHash) {
+    return this.hashText([prevHash, entry.id, entry.key, entry.kind, entry.source, entry.amount, entry.timestamp].join('|'));
+  },
+
+  /**
+   * FNV-1a hash of a string
+   * @param {string} text - Text to hash
+   * @returns {string} 8 hex digits
+   */
+  hashText(text) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+      hash ^= text.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193) >>> 0;
+    }
+    return hash.toString(16).padStart(8, '0');
+  },
+
+  /**
+   * Hash entries that have none yet (migrated legacy history)
+   * Existing hashes are kept so verifyLedger can still spot edits, unless
+   * `rechain` is set (after a backup merge reorders entries).
+   * @param {Object} userData - User data to modify
+   * @param {boolean} rechain - Recompute every hash from the checkpoint
+   * @returns {boolean} True if any hash changed
+   */
+  sealLedger(userData, rechain = false) {
+    let prev = userData.ledgerCheckpoint?.hash || this.LEDGER_GENESIS;
+    let changed = false;
+    (userData.xpHistory || []).forEach(entry => {
+      if (rechain || !entry.hash) {
+        const hash = this.hashLedgerEntry(entry, prev);
+        if (entry.hash !== hash) {
+          entry.hash = hash;
+          changed = true;
+        }
+      }
+      prev = entry.hash;
+    });
+    return changed;
+  },
+
+  /**
+   * Check the hash chain
+   * @param {Object} userData - User data (defaults to stored data)
+   * @returns {Object} { valid, brokenAt } (brokenAt is the first bad index, or -1)
+   */
+  verifyLedger(userData = this.getUserData()) {
+    let prev = userData?.ledgerCheckpoint?.hash || this.LEDGER_GENESIS;
+    const history = userData?.xpHistory || [];
+    for (let i = 0; i < history.length; i++) {
+      if (history[i].hash !== this.hashLedgerEntry(history[i], prev)) {
+        return { valid: false, brokenAt: i };
+      }
+      prev = history[i].hash;
+    }
+    return { valid: true, brokenAt: -1 };
+  },
+
+  /**
+   * Recompute balances from the ledger (checkpoint + live entries)
+   * @param {Object} userData - User data to modify
+   * @returns {Object} { earned, spent }
+   */
+  recomputeBalance(userData) {
+    const checkpoint = userData.ledgerCheckpoint || { earned: 0, spent: 0 };
+    let earned = checkpoint.earned || 0;
+    let spent = checkpoint.spent || 0;
+    (userData.xpHistory || []).forEach(entry => {
+      if (entry.amount > 0) earned += entry.amount;
+      else spent += -entry.amount;
+    });
+    userData.totalXPEarned = earned;
+    userData.totalXP = earned - spent;
+    return { earned, spent };
+  },
+
+  /**
+   * Fold old entries into ledgerCheckpoint so history stays bounded
+   * Keeps per-source totals for analytics; balances are unchanged.
+   * @param {Object} userData - User data to modify
+   * @returns {boolean} True if anything was compacted
+   */
+  compactLedger(userData) {
+    const history = userData.xpHistory || [];
+    const cutoff = Date.now() - this.ledgerRetentionDays * 86400000;
+    let foldCount = 0;
+    if (history.length > this.ledgerMaxEntries) {
+      foldCount = history.length - this.ledgerKeepEntries;
+    }
+    while (foldCount < history.length && Date.parse(history[foldCount].timestamp) < cutoff) {
+      foldCount++;
+    }
+    if (foldCount === 0) return false;
+
+    const folded = history.slice(0, foldCount);
+    const checkpoint = userData.ledgerCheckpoint || { earned: 0, spent: 0, count: 0, bySource: {}, keys: [] };
+    if (!Array.isArray(checkpoint.keys)) {
+      // Made before key digests were kept: entries up to here can only be matched by time
+      checkpoint.legacyThrough = checkpoint.through;
+      checkpoint.keys = [];
+    }
+    folded.forEach(entry => {
+      const source = String(entry.source).split(':')[0];
+      if (entry.amount > 0) checkpoint.earned += entry.amount;
+      else checkpoint.spent += -entry.amount;
+      checkpoint.bySource[source] = (checkpoint.bySource[source] || 0) + entry.amount;
+    });
+    checkpoint.count += folded.length;
+    // Digests of folded keys keep earnXP/merges idempotent without keeping the entries
+    checkpoint.keys.push(...folded.map(entry => this.hashText(String(entry.key))));
+    checkpoint.through = folded[folded.length - 1].timestamp;
+    // Chain continues from the last folded hash, so verification still works
+    checkpoint.hash = folded[folded.length - 1].hash;
+
+    userData.ledgerCheckpoint = checkpoint;
+    userData.xpHistory = history.slice(foldCount);
+    return true;
   },
 
   /**
@@ -150,18 +602,15 @@ const GameSystem = {
    * @param {Object} userData - User data to update
    */
   updateStreak(userData) {
-    const today = new Date().toDateString();
-    const lastDate = userData.lastActivityDate ? new Date(userData.lastActivityDate).toDateString() : null;
+    // Day keys respect the user's timezone and day-start hour (see calendar.js)
+    const today = CalendarDay.today();
+    const lastDate = userData.lastActivityDate ? CalendarDay.dayKey(userData.lastActivityDate) : null;
     
     // Only update if date changed (prevent multiple updates same day)
     if (lastDate !== today) {
-      const yesterday = new Date(Date.now() - 86400000).toDateString();
-      
-      if (lastDate === yesterday) {
-        userData.currentStreak += 1;
-      } else {
-        userData.currentStreak = 1;
-      }
+      const result = this.advanceStreak(userData, userData.currentStreak, lastDate, 'global');
+      userData.currentStreak = result.streak;
+      if (result.broken) userData.brokenStreak = result.broken;
       
       if (userData.currentStreak > userData.longestStreak) {
         userData.longestStreak = userData.currentStreak;
@@ -171,6 +620,122 @@ const GameSystem = {
     }
   },
 
+  /**
+   * Advance a streak to today, consuming freezes for missed days
+   * Shared by the global streak and per-challenge streaks (challenges.html).
+   * A freeze covers a calendar day for every scope: the first scope to reach
+   * a missed day pays for it, later scopes reuse the day from freezeHistory.
+   * @param {Object} userData - User data (freeze inventory; caller saves)
+   * @param {number} streak - Streak before today
+   * @param {string|null} lastKey - Day key of the last activity
+   * @param {string} scope - 'global' or 'challenge:<id>' (for freeze history)
+   * @returns {Object} { streak, broken, frozen, covered } (broken is set when the
+   *   streak reset; frozen = freezes used now, covered = missed days already frozen)
+   */
+  advanceStreak(userData, streak, lastKey, scope) {
+    const today = CalendarDay.today();
+    if (!lastKey || !streak) return { streak: 1, broken: null, frozen: 0, covered: 0 };
+
+    const gap = CalendarDay.diffDays(lastKey, today);
+    if (gap <= 0) return { streak, broken: null, frozen: 0, covered: 0 }; // Already counted today
+    if (gap === 1) return { streak: streak + 1, broken: null, frozen: 0, covered: 0 };
+
+    const missedDays = Array.from({ length: gap - 1 }, (_, i) => CalendarDay.addDays(lastKey, i + 1));
+    const frozenDays = new Set((userData.freezeHistory || []).filter(use => use.type === 'freeze').map(use => use.day));
+    const uncovered = missedDays.filter(day => !frozenDays.has(day));
+
+    // GUARD: Only freeze if every missed day is covered (partial freezes are kept)
+    if ((userData.streakFreezes || 0) >= uncovered.length) {
+      userData.streakFreezes = (userData.streakFreezes || 0) - uncovered.length;
+      userData.freezeHistory = userData.freezeHistory || [];
+      uncovered.forEach(day => {
+        userData.freezeHistory.push({ type: 'freeze', scope, day, at: new Date().toISOString() });
+      });
+      return { streak: streak + 1, broken: null, frozen: uncovered.length, covered: missedDays.length - uncovered.length };
+    }
+
+    return { streak: 1, broken: { length: streak, missed: missedDays.length, brokenOn: today, scope }, frozen: 0, covered: 0 };
+  },
+
+  /**
+   * Buy a streak freeze with spendable XP
+   * @returns {Object|null} Updated user data, or null if unaffordable/at max
+   */
+  buyStreakFreeze() {
+    const userData = this.getUserData() || this.createUserData();
+    if ((userData.streakFreezes || 0) >= this.streakItems.freeze.maxOwned) return null;
+
+    const entry = this.spendXP(userData, 'streakFreeze', {}, `streakFreeze:${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`);
+    if (!entry) return null;
+    userData.streakFreezes = (userData.streakFreezes || 0) + 1;
+    this.recordChange(
+      data => this.hasLedgerKey(data, entry.key),
+      data => {
+        this.postLedgerEntry(data, { ...entry });
+        data.streakFreezes = Math.min(this.streakItems.freeze.maxOwned, (data.streakFreezes || 0) + 1);
+      }
+    );
+    this.saveUserData(userData);
+    return userData;
+  },
+
+  /**
+   * Check whether a broken streak can still be repaired
+   * @param {Object|null} broken - Break record from advanceStreak
+   * @returns {boolean} True if within the window and only yesterday was missed
+   */
+  canRepairStreak(broken) {
+    if (!broken || broken.missed !== 1) return false;
+    return CalendarDay.diffDays(broken.brokenOn, CalendarDay.today()) < this.streakItems.repair.windowDays;
+  },
+
+  /**
+   * Pay for a streak repair and record it (caller restores the streak)
+   * @param {Object} userData - User data to modify (caller saves)
+   * @param {Object} broken - Break record from advanceStreak
+   * @returns {boolean} True if paid
+   */
+  chargeStreakRepair(userData, broken) {
+    if (!this.canRepairStreak(broken)) return false;
+    const entry = this.spendXP(userData, 'streakRepair', {}, `streakRepair:${broken.scope}:${broken.brokenOn}`);
+    if (!entry) return false;
+    userData.freezeHistory = userData.freezeHistory || [];
+    userData.freezeHistory.push({ type: 'repair', scope: broken.scope, day: CalendarDay.addDays(broken.brokenOn, -1), at: new Date().toISOString() });
+    return true;
+  },
+
+  /**
+   * Repair the global streak broken by a single missed day
+   * @returns {Object|null} Updated user data, or null if not repairable/unaffordable
+   */
+  repairStreak() {
+    const userData = this.getUserData();
+    if (!userData || !this.chargeStreakRepair(userData, userData.brokenStreak)) return null;
+
+    // Missed day counts as kept: old streak + the day(s) since
+    userData.currentStreak = userData.brokenStreak.length + userData.currentStreak;
+    userData.longestStreak = Math.max(userData.longestStreak || 0, userData.currentStreak);
+    userData.brokenStreak = null;
+    this.checkAchievements(userData);
+    this.saveUserData(userData);
+    return userData;
+  },
+
+  /**
+   * Get streak freeze inventory and recent uses
+   * @returns {Object} { owned, maxOwned, history, brokenStreak, canRepair }
+   */
+  getStreakProtection() {
+    const userData = this.getUserData();
+    return {
+      owned: userData?.streakFreezes || 0,
+      maxOwned: this.streakItems.freeze.maxOwned,
+      history: (userData?.freezeHistory || []).slice().reverse(),
+      brokenStreak: userData?.brokenStreak || null,
+      canRepair: this.canRepairStreak(userData?.brokenStreak)
+    };
+  },
+
   /**
    * Get streak-based XP multiplier (1.0 base, up to 1.5x at 7+ day streaks)
    * @param {Object} userData - User data
@@ -184,6 +749,96 @@ const GameSystem = {
     return 1.0;
   },
 
+  /**
+   * Count an earn event by source (feeds stats like quizzesTaken)
+   * @param {Object} userData - User data to modify
+   * @param {string} source - Ledger source
+   */
+  incrementCounter(userData, source) {
+    userData.counters = userData.counters || {};
+    userData.counters[source] = (userData.counters[source] || 0) + 1;
+  },
+
+  /**
+   * Load achievement definitions from achievements.json
+   * @returns {Promise<Array>} Expanded achievement list
+   */
+  async loadAchievements() {
+    try {
+      const response = await fetch('achievements.json');
+      this.achievements = this.expandAchievements(await response.json());
+    } catch (error) {
+      console.error('Failed to load achievements:', error);
+      this.achievements = [];
+    }
+    window.dispatchEvent(new CustomEvent('achievementsLoaded', { detail: this.achievements }));
+    return this.achievements;
+  },
+
+  /**
+   * Expand definitions into one unlockable entry per tier
+   * @param {Array} definitions - Raw achievements.json entries
+   * @returns {Array} Entries: { id, group, name, tier, desc, icon, category, stat, target }
+   */
+  expandAchievements(definitions) {
+    return definitions.flatMap(def => {
+      if (!this.achievementStats[def.stat]) {
+        console.warn(`Achievement "${def.id}" uses unknown stat "${def.stat}"`);
+        return [];
+      }
+      const tiers = Array.isArray(def.tiers) ? def.tiers : [{ tier: null, target: def.target }];
+      return tiers.map(level => ({
+        id: level.tier ? `${def.id}.${level.tier}` : def.id,
+        group: def.id,
+        name: def.name,
+        tier: level.tier,
+        desc: String(def.description).replace('{target}', level.target),
+        icon: def.icon || '⭐',
+        category: def.category || 'general',
+        stat: def.stat,
+        target: Number(level.target) || 0
+      }));
+    });
+  },
+
+  /**
+   * Compute every tracked stat once
+   * @param {Object} userData - User data
+   * @param {string} profile - Profile the data belongs to (defaults to the active one)
+   * @returns {Object} { statName: number }
+   */
+  collectStats(userData, profile = StorageManager.profile) {
+    const stores = {
+      profile,
+      challenges: StorageManager.get('challenges', profile),
+      gameScores: StorageManager.get('gameScores', profile),
+      gameHistory: StorageManager.get('gameHistory', profile),
+      quizHistory: StorageManager.get('quizHistory', profile)
+    };
+    const stats = {};
+    Object.entries(this.achievementStats).forEach(([name, compute]) => {
+      try {
+        stats[name] = compute(userData, stores);
+      } catch (err) {
+        console.warn(`Achievement stat "${name}" failed`, err);
+        stats[name] = 0;
+      }
+    });
+    return stats;
+  },
+
+  /**
+   * Partial progress toward an achievement
+   * @param {Object} achievement - Expanded achievement
+   * @param {Object} stats - Result of collectStats
+   * @returns {Object} { current, target, percent }
+   */
+  getAchievementProgress(achievement, stats) {
+    const current = Math.min(stats[achievement.stat] || 0, achievement.target);
+    const percent = achievement.target > 0 ? Math.floor((current / achievement.target) * 100) : 100;
+    return { current, target: achievement.target, percent };
+  },
+
   /**
    * Check for achievement unlocks - only returns NEWLY unlocked achievements
    * CRITICAL: Each achievement is shown only once per unlock
@@ -194,24 +849,16 @@ const GameSystem = {
     const newAchievements = [];
     userData.unlockedAchievements = userData.unlockedAchievements || [];
     userData.achievementUnlockTimes = userData.achievementUnlockTimes || {};
+    if (!this.achievements.length) return newAchievements; // Not loaded yet
 
-    Object.values(this.achievements).forEach(achievement => {
+    const stats = this.collectStats(userData);
+    this.achievements.forEach(achievement => {
       // GUARD: Skip if already unlocked
       if (userData.unlockedAchievements.includes(achievement.id)) {
         return;
       }
 
-      let unlocked = false;
-
-      if (achievement.xp && userData.totalXPEarned >= achievement.xp) {
-        unlocked = true;
-      } else if (achievement.streak && userData.currentStreak >= achievement.streak) {
-        unlocked = true;
-      } else if (achievement.theme && userData.unlockedThemes.length >= achievement.theme + 1) {
-        unlocked = true;
-      }
-
-      if (unlocked) {
+      if ((stats[achievement.stat] || 0) >= achievement.target) {
         userData.unlockedAchievements.push(achievement.id);
         // PERSISTENCE: Record the exact time achievement was unlocked
         userData.achievementUnlockTimes[achievement.id] = new Date().toISOString();
@@ -222,6 +869,22 @@ const GameSystem = {
     return newAchievements;
   },
 
+  /**
+   * Check achievements after a stat changed outside an XP award
+   * (e.g. quiz results saved, definitions finished loading)
+   * @returns {Array} Newly unlocked achievements
+   */
+  evaluateAchievements() {
+    const userData = this.getUserData();
+    if (!userData) return [];
+    const newAchievements = this.checkAchievements(userData);
+    if (newAchievements.length) {
+      this.saveUserData(userData);
+      window.dispatchEvent(new CustomEvent('achievementsUnlocked', { detail: { newAchievements } }));
+    }
+    return newAchievements;
+  },
+
   /**
    * Check for XP milestones and celebrate
    * @param {Object} userData - User data
@@ -253,27 +916,34 @@ const GameSystem = {
   },
 
   /**
-   * Unlock a theme by spending XP
+   * Unlock a theme by spending XP (cost comes from spendRules, not the caller)
    * @param {string} themeId - Theme ID to unlock
-   * @param {number} cost - XP cost
+   * @param {number} cost - XP cost shown to the user (fallback if theme isn't loaded)
    * @returns {Object|null} Updated user data on success, null on failure
    */
   unlockTheme(themeId, cost) {
-    const userData = this.getUserData() || this.defaultUserData;
+    const userData = this.getUserData() || this.createUserData();
 
     // Validate theme not already unlocked
     if (userData.unlockedThemes.includes(themeId)) {
       return null; // Already unlocked
     }
 
-    // Validate user has enough XP
-    if (userData.totalXP < cost) {
+    // Deduct XP via the ledger (null = not enough XP)
+    const key = `themeUnlock:${themeId}`;
+    const entry = this.spendXP(userData, 'themeUnlock', { themeId, cost }, key);
+    if (!entry) {
       return null; // Not enough XP
     }
-
-    // Deduct XP and unlock theme
-    userData.totalXP -= cost;
     userData.unlockedThemes.push(themeId);
+    this.recordChange(
+      data => (data.unlockedThemes || []).includes(themeId),
+      data => {
+        if (!this.hasLedgerKey(data, key)) this.postLedgerEntry(data, { ...entry });
+        data.unlockedThemes = data.unlockedThemes || ['default'];
+        data.unlockedThemes.push(themeId);
+      }
+    );
 
     // Check for achievements
     const newAchievements = this.checkAchievements(userData);
@@ -294,8 +964,10 @@ const GameSystem = {
    * @returns {boolean} True if unlocked
    */
   isThemeUnlocked(themeId) {
+    // Themes the user built are always theirs, as long as they still exist
+    if (ThemeManager.isCustom(themeId)) return ThemeManager.getCustomThemes().some(theme => theme.id === themeId);
     const userData = this.getUserData();
-    return userData && userData.unlockedThemes.includes(themeId);
+    return Boolean(userData && userData.unlockedThemes.includes(themeId));
   },
 
   /**
@@ -366,7 +1038,8 @@ const GameSystem = {
    * Reset gamification data (for testing or user request)
    */
   reset() {
-    localStorage.removeItem('gamificationData');
+    StorageManager.remove('gamificationData');
+    this._journal = [];
     this.init();
   },
 
@@ -390,26 +1063,57 @@ const GameSystem = {
   getAchievements() {
     const userData = this.getUserData();
     const unlockedIds = userData?.unlockedAchievements || [];
-    return unlockedIds
-      .map(id => Object.values(this.achievements).find(a => a.id === id))
-      .filter(Boolean);
+    return this.achievements.filter(a => unlockedIds.includes(a.id));
   },
 
   /**
-   * Get next achievement to unlock
-   * @returns {Object|null} Next achievement or null if all unlocked
+   * Get achievements grouped by definition, with tier progress (for display)
+   * @returns {Array} { group, name, icon, category, tiers: [{ ...achievement, unlocked, unlockedAt, progress }] }
    */
-  getNextAchievement() {
-    const userData = this.getUserData();
-    const unlockedIds = userData?.unlockedAchievements || [];
+  getAchievementGroups() {
+    const userData = this.getUserData() || this.defaultUserData;
+    const unlockedIds = userData.unlockedAchievements || [];
+    const stats = this.collectStats(userData);
+    const groups = new Map();
+
+    this.achievements.forEach(achievement => {
+      if (!groups.has(achievement.group)) {
+        groups.set(achievement.group, {
+          group: achievement.group,
+          name: achievement.name,
+          icon: achievement.icon,
+          category: achievement.category,
+          tiers: []
+        });
+      }
+      groups.get(achievement.group).tiers.push({
+        ...achievement,
+        unlocked: unlockedIds.includes(achievement.id),
+        unlockedAt: userData.achievementUnlockTimes?.[achievement.id] || null,
+        progress: this.getAchievementProgress(achievement, stats)
+      });
+    });
+    return [...groups.values()];
+  },
 
-    // Find first locked achievement
-    for (const achievement of Object.values(this.achievements)) {
-      if (!unlockedIds.includes(achievement.id)) {
-        return achievement;
+  /**
+   * Get the locked achievement closest to unlocking
+   * @returns {Object|null} Achievement with `progress`, or null if all unlocked
+   */
+  getNextAchievement() {
+    const userData = this.getUserData() || this.defaultUserData;
+    const unlockedIds = userData.unlockedAchievements || [];
+    const stats = this.collectStats(userData);
+
+    let best = null;
+    this.achievements.forEach(achievement => {
+      if (unlockedIds.includes(achievement.id)) return;
+      const progress = this.getAchievementProgress(achievement, stats);
+      if (!best || progress.percent > best.progress.percent) {
+        best = { ...achievement, progress };
       }
-    }
-    return null;
+    });
+    return best;
   },
 
   // Level System - CENTRALIZED
@@ -457,8 +1161,21 @@ const GameSystem = {
  * IDEMPOTENT: Safe to call applyTheme multiple times without re-rendering
  */
 const ThemeManager = {
+  CUSTOM_KEY: 'customThemes',
+  SCHEDULE_KEY: 'themeSchedule',
+  CUSTOM_PREFIX: 'custom-', // Ids of user-built themes, so they never clash with themes.json
+  CUSTOM_ID_PATTERN: /^custom-[a-z0-9-]{1,40}$/, // Ids end up in markup; imported files can't smuggle anything in
+  MAX_CUSTOM: 20,
+
+  // User themes may only hold hex colours and 2-3 stop linear gradients (they come from files)
+  COLOR_PATTERN: /^#(?:[0-9a-f]{3}|[0-9a-f]{6}|[0-9a-f]{8})$/i,
+  BACKGROUND_PATTERN: /^(?:#(?:[0-9a-f]{3}|[0-9a-f]{6}|[0-9a-f]{8})|linear-gradient\(\d{1,3}deg(?:, #(?:[0-9a-f]{3}|[0-9a-f]{6}|[0-9a-f]{8})){2,3}\))$/i,
+
   themes: [],
   _currentAppliedTheme: null, // Track currently applied theme to prevent redundant applications
+  _previewing: false, // A preview is showing; nothing about it is saved
+  _scheduleTimer: null,
+  _watchingScheme: false, // prefers-color-scheme listener added (once per page)
 
   /**
    * Load themes from themes.json
@@ -468,6 +1185,7 @@ const ThemeManager = {
       const response = await fetch('themes.json');
       this.themes = await response.json();
       this.applyActiveTheme();
+      this.watchSchedule();
       return this.themes;
     } catch (error) {
       console.error('Failed to load themes:', error);
@@ -481,28 +1199,142 @@ const ThemeManager = {
    * @returns {Object|null} Theme object or null
    */
   getTheme(themeId) {
-    return this.themes.find(t => t.id === themeId) || null;
+    return this.getAllThemes().find(t => t.id === themeId) || null;
   },
 
   /**
    * Get all themes
-   * @returns {Array} Array of theme objects
+   * @returns {Array} themes.json entries, then the user's own (custom: true)
    */
   getAllThemes() {
-    return this.themes;
+    return [...this.themes, ...this.getCustomThemes()];
+  },
+
+  /**
+   * Themes made in the theme builder (theme-builder.js); free and always unlocked
+   * @returns {Array} { id, name, description, cssVariables, background, custom: true, xpCost: 0 }
+   */
+  getCustomThemes() {
+    return StorageManager.get(this.CUSTOM_KEY)
+      .filter(t => this.isSafeTheme(t))
+      .map(t => ({ ...t, custom: true, xpCost: 0, isPremium: false }));
+  },
+
+  /**
+   * @param {Object} theme - Candidate user theme
+   * @returns {boolean} True if it has a custom id and only safe colour values
+   */
+  isSafeTheme(theme) {
+    return Boolean(theme && this.isCustom(theme.id) && theme.cssVariables && typeof theme.cssVariables === 'object'
+      && Object.values(theme.cssVariables).every(value => this.COLOR_PATTERN.test(value))
+      && this.BACKGROUND_PATTERN.test(theme.background || ''));
+  },
+
+  /**
+   * @param {string} themeId - Theme ID
+   * @returns {boolean} True for well-formed user-built theme ids
+   */
+  isCustom(themeId) {
+    return typeof themeId === 'string' && this.CUSTOM_ID_PATTERN.test(themeId);
+  },
+
+  /**
+   * Add or replace a user-built theme (ThemeBuilder.validate explains what's wrong)
+   * @param {Object} theme - { id, name, description, cssVariables, background }
+   * @returns {boolean} True on success (false if unsafe or MAX_CUSTOM is reached)
+   */
+  saveCustomTheme(theme) {
+    if (!this.isSafeTheme(theme)) return false;
+    const { id, name, description, cssVariables, background } = theme;
+    const others = StorageManager.get(this.CUSTOM_KEY).filter(t => t && t.id !== id);
+    if (others.length >= this.MAX_CUSTOM) return false;
+    const saved = StorageManager.set(this.CUSTOM_KEY, [...others, { id, name, description, cssVariables, background }]);
+    // Editing the theme in use shows the change right away
+    if (saved && this._currentAppliedTheme === id) this.applyActiveTheme({ force: true });
+    return saved;
+  },
+
+  /**
+   * Delete a user-built theme; if it was in use, the default theme takes over
+   * @param {string} themeId - Custom theme ID
+   */
+  deleteCustomTheme(themeId) {
+    if (!this.isCustom(themeId)) return;
+    StorageManager.set(this.CUSTOM_KEY, StorageManager.get(this.CUSTOM_KEY).filter(t => t && t.id !== themeId));
+    if (GameSystem.getActiveTheme() === themeId) GameSystem.setActiveTheme('default');
+    this.applyActiveTheme();
   },
 
   /**
    * Apply theme to document (IDEMPOTENT: Safe to call repeatedly)
-   * GUARD: Skips if same theme is already applied
+   * Only unlocked themes can be applied; use preview() to try a locked one.
+   * Picking a theme turns the light/dark schedule off so the pick sticks.
    * @param {string} themeId - Theme ID to apply
+   * @returns {boolean} True if the theme is now active
    */
   applyTheme(themeId) {
     const theme = this.getTheme(themeId);
-    if (!theme) return;
+    if (!theme) {
+      console.warn(`ThemeManager: unknown theme "${themeId}"`);
+      return false;
+    }
+    if (!GameSystem.isThemeUnlocked(themeId)) {
+      console.warn(`ThemeManager: theme "${themeId}" is locked; unlock it before applying`);
+      return false;
+    }
+
+    this._previewing = false;
+    this.render(theme);
+    // Save active theme (update GameSystem state)
+    const saved = GameSystem.setActiveTheme(themeId);
+    if (saved && this.getSchedule().mode !== 'off') this.setSchedule({ mode: 'off' });
+    return saved;
+  },
+
+  /**
+   * Show a theme without saving it (locked themes and unsaved builder drafts too)
+   * The saved theme comes back with endPreview() or on the next page load.
+   * @param {Object|string} themeOrId - Theme ID, or a theme object from the builder
+   * @returns {boolean} True if something was shown
+   */
+  preview(themeOrId) {
+    const theme = typeof themeOrId === 'string' ? this.getTheme(themeOrId) : themeOrId;
+    if (!theme || !theme.cssVariables) return false;
+    this._previewing = true;
+    // Drafts change on every edit, so never skip them as "already applied"
+    this.render({ ...theme, id: theme.id || 'preview' }, { force: true });
+    window.dispatchEvent(new CustomEvent('themePreview', { detail: { themeId: theme.id || null } }));
+    return true;
+  },
+
+  /**
+   * Go back to the saved (or scheduled) theme after a preview
+   */
+  endPreview() {
+    if (!this._previewing) return;
+    this._previewing = false;
+    this.applyActiveTheme({ force: true });
+    window.dispatchEvent(new CustomEvent('themePreview', { detail: { themeId: null } }));
+  },
+
+  /**
+   * @returns {boolean} True while a preview is showing
+   */
+  isPreviewing() {
+    return this._previewing;
+  },
+
+  /**
+   * Put a theme's variables and background on the page (no saving, no checks)
+   * GUARD: Skips if same theme is already applied
+   * @param {Object} theme - Theme object
+   * @param {Object} options - { force: true } to re-apply the same id
+   */
+  render(theme, { force = false } = {}) {
+    const themeId = theme.id;
 
     // GUARD: Skip if this theme is already applied (prevent redundant DOM updates)
-    if (this._currentAppliedTheme === themeId) {
+    if (this._currentAppliedTheme === themeId && !force) {
       return;
     }
 
@@ -528,17 +1360,86 @@ const ThemeManager = {
 
     // Track what we applied (prevents re-application)
     this._currentAppliedTheme = themeId;
-
-    // Save active theme (update GameSystem state)
-    GameSystem.setActiveTheme(themeId);
   },
 
   /**
    * Apply the user's currently active theme (IDEMPOTENT)
+   * An automatic light/dark schedule wins over the saved pick; a preview is left alone.
+   * @param {Object} options - { force: true } to redraw even if it's already applied
+   */
+  applyActiveTheme({ force = false } = {}) {
+    if (this._previewing) return;
+    const themeId = this.scheduledTheme() || GameSystem.getActiveTheme();
+    const theme = this.getTheme(themeId) || this.getTheme('default');
+    if (theme) this.render(theme, { force });
+  },
+
+  /**
+   * Automatic switching between a light and a dark theme
+   * @returns {Object} { mode: 'off'|'system'|'time', light, dark, darkFrom, lightFrom (hours 0-23) }
+   */
+  getSchedule() {
+    return { mode: 'off', light: 'default', dark: 'midnight', darkFrom: 19, lightFrom: 7, ...StorageManager.get(this.SCHEDULE_KEY) };
+  },
+
+  /**
+   * @param {Object} schedule - Fields to change (see getSchedule)
+   * @returns {Object} The saved schedule
+   */
+  setSchedule(schedule) {
+    const next = { ...this.getSchedule(), ...schedule };
+    StorageManager.set(this.SCHEDULE_KEY, next);
+    this.watchSchedule();
+    this.applyActiveTheme();
+    window.dispatchEvent(new CustomEvent('themeChanged', { detail: { themeId: this.scheduledTheme() || GameSystem.getActiveTheme() } }));
+    return next;
+  },
+
+  /**
+   * Dark side of the schedule right now?
+   * 'system' follows prefers-color-scheme; 'time' uses the hours in the
+   * user's calendar timezone (calendar.js).
+   * @param {Object} schedule - From getSchedule()
+   * @param {Date} now - Instant to check
+   * @returns {boolean} True for the dark theme
+   */
+  isDarkTime(schedule, now = new Date()) {
+    if (schedule.mode === 'system') {
+      return Boolean(window.matchMedia && window.matchMedia('(prefers-color-scheme: dark)').matches);
+    }
+    const { timeZone } = CalendarDay.getSettings();
+    const { hour } = CalendarDay.wallClock(now, timeZone || CalendarDay.deviceTimeZone());
+    const { darkFrom, lightFrom } = schedule;
+    // The dark stretch usually wraps past midnight (19 -> 7)
+    return darkFrom > lightFrom ? hour >= darkFrom || hour < lightFrom : hour >= darkFrom && hour < lightFrom;
+  },
+
+  /**
+   * @returns {string|null} Theme the schedule picks now (null when it's off or
+   *   either theme isn't unlocked anymore)
+   */
+  scheduledTheme() {
+    const schedule = this.getSchedule();
+    if (schedule.mode === 'off') return null;
+    const themeId = this.isDarkTime(schedule) ? schedule.dark : schedule.light;
+    return this.getTheme(themeId) && GameSystem.isThemeUnlocked(themeId) ? themeId : null;
+  },
+
+  /**
+   * Re-apply the scheduled theme when the system scheme or the hour changes
    */
-  applyActiveTheme() {
-    const activeThemeId = GameSystem.getActiveTheme();
-    this.applyTheme(activeThemeId);
+  watchSchedule() {
+    clearInterval(this._scheduleTimer);
+    this._scheduleTimer = null;
+    const mode = this.getSchedule().mode;
+    if (mode === 'time') this._scheduleTimer = setInterval(() => this.applyActiveTheme(), 60 * 1000);
+    if (mode === 'system' && window.matchMedia && !this._watchingScheme) {
+      this._watchingScheme = true;
+      const query = window.matchMedia('(prefers-color-scheme: dark)');
+      const onChange = () => this.applyActiveTheme();
+      if (query.addEventListener) query.addEventListener('change', onChange);
+      else if (query.addListener) query.addListener(onChange);
+    }
   }
 };
 
@@ -574,7 +1475,7 @@ function initializeNavStats() {
   // Update immediately
   updateNavStats();
   
-  // Update on gamification events (DEBOUNCED by GameSystem.awardXP)
+  // Update on gamification events (DEBOUNCED by GameSystem.earnXP)
   window.addEventListener('gamificationUpdate', updateNavStats);
   window.addEventListener('xpGained', updateNavStats);
   window.addEventListener('gamificationReady', updateNavStats);
@@ -588,6 +1489,7 @@ if (document.readyState === 'loading') {
       ThemeManager.loadThemes().then(() => {
         ThemeManager.applyActiveTheme();
       }).catch(err => console.error('Theme loading failed:', err));
+      GameSystem.loadAchievements().then(() => GameSystem.evaluateAchievements());
     } catch (e) {
       console.error('GameSystem initialization error:', e);
     }
@@ -603,6 +1505,7 @@ if (document.readyState === 'loading') {
     ThemeManager.loadThemes().then(() => {
       ThemeManager.applyActiveTheme();
     }).catch(err => console.error('Theme loading failed:', err));
+    GameSystem.loadAchievements().then(() => GameSystem.evaluateAchievements());
   } catch (e) {
     console.error('GameSystem initialization error:', e);
   }
@@ -614,82 +1517,25 @@ if (document.readyState === 'loading') {
 }
 
 // Listen for progress events from other pages (e.g., challenges page)
-// and award XP centrally. This avoids duplicating award logic on each page.
+// and award XP centrally through the ledger rule for 'challengeProgress'.
 document.addEventListener('challengeProgress', (e) => {
   try {
     const d = e.detail || {};
-    const timeSpent = Number(d.timeSpent) || 0; // minutes
-    const progressIncreased = !!d.progressIncreased;
-    const completed = !!d.completed;
-
-    // Calculate XP: small reward per minutes, larger bonus for completing a challenge
-    // Safe defaults to avoid large awards from bogus inputs
-const cappedMinutes = Math.min(Math.max(0, timeSpent), 300); // still cap 300
-const xpFromTime = Math.round(cappedMinutes / 1); // 1 XP per minute
-let xp = xpFromTime;
-
-// Add bonuses
-if (progressIncreased) xp += (GameSystem.rewards.logReflection || 20);
-if (completed) xp += GameSystem.rewards.completeChallenge || 50;
-
-// Apply streak multiplier
-const userData = GameSystem.getUserData() || {};
-const multiplier = GameSystem.getStreakMultiplier(userData) || 1.0;
-xp = Math.max(1, Math.round(xp * multiplier));
-
-// Award XP via centralized method (has internal debounce to reduce farming)
-GameSystem.awardXP(xp, 'challengeProgress');
+    // eventId makes the award idempotent (same log can't be counted twice)
+    const key = d.eventId || `challengeProgress:${d.challengeId}:${Date.now()}`;
+    GameSystem.earnXP('challengeProgress', {
+      timeSpent: d.timeSpent,
+      verified: !!d.verified,
+      progressIncreased: !!d.progressIncreased,
+      completed: !!d.completed
+    }, key);
   } catch (err) {
     console.warn('challengeProgress handler error', err);
   }
 });
-/*********************************
- * DAILY QUEST ↔ GAME SYSTEM BRIDGE
- *********************************/
-
-function todayKey() {
-  return new Date().toISOString().split('T')[0];
-}
-
-function getQuestProgress() {
-  return JSON.parse(
-    localStorage.getItem('questProgress-' + todayKey()) || '{}'
-  );
-}
-
-function saveQuestProgress(progress) {
-  localStorage.setItem(
-    'questProgress-' + todayKey(),
-    JSON.stringify(progress)
-  );
-}
-
-/* ---- Listen to challenge progress ---- */
+// Quest progress is tracked by quests.js; here a log only needs to start the streak
 document.addEventListener('challengeProgress', (e) => {
   const d = e.detail || {};
-  const progress = getQuestProgress();
-
-  // Time-based quests
-  if (d.timeSpent) {
-    progress.time = (progress.time || 0) + Number(d.timeSpent);
-  }
-
-  // Log quest
-  if (d.progressIncreased) {
-    progress.log = true;
-  }
-
-  // Challenge completion quest
-  if (d.completed) {
-    progress.challenge = true;
-  }
-
-  saveQuestProgress(progress);
-
-  // Force quest UI to re-evaluate
-  if (typeof renderQuests === 'function') {
-    renderQuests();
-  }
 
   // Notify the app that progress was logged and ensure streak starts immediately
   if (d.progressIncreased) {
@@ -699,7 +1545,7 @@ document.addEventListener('challengeProgress', (e) => {
     GameSystem.saveUserData(userData);
     console.log('Progress logged: streak updated, progress saved.');
     window.dispatchEvent(new CustomEvent('progressLogged', {
-      detail: { progress, totalXP: userData.totalXPEarned, streak: userData.currentStreak }
+      detail: { totalXP: userData.totalXPEarned, streak: userData.currentStreak }
     }));
   }
 });
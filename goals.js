@@ -0,0 +1,304 @@
+/**
+ * SpendSomeTime Goals
+ * Minute goals measured from challenge notes: a personal daily goal (with
+ * optional per-weekday targets), a weekly goal, and per-challenge goals
+ * (the challenge's daily time commitment plus an optional weekly target).
+ * Meeting the personal daily or weekly goal is recorded per day/week, pays
+ * an XP bonus once and builds the goal streak.
+ *
+ * Load this with defer, after gamification.js.
+ */
+
+const GoalManager = {
+  SETTINGS_KEY: 'goalSettings',
+  DAY_PREFIX: 'goalMet-', // + day key, true once the daily goal was met
+  WEEK_PREFIX: 'weeklyGoalMet-', // + week-start key
+
+  defaults: { dailyMinutes: 30, weeklyMinutes: 150 },
+  limits: {
+    daily: { min: 0, max: 600 },
+    weekly: { min: 0, max: 4200 }
+  },
+
+  // Adaptive suggestion: look back this far, then raise the goal when it's
+  // met at least raiseRate of the time and lower it when met under lowerRate
+  adaptive: { weeks: 4, minActiveDays: 7, raiseRate: 0.8, lowerRate: 0.4, step: 5 },
+
+  /**
+   * @param {*} value - Candidate minutes
+   * @param {string} scope - 'daily' or 'weekly'
+   * @param {*} fallback - Returned when value isn't a number
+   * @returns {number|*} Whole minutes within limits
+   */
+  clampMinutes(value, scope, fallback) {
+    if (value === null || value === '' || value === undefined) return fallback;
+    const n = Math.round(Number(value));
+    if (!Number.isFinite(n)) return fallback;
+    const { min, max } = this.limits[scope];
+    return Math.min(max, Math.max(min, n));
+  },
+
+  /**
+   * Get the personal goals
+   * @returns {Object} { dailyMinutes, weeklyMinutes, weekdayMinutes }
+   *   weekdayMinutes has 7 entries (Sunday first); null means "use dailyMinutes",
+   *   0 makes that weekday a rest day
+   */
+  getSettings() {
+    return this.normalizeSettings(StorageManager.get(this.SETTINGS_KEY) || {});
+  },
+
+  /**
+   * @param {Object} saved - Stored or candidate settings
+   * @returns {Object} { dailyMinutes, weeklyMinutes, weekdayMinutes } within limits
+   */
+  normalizeSettings(saved) {
+    const weekdays = Array.isArray(saved.weekdayMinutes) ? saved.weekdayMinutes : [];
+    return {
+      dailyMinutes: this.clampMinutes(saved.dailyMinutes, 'daily', this.defaults.dailyMinutes),
+      weeklyMinutes: this.clampMinutes(saved.weeklyMinutes, 'weekly', this.defaults.weeklyMinutes),
+      weekdayMinutes: Array.from({ length: 7 }, (_, i) => this.clampMinutes(weekdays[i], 'daily', null))
+    };
+  },
+
+  /**
+   * Save personal goals
+   * Payouts keep using the goals as they were when the day started
+   * (`dayStart`), so lowering a goal after some practice doesn't pay today's
+   * bonus; the new goals count from tomorrow.
+   * @param {Object} settings - { dailyMinutes, weeklyMinutes, weekdayMinutes }
+   * @returns {Object} The settings that were saved
+   */
+  setSettings(settings) {
+    const today = CalendarDay.today();
+    const saved = StorageManager.get(this.SETTINGS_KEY) || {};
+    const dayStart = saved.dayStart && saved.dayStart.day === today ? saved.dayStart : { ...this.getSettings(), day: today };
+    StorageManager.set(this.SETTINGS_KEY, { ...settings, dayStart });
+    const next = this.getSettings();
+    window.dispatchEvent(new CustomEvent('goalsChanged', { detail: next }));
+    return next;
+  },
+
+  /**
+   * Goals that decide a day's payout: those in effect when it started
+   * @param {string} day - 'YYYY-MM-DD'
+   * @returns {Object} Settings (see getSettings)
+   */
+  payoutSettings(day) {
+    const saved = StorageManager.get(this.SETTINGS_KEY) || {};
+    return saved.dayStart && saved.dayStart.day === day ? this.normalizeSettings(saved.dayStart) : this.normalizeSettings(saved);
+  },
+
+  /**
+   * @param {string} day - 'YYYY-MM-DD'
+   * @param {Object} settings - From getSettings
+   * @returns {number} Personal daily target in minutes (0 = rest day)
+   */
+  dailyTarget(day, settings = this.getSettings()) {
+    const override = settings.weekdayMinutes[CalendarDay.weekday(day)];
+    return override === null ? settings.dailyMinutes : override;
+  },
+
+  /**
+   * A challenge's own daily goal: its time commitment, on scheduled days only
+   * @param {Object} challenge - Stored challenge
+   * @param {string} day - 'YYYY-MM-DD'
+   * @returns {number} Minutes (0 = no goal that day)
+   */
+  challengeDailyTarget(challenge, day) {
+    if (challenge.status !== 'active' || challenge.archivedAt) return 0;
+    const schedule = challenge.schedule;
+    if (schedule && Array.isArray(schedule.days) && schedule.days.length &&
+        !schedule.days.map(Number).includes(CalendarDay.weekday(day))) return 0;
+    return this.clampMinutes(challenge.dailyTime, 'daily', 0);
+  },
+
+  /**
+   * @param {Object} challenge - Stored challenge
+   * @returns {number} Weekly goal in minutes (0 = none)
+   */
+  challengeWeeklyTarget(challenge) {
+    if (challenge.status !== 'active' || challenge.archivedAt) return 0;
+    return this.clampMinutes(challenge.weeklyGoal, 'weekly', 0);
+  },
+
+  /**
+   * Minutes logged in a day range
+   * @param {Array} challenges - Challenges to count
+   * @param {string} fromKey - First day
+   * @param {string} toKey - Last day (inclusive)
+   * @returns {number} Minutes
+   */
+  minutesBetween(challenges, fromKey, toKey) {
+    let minutes = 0;
+    challenges.forEach(challenge => {
+      (challenge.notes || []).forEach(note => {
+        const day = CalendarDay.dayKey(note.date);
+        if (day && day >= fromKey && day <= toKey) minutes += Math.max(0, Number(note.time) || 0);
+      });
+    });
+    return minutes;
+  },
+
+  /**
+   * Every goal that applies to a day, with progress
+   * @param {string} day - 'YYYY-MM-DD' (defaults to today)
+   * @param {Object} settings - Personal goals to measure against (defaults to the current ones)
+   * @returns {Array} { id, label, scope, challengeId, target, minutes, percent, met }
+   */
+  getGoals(day = CalendarDay.today(), settings = this.getSettings()) {
+    const challenges = StorageManager.get('challenges');
+    const weekStart = CalendarDay.weekStart(day);
+    const weekEnd = CalendarDay.addDays(weekStart, 6);
+    const goal = (id, label, scope, target, minutes, challengeId = null) => ({
+      id,
+      label,
+      scope,
+      challengeId,
+      target,
+      minutes,
+      percent: Math.min(100, Math.round((minutes / target) * 100)),
+      met: minutes >= target
+    });
+
+    const goals = [];
+    const dailyTarget = this.dailyTarget(day, settings);
+    if (dailyTarget > 0) {
+      goals.push(goal('daily', 'Today', 'daily', dailyTarget, this.minutesBetween(challenges, day, day)));
+    }
+    if (settings.weeklyMinutes > 0) {
+      goals.push(goal('weekly', 'This week', 'weekly', settings.weeklyMinutes, this.minutesBetween(challenges, weekStart, weekEnd)));
+    }
+
+    challenges.forEach(challenge => {
+      const daily = this.challengeDailyTarget(challenge, day);
+      if (daily > 0) {
+        goals.push(goal(`challenge:${challenge.id}:daily`, challenge.name, 'daily', daily,
+          this.minutesBetween([challenge], day, day), challenge.id));
+      }
+      const weekly = this.challengeWeeklyTarget(challenge);
+      if (weekly > 0) {
+        goals.push(goal(`challenge:${challenge.id}:weekly`, `${challenge.name} (week)`, 'weekly', weekly,
+          this.minutesBetween([challenge], weekStart, weekEnd), challenge.id));
+      }
+    });
+    return goals;
+  },
+
+  /**
+   * Record and pay out the personal daily/weekly goals once they're met
+   * IDEMPOTENT: payouts use ledger keys, so two tabs meeting the same goal
+   * still award it once.
+   * @returns {Array} { goal, entry } for each goal newly met
+   */
+  evaluate() {
+    if (typeof GameSystem === 'undefined') return [];
+
+    const day = CalendarDay.today();
+    const periods = {
+      daily: { key: day, prefix: this.DAY_PREFIX, source: 'dailyGoal' },
+      weekly: { key: CalendarDay.weekStart(day), prefix: this.WEEK_PREFIX, source: 'weeklyGoal' }
+    };
+    const met = [];
+    this.getGoals(day, this.payoutSettings(day))
+      .filter(goal => goal.challengeId === null && goal.met)
+      .forEach(goal => {
+        const { key, prefix, source } = periods[goal.scope];
+        if (StorageManager.get(prefix + key)) return;
+        StorageManager.set(prefix + key, true);
+        const entry = GameSystem.earnXP(source, {}, `${source}:${key}`);
+        met.push({ goal, entry });
+        window.dispatchEvent(new CustomEvent('goalMet', { detail: { goal, entry } }));
+      });
+    return met;
+  },
+
+  /**
+   * Daily goal results for recent days (today last)
+   * @param {number} days - How many days
+   * @returns {Array} { day, target, met } (target 0 = rest day)
+   */
+  getHistory(days = 14) {
+    const settings = this.getSettings();
+    const today = CalendarDay.today();
+    return Array.from({ length: days }, (_, i) => {
+      const day = CalendarDay.addDays(today, i - days + 1);
+      return { day, target: this.dailyTarget(day, settings), met: StorageManager.get(this.DAY_PREFIX + day) };
+    });
+  },
+
+  /**
+   * Consecutive days the daily goal was met
+   * Rest days (target 0) neither count nor break the streak; today only
+   * counts once met.
+   * @returns {number} Days
+   */
+  getStreak() {
+    const settings = this.getSettings();
+    let day = CalendarDay.today();
+    if (!StorageManager.get(this.DAY_PREFIX + day)) day = CalendarDay.addDays(day, -1);
+    let streak = 0;
+    for (let checked = 0; checked < 400; checked++, day = CalendarDay.addDays(day, -1)) {
+      if (StorageManager.get(this.DAY_PREFIX + day)) streak++;
+      else if (this.dailyTarget(day, settings) !== 0) break;
+    }
+    return streak;
+  },
+
+  /**
+   * Suggest a new daily goal from the last few weeks of logs
+   * @returns {Object|null} { current, suggested, hitRate, average, reason }, or null
+   *   when there's too little data or the goal already fits
+   */
+  suggestDailyGoal() {
+    const settings = this.getSettings();
+    const challenges = StorageManager.get('challenges');
+    const today = CalendarDay.today();
+    const { weeks, minActiveDays, raiseRate, lowerRate, step } = this.adaptive;
+
+    // Past days with a target, today excluded since it isn't over yet
+    const days = [];
+    for (let i = 1; i <= weeks * 7; i++) {
+      const day = CalendarDay.addDays(today, -i);
+      const target = this.dailyTarget(day, settings);
+      if (target > 0) days.push({ minutes: this.minutesBetween(challenges, day, day), target });
+    }
+    if (days.filter(d => d.minutes > 0).length < minActiveDays) return null;
+
+    const hitRate = days.filter(d => d.minutes >= d.target).length / days.length;
+    const average = days.reduce((sum, d) => sum + d.minutes, 0) / days.length;
+    const current = settings.dailyMinutes;
+    const round = minutes => Math.max(step, Math.round(minutes / step) * step);
+
+    let suggested = current;
+    let reason = '';
+    if (hitRate >= raiseRate && average > current) {
+      suggested = round(Math.min(average, current * 1.25));
+      reason = `You met your goal on ${Math.round(hitRate * 100)}% of days. Ready for a bit more?`;
+    } else if (hitRate < lowerRate) {
+      suggested = round(Math.max(average, current * 0.6));
+      reason = `You met your goal on ${Math.round(hitRate * 100)}% of days. A smaller goal you hit is worth more than a big one you miss.`;
+    }
+    if (suggested === current) return null;
+
+    return { current, suggested, hitRate, average: Math.round(average), reason };
+  }
+};
+
+// Logged practice may meet a goal
+document.addEventListener('challengeProgress', () => {
+  try {
+    GoalManager.evaluate();
+  } catch (err) {
+    console.warn('Goal evaluation error', err);
+  }
+});
+
+// Progress restored from a backup or another device may already meet one
+window.addEventListener('gamificationReady', () => {
+  try {
+    GoalManager.evaluate();
+  } catch (err) {
+    console.warn('Goal evaluation error', err);
+  }
+});
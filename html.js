@@ -0,0 +1,18 @@
+/**
+ * SpendSomeTime HTML helpers
+ * Shared by the modules and pages that build markup from saved or
+ * user-entered text (profile, theme and skill names, quiz runs).
+ *
+ * Load this WITHOUT defer, after storage.js.
+ */
+
+/**
+ * Escape text for HTML content and quoted attribute values
+ * Not enough on its own inside inline event handlers: the browser decodes
+ * entities before running them, so pass values through data attributes.
+ * @param {*} value - Text (null and undefined become '')
+ * @returns {string} HTML-escaped text
+ */
+function escapeHtml(value) {
+  return String(value ?? '').replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+}
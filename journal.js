@@ -0,0 +1,188 @@
+/**
+ * SpendSomeTime Reflection Journal
+ * Reads every challenge's progress notes as one journal: rotating reflection
+ * prompts, optional mood/energy/difficulty ratings, search and filters, and
+ * edits to past entries. Entries stay in `challenge.notes` ({ date, time,
+ * note, verified, prompt, mood, energy, difficulty, editedAt }) and are
+ * identified by challenge id and note date.
+ * Written reflections earn XP through GameSystem's logReflection rule
+ * (see GameSystem.reflectionLimits); auto-filled notes never do.
+ *
+ * Load this WITHOUT defer, after storage.js and calendar.js.
+ */
+
+const ReflectionJournal = {
+  // Optional 1-5 ratings stored on each entry
+  ratings: {
+    mood: { label: 'Mood', icons: ['😞', '😕', '😐', '🙂', '😄'] },
+    energy: { label: 'Energy', icons: ['🪫', '😴', '🙂', '⚡', '🚀'] },
+    difficulty: { label: 'Difficulty', icons: ['🟢', '🟢', '🟡', '🟠', '🔴'] }
+  },
+
+  prompts: [
+    'What did you learn today that you didn\'t know yesterday?',
+    'What was the hardest part, and how did you get past it?',
+    'What would you do differently next session?',
+    'What felt easier than last time?',
+    'Where did you get stuck, and what might unstick you?',
+    'What small win are you proud of today?',
+    'How does today\'s practice connect to why you started?',
+    'What question do you want to answer next time?',
+    'What distracted you, and what helped you focus?',
+    'If you taught today\'s lesson to a friend, what would you say?',
+    'What surprised you during this session?',
+    'What is one thing you want to repeat tomorrow?'
+  ],
+
+  // XP is only given for entries written within this many days (edits to old notes don't pay)
+  xpWindowDays: 1,
+
+  /**
+   * Prompt of the day for a challenge (changes daily, differs per challenge)
+   * @param {*} challengeId - Challenge id
+   * @param {number} shift - How many prompts to skip ("another prompt")
+   * @param {string} day - Day key (defaults to today)
+   * @returns {string} Prompt text
+   */
+  promptFor(challengeId, shift = 0, day = CalendarDay.today()) {
+    const seed = String(challengeId).split('').reduce((sum, c) => (sum * 31 + c.charCodeAt(0)) % 9973, 7);
+    const dayIndex = Math.floor(Date.parse(`${day}T00:00:00Z`) / CalendarDay.MS_PER_DAY);
+    const n = this.prompts.length;
+    return this.prompts[(((seed + dayIndex + shift) % n) + n) % n];
+  },
+
+  /**
+   * @param {*} value - Candidate rating
+   * @returns {number|null} 1-5, or null when unset/invalid
+   */
+  cleanRating(value) {
+    const n = Math.round(Number(value));
+    return value !== '' && value !== null && n >= 1 && n <= 5 ? n : null;
+  },
+
+  /**
+   * @param {Object} note - Progress note
+   * @returns {boolean} True if the text was filled in automatically (no reflection written)
+   */
+  isPlaceholder(note) {
+    const text = String(note.note || '').trim();
+    return !text || text === `Practiced for ${note.time} minutes` || /^Focus session: \d+ minutes/.test(text);
+  },
+
+  /**
+   * @param {string} text - Reflection text
+   * @returns {boolean} True if it's long enough to earn XP
+   */
+  qualifies(text) {
+    const minLength = typeof GameSystem !== 'undefined' ? GameSystem.reflectionLimits.minLength : 80;
+    return String(text || '').trim().length >= minLength;
+  },
+
+  /**
+   * Fields to add to a new progress note
+   * @param {Object} input - { prompt, mood, energy, difficulty }
+   * @returns {Object} Only the fields that are set
+   */
+  entryFields({ prompt, mood, energy, difficulty } = {}) {
+    const fields = {};
+    if (prompt) fields.prompt = String(prompt);
+    Object.entries({ mood, energy, difficulty }).forEach(([key, value]) => {
+      const rating = this.cleanRating(value);
+      if (rating) fields[key] = rating;
+    });
+    return fields;
+  },
+
+  /**
+   * Every note of every challenge, newest first
+   * @param {Array} challenges - Challenges
+   * @returns {Array} { challengeId, challengeName, day, reflection, ...note }
+   */
+  entries(challenges) {
+    return challenges
+      .flatMap(challenge => (Array.isArray(challenge.notes) ? challenge.notes : [])
+        .filter(note => note && note.date)
+        .map(note => ({
+          ...note,
+          challengeId: challenge.id,
+          challengeName: challenge.name || 'Untitled challenge',
+          day: CalendarDay.dayKey(note.date),
+          reflection: !this.isPlaceholder(note)
+        })))
+      .sort((a, b) => new Date(b.date) - new Date(a.date));
+  },
+
+  /**
+   * @param {Array} entries - From entries()
+   * @param {Object} filters - { query, challengeId, from, to (day keys), reflectionsOnly }
+   * @returns {Array} Matching entries; every word of the query must appear in the
+   *   text, prompt or challenge name
+   */
+  filter(entries, { query = '', challengeId = '', from = '', to = '', reflectionsOnly = false } = {}) {
+    const words = query.toLowerCase().split(/\s+/).filter(Boolean);
+    return entries.filter(entry => {
+      if (challengeId && String(entry.challengeId) !== String(challengeId)) return false;
+      if (from && entry.day < from) return false;
+      if (to && entry.day > to) return false;
+      if (reflectionsOnly && !entry.reflection) return false;
+      if (!words.length) return true;
+      const haystack = `${entry.note || ''} ${entry.prompt || ''} ${entry.challengeName}`.toLowerCase();
+      return words.every(word => haystack.includes(word));
+    });
+  },
+
+  /**
+   * Averages of the ratings given in a set of entries
+   * @param {Array} entries - Journal entries
+   * @returns {Object} { mood, energy, difficulty } (null when none were rated)
+   */
+  averages(entries) {
+    const result = {};
+    Object.keys(this.ratings).forEach(key => {
+      const values = entries.map(entry => this.cleanRating(entry[key])).filter(Boolean);
+      result[key] = values.length ? Math.round((values.reduce((a, b) => a + b, 0) / values.length) * 10) / 10 : null;
+    });
+    return result;
+  },
+
+  /**
+   * Edit a past entry in place (the caller saves the challenges)
+   * @param {Array} challenges - Challenges
+   * @param {*} challengeId - Challenge id
+   * @param {string} date - Note date (its id within the challenge)
+   * @param {Object} changes - { note, mood, energy, difficulty }
+   * @returns {Object|null} The updated note, or null if it wasn't found
+   */
+  update(challenges, challengeId, date, changes) {
+    const challenge = challenges.find(c => String(c.id) === String(challengeId));
+    const note = challenge && (challenge.notes || []).find(n => n.date === date);
+    if (!note) return null;
+    if (typeof changes.note === 'string') {
+      // Clearing a reflection brings back the auto-filled text (focus session notes keep theirs)
+      const text = changes.note.trim();
+      if (text) note.note = text;
+      else if (!this.isPlaceholder(note)) note.note = `Practiced for ${note.time} minutes`;
+    }
+    Object.keys(this.ratings).forEach(key => {
+      if (!(key in changes)) return;
+      const rating = this.cleanRating(changes[key]);
+      if (rating) note[key] = rating;
+      else delete note[key];
+    });
+    note.editedAt = new Date().toISOString();
+    return note;
+  },
+
+  /**
+   * Award reflection XP for an entry (once per entry, through the ledger)
+   * @param {*} challengeId - Challenge id
+   * @param {Object} note - Progress note
+   * @returns {Object|null} Ledger entry, or null if nothing was awarded (or it was already paid)
+   */
+  award(challengeId, note) {
+    if (typeof GameSystem === 'undefined' || this.isPlaceholder(note) || !this.qualifies(note.note)) return null;
+    const written = CalendarDay.dayKey(note.date);
+    if (!written || CalendarDay.diffDays(written, CalendarDay.today()) > this.xpWindowDays) return null;
+    return GameSystem.earnXP('logReflection', { length: String(note.note).trim().length }, `logReflection:${challengeId}:${note.date}`);
+  }
+};
@@ -0,0 +1,279 @@
+/**
+ * SpendSomeTime Learning Paths
+ * A learning path is an ordered list of stages, each with a goal, a length
+ * in days, suggested minutes per day and resources. Entries in skills.json /
+ * weird.json may carry an authored `path`; otherwise one is generated from
+ * the entry's traits. Challenges created from a path track each stage as a
+ * milestone and follow the current stage's daily minutes.
+ *
+ * Authored format (all fields but title optional):
+ *   "path": { "stages": [ { "title", "goal", "days", "minutesPerDay",
+ *             "resources": [ { "title", "url" } ] } ] }
+ *
+ * Load this WITHOUT defer, after bookmarks.js.
+ */
+
+const LearningPaths = {
+  STAGE_PREFIX: 'stage-', // Milestone ids are STAGE_PREFIX + index
+
+  limits: {
+    stages: 8,
+    days: { min: 1, max: 60 },
+    minutesPerDay: { min: 5, max: 180 }
+  },
+
+  // Generated stages: share of the total days and of the daily minutes
+  templates: {
+    skills: [
+      { key: 'foundations', title: 'Foundations', share: 0.2, effort: 0.7 },
+      { key: 'practice', title: 'Guided practice', share: 0.35, effort: 1 },
+      { key: 'apply', title: 'Build something', share: 0.3, effort: 1.1 },
+      { key: 'share', title: 'Share and reflect', share: 0.15, effort: 0.8 }
+    ],
+    weird: [
+      { key: 'try', title: 'First attempts', share: 0.25, effort: 0.7 },
+      { key: 'drill', title: 'Daily drills', share: 0.45, effort: 1 },
+      { key: 'showoff', title: 'Show it off', share: 0.3, effort: 1 }
+    ]
+  },
+
+  /**
+   * @param {number} value - Candidate number
+   * @param {Object} range - { min, max }
+   * @param {number} fallback - Used when value isn't a number
+   * @returns {number} Whole number within range
+   */
+  clamp(value, range, fallback) {
+    const n = Math.round(Number(value));
+    if (!Number.isFinite(n)) return fallback;
+    return Math.min(range.max, Math.max(range.min, n));
+  },
+
+  /**
+   * @param {number} minutes - Raw minutes
+   * @returns {number} Rounded to the nearest 5, at least 5
+   */
+  roundMinutes(minutes) {
+    return Math.max(5, Math.round(minutes / 5) * 5);
+  },
+
+  /**
+   * @param {*} url - Candidate link
+   * @returns {string|null} The URL if it's http(s), else null
+   */
+  safeUrl(url) {
+    try {
+      const parsed = new URL(String(url).trim());
+      return parsed.protocol === 'http:' || parsed.protocol === 'https:' ? parsed.href : null;
+    } catch (err) {
+      return null;
+    }
+  },
+
+  /**
+   * @param {Object} skill - Dataset entry
+   * @returns {string} 'skills' or 'weird' (weird.json entries have weirdness traits)
+   */
+  datasetOf(skill) {
+    return skill.traits && 'weirdness' in skill.traits ? 'weird' : 'skills';
+  },
+
+  /**
+   * How much time the skill asks for, 0-1
+   * @param {Object} skill - Dataset entry
+   * @returns {number} Trait value (0.5 when unknown)
+   */
+  timeCommitment(skill) {
+    const traits = skill.traits || {};
+    const value = Number(traits.time_commitment ?? traits.time);
+    return Number.isFinite(value) ? Math.min(1, Math.max(0, value)) : 0.5;
+  },
+
+  /**
+   * Search link used when a stage has no curated resource
+   * @param {string} query - Search text
+   * @returns {Object} { title, url }
+   */
+  searchResource(query) {
+    return {
+      title: `Search: ${query}`,
+      url: `https://www.youtube.com/results?search_query=${encodeURIComponent(query)}`
+    };
+  },
+
+  /**
+   * Goal text for a generated stage, tuned by the skill's traits
+   * @param {string} key - Template key
+   * @param {Object} skill - Dataset entry
+   * @returns {string} Goal
+   */
+  stageGoal(key, skill) {
+    const t = skill.traits || {};
+    const name = skill.name;
+    switch (key) {
+      case 'foundations':
+        return t.analytical >= 0.7
+          ? `Learn the core concepts and vocabulary of ${name} and take notes you can revisit.`
+          : `Get set up for ${name} and learn the basic moves with a beginner tutorial.`;
+      case 'practice':
+        return t.solo >= 0.7
+          ? `Follow exercises on your own and repeat the ones that feel hardest.`
+          : `Practice with a partner, class or online community and ask for feedback.`;
+      case 'apply':
+        return t.hands_on >= 0.7 || t.creative >= 0.7
+          ? `Make one small finished piece of ${name} from start to end.`
+          : `Use ${name} on a real problem or task from your own life.`;
+      case 'share':
+        return `Show your work to someone, note what improved and pick your next step.`;
+      case 'try':
+        return `Try ${name} a few times to find out what's hard about it.`;
+      case 'drill':
+        return t.structure >= 0.6
+          ? `Run the same short routine every day and track your best result.`
+          : `Mix up short practice sessions and keep whatever works.`;
+      case 'showoff':
+        return t.impressiveness >= 0.6
+          ? `Record your best attempt and show it to a friend.`
+          : `Beat your first attempt and note how far you came.`;
+      default:
+        return '';
+    }
+  },
+
+  /**
+   * Build a default path from a skill's traits
+   * Higher time commitment means a longer path with longer sessions.
+   * @param {Object} skill - Dataset entry
+   * @returns {Object} { stages, generated: true }
+   */
+  generate(skill) {
+    const dataset = this.datasetOf(skill);
+    const commitment = this.timeCommitment(skill);
+    const totalDays = dataset === 'weird'
+      ? Math.round(7 + commitment * 14) // 7-21 days
+      : Math.round(21 + commitment * 39); // 21-60 days
+    const baseMinutes = dataset === 'weird' ? 5 + commitment * 20 : 10 + commitment * 40;
+
+    const queries = {
+      foundations: `${skill.name} beginner tutorial`,
+      practice: `${skill.name} practice exercises`,
+      apply: `${skill.name} project ideas`,
+      try: `${skill.name} how to`,
+      drill: `${skill.name} tips`
+    };
+
+    const stages = this.templates[dataset].map((template, i) => {
+      const resources = [];
+      if (i === 0 && this.safeUrl(skill.learn_url)) resources.push({ title: 'Getting started', url: this.safeUrl(skill.learn_url) });
+      else if (queries[template.key]) resources.push(this.searchResource(queries[template.key]));
+      return {
+        title: template.title,
+        goal: this.stageGoal(template.key, skill),
+        days: Math.max(1, Math.round(totalDays * template.share)),
+        minutesPerDay: this.roundMinutes(baseMinutes * template.effort),
+        resources
+      };
+    });
+    return { stages, generated: true };
+  },
+
+  /**
+   * Validate an authored path, dropping anything unusable
+   * @param {Object} path - Authored path
+   * @returns {Object|null} { stages, generated: false }, or null if no valid stage
+   */
+  normalize(path) {
+    if (!path || !Array.isArray(path.stages)) return null;
+    const stages = path.stages
+      .filter(stage => stage && typeof stage.title === 'string' && stage.title.trim())
+      .slice(0, this.limits.stages)
+      .map(stage => ({
+        title: stage.title.trim(),
+        goal: typeof stage.goal === 'string' ? stage.goal.trim() : '',
+        days: this.clamp(stage.days, this.limits.days, 7),
+        minutesPerDay: this.clamp(stage.minutesPerDay, this.limits.minutesPerDay, 20),
+        resources: (Array.isArray(stage.resources) ? stage.resources : [])
+          .map(r => ({ title: typeof r?.title === 'string' ? r.title : '', url: this.safeUrl(r?.url) }))
+          .filter(r => r.url)
+      }));
+    return stages.length ? { stages, generated: false } : null;
+  },
+
+  /**
+   * @param {Object} skill - Dataset entry
+   * @returns {Object} The authored path if valid, otherwise a generated one
+   */
+  getPath(skill) {
+    return this.normalize(skill.path) || this.generate(skill);
+  },
+
+  /**
+   * Challenge fields for following a skill's path
+   * @param {Object} skill - Dataset entry
+   * @returns {Object} Fields for createChallenge() in challenges.html
+   */
+  toChallengeFields(skill) {
+    const path = this.getPath(skill);
+    const seen = new Set();
+    const resources = [];
+    path.stages.forEach(stage => stage.resources.forEach(r => {
+      if (seen.has(r.url)) return;
+      seen.add(r.url);
+      resources.push({ ...r });
+    }));
+
+    return {
+      name: skill.name,
+      skillId: BookmarkManager.skillId(skill),
+      description: skill.description || skill.reason || 'Learn this skill!',
+      duration: path.stages.reduce((sum, stage) => sum + stage.days, 0),
+      dailyTime: path.stages[0].minutesPerDay,
+      resources,
+      milestones: path.stages.map((stage, i) => ({ id: this.STAGE_PREFIX + i, title: stage.title, doneAt: null })),
+      completion: { type: 'milestones' },
+      path: { skill: skill.name, dataset: this.datasetOf(skill), generated: path.generated, stages: path.stages }
+    };
+  },
+
+  /**
+   * The stage a path challenge is on: the first one not checked off
+   * @param {Object} challenge - Stored challenge
+   * @returns {Object|null} { index, stage, milestone, daysLogged }, or null when
+   *   the challenge has no path or every stage is done
+   */
+  currentStage(challenge) {
+    const stages = challenge.path && Array.isArray(challenge.path.stages) ? challenge.path.stages : [];
+    const milestones = challenge.milestones || [];
+    const index = stages.findIndex((_, i) => {
+      const milestone = milestones.find(m => m.id === this.STAGE_PREFIX + i);
+      return !milestone || !milestone.doneAt;
+    });
+    if (index === -1) return null;
+
+    // Days logged since the previous stage was checked off
+    const previous = index > 0 ? milestones.find(m => m.id === this.STAGE_PREFIX + (index - 1)) : null;
+    const since = previous && previous.doneAt ? previous.doneAt : challenge.startDate;
+    const days = new Set((challenge.notes || [])
+      .filter(note => !since || note.date >= since)
+      .map(note => CalendarDay.dayKey(note.date)));
+
+    return {
+      index,
+      stage: stages[index],
+      milestone: milestones.find(m => m.id === this.STAGE_PREFIX + index) || null,
+      daysLogged: days.size
+    };
+  },
+
+  /**
+   * Point the challenge's daily time at its current stage
+   * Call after checking off a stage.
+   * @param {Object} challenge - Stored challenge (modified)
+   * @returns {Object|null} Current stage, see currentStage()
+   */
+  syncStage(challenge) {
+    const current = this.currentStage(challenge);
+    if (current) challenge.dailyTime = current.stage.minutesPerDay;
+    return current;
+  }
+};
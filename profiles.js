@@ -0,0 +1,642 @@
+/**
+ * SpendSomeTime Local Profiles
+ * Several people can share one browser: each profile keeps its own XP,
+ * streaks, achievements, challenges, game scores, quizzes and quests
+ * (StorageManager namespaces every key but deviceKeys by the active profile).
+ * The default profile owns the data from before profiles existed.
+ *
+ * An optional PIN keeps others from casually switching into a profile. It is
+ * a privacy lock, not encryption: the data stays readable in localStorage.
+ *
+ * Adds a profile switcher to #nav-stats and a dialog to create, rename,
+ * lock, delete and compare the profiles on this device. Switching reloads
+ * the page so every module reads the new profile from the start.
+ * Events: window `profilesChanged` { profiles } after any change to the list.
+ *
+ * Load this with defer, after html.js and gamification.js.
+ */
+
+const ProfileManager = {
+  STORAGE_KEY: 'profiles',
+  ACTIVE_KEY: 'activeProfile',
+  MAX_PROFILES: 8,
+  NAME_MAX: 20, // Same limit as the player name on games.html
+  PIN_PATTERN: /^\d{4,8}$/,
+  DEFAULT_NAME: 'Main',
+
+  MENU_ID: 'sst-profile-menu',
+  DIALOG_ID: 'sst-profile-dialog',
+  state: null, // Dialog view: { editId, unlockId, message, error }
+  _closeOnOutside: null,
+  _closeOnEscape: null,
+
+  // Comparison board columns: [stat, label] (GameSystem.achievementStats plus currentStreak)
+  boardStats: [
+    ['xpEarned', 'XP earned'],
+    ['currentStreak', 'Streak'],
+    ['challengesCompleted', 'Challenges done'],
+    ['minutesLogged', 'Minutes'],
+    ['gamesPlayed', 'Games'],
+    ['bestGamePercentile', 'Best game %'],
+    ['quizzesTaken', 'Quizzes']
+  ],
+
+  /**
+   * Every profile on this device (the default one first, even if never saved)
+   * @returns {Array} { id, name, createdAt, pinSalt, pinHash }
+   */
+  list() {
+    const stored = StorageManager.get(this.STORAGE_KEY)
+      .filter(p => p && typeof p.id === 'string' && typeof p.name === 'string');
+    const main = stored.find(p => p.id === StorageManager.DEFAULT_PROFILE)
+      || { id: StorageManager.DEFAULT_PROFILE, name: this.DEFAULT_NAME, createdAt: null, pinSalt: null, pinHash: null };
+    return [main, ...stored.filter(p => p.id !== StorageManager.DEFAULT_PROFILE)];
+  },
+
+  /**
+   * @param {string} id - Profile id
+   * @returns {Object|undefined} The profile
+   */
+  get(id) {
+    return this.list().find(p => p.id === id);
+  },
+
+  /**
+   * @returns {Object} The profile this page is using
+   */
+  active() {
+    return this.get(StorageManager.profile) || this.list()[0];
+  },
+
+  /**
+   * @param {Object} profile - Profile
+   * @returns {boolean} True if switching into it needs a PIN
+   */
+  isLocked(profile) {
+    return Boolean(profile && profile.pinHash);
+  },
+
+  save(profiles) {
+    StorageManager.set(this.STORAGE_KEY, profiles);
+    window.dispatchEvent(new CustomEvent('profilesChanged', { detail: { profiles: this.list() } }));
+  },
+
+  /**
+   * Check a profile name
+   * @param {*} name - Candidate name
+   * @param {string} exceptId - Profile being renamed (its own name doesn't clash)
+   * @returns {string} Trimmed name
+   * @throws {Error} If it's empty or another profile uses it
+   */
+  cleanName(name, exceptId = null) {
+    const cleaned = String(name || '').replace(/[<>]/g, '').replace(/\s+/g, ' ').trim().slice(0, this.NAME_MAX);
+    if (!cleaned) throw new Error('Give the profile a name');
+    const taken = this.list().some(p => p.id !== exceptId && p.name.toLowerCase() === cleaned.toLowerCase());
+    if (taken) throw new Error(`There is already a profile called "${cleaned}"`);
+    return cleaned;
+  },
+
+  /**
+   * SHA-256 of salt and PIN, as hex
+   * @param {string} pin - 4-8 digits
+   * @param {string} salt - Per-profile salt
+   * @returns {Promise<string>} Hash
+   * @throws {Error} If the PIN is malformed or the browser has no Web Crypto (plain http)
+   */
+  async hashPin(pin, salt) {
+    if (!this.PIN_PATTERN.test(String(pin))) throw new Error('PINs are 4 to 8 digits');
+    if (!window.crypto || !crypto.subtle) throw new Error('PINs need the site to be opened over https');
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(`${salt}:${pin}`));
+    return [...new Uint8Array(digest)].map(b => b.toString(16).padStart(2, '0')).join('');
+  },
+
+  /**
+   * @returns {string} Random hex salt
+   */
+  newSalt() {
+    const bytes = new Uint8Array(16);
+    crypto.getRandomValues(bytes);
+    return [...bytes].map(b => b.toString(16).padStart(2, '0')).join('');
+  },
+
+  /**
+   * @param {Object} profile - Profile
+   * @param {string} pin - PIN to check
+   * @returns {Promise<boolean>} True if the profile has no PIN or it matches
+   */
+  async checkPin(profile, pin) {
+    if (!this.isLocked(profile)) return true;
+    if (!this.PIN_PATTERN.test(String(pin || ''))) return false;
+    return (await this.hashPin(pin, profile.pinSalt)) === profile.pinHash;
+  },
+
+  /**
+   * Changes to a profile need its PIN unless it's the one in use
+   * @param {Object} profile - Profile
+   * @param {string} pin - PIN given
+   * @throws {Error} If the PIN is missing or wrong
+   */
+  async assertUnlocked(profile, pin) {
+    if (profile.id === StorageManager.profile) return;
+    if (!(await this.checkPin(profile, pin))) throw new Error(`Wrong PIN for ${profile.name}`);
+  },
+
+  /**
+   * Add a profile (it starts empty, already at the current schema version)
+   * @param {Object} options - { name, pin } (pin optional)
+   * @returns {Promise<Object>} The new profile
+   * @throws {Error} On a bad name or PIN, or when the device is full
+   */
+  async create({ name, pin = '' }) {
+    const profiles = this.list();
+    if (profiles.length >= this.MAX_PROFILES) throw new Error(`At most ${this.MAX_PROFILES} profiles per device`);
+    const cleaned = this.cleanName(name);
+    const profile = {
+      id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`,
+      name: cleaned,
+      createdAt: new Date().toISOString(),
+      pinSalt: null,
+      pinHash: null
+    };
+    if (pin) {
+      profile.pinSalt = this.newSalt();
+      profile.pinHash = await this.hashPin(pin, profile.pinSalt);
+    }
+
+    // Nothing to migrate; the player name on games.html starts as the profile name
+    StorageManager.setVersion(profile.id, StorageManager.SCHEMA_VERSION);
+    StorageManager.set('playerProfile', { name: cleaned, focus: 'balanced' }, profile.id);
+    this.save([...profiles, profile]);
+    return profile;
+  },
+
+  /**
+   * @param {string} id - Profile id
+   * @param {string} name - New name
+   * @param {string} pin - The profile's PIN (not needed for the active profile)
+   * @returns {Promise<Object>} The renamed profile
+   */
+  async rename(id, name, pin) {
+    const profile = this.get(id);
+    if (!profile) throw new Error('Profile not found');
+    await this.assertUnlocked(profile, pin);
+    const cleaned = this.cleanName(name, id);
+    const renamed = { ...profile, name: cleaned };
+    this.save(this.list().map(p => (p.id === id ? renamed : p)));
+
+    const player = StorageManager.get('playerProfile', id);
+    StorageManager.set('playerProfile', { ...player, name: cleaned }, id);
+    return renamed;
+  },
+
+  /**
+   * Set, change or clear a profile's PIN
+   * @param {string} id - Profile id
+   * @param {string} pin - New PIN ('' removes it)
+   * @param {string} currentPin - Current PIN, always required once one is set
+   * @returns {Promise<Object>} The updated profile
+   */
+  async setPin(id, pin, currentPin) {
+    const profile = this.get(id);
+    if (!profile) throw new Error('Profile not found');
+    if (!(await this.checkPin(profile, currentPin))) throw new Error(`Wrong PIN for ${profile.name}`);
+    const pinSalt = pin ? this.newSalt() : null;
+    const updated = { ...profile, pinSalt, pinHash: pin ? await this.hashPin(pin, pinSalt) : null };
+    this.save(this.list().map(p => (p.id === id ? updated : p)));
+    return updated;
+  },
+
+  /**
+   * Delete a profile and everything it stored
+   * The default profile and the one in use can't be deleted.
+   * @param {string} id - Profile id
+   * @param {string} pin - The profile's PIN, if it has one
+   */
+  async remove(id, pin) {
+    const profile = this.get(id);
+    if (!profile) throw new Error('Profile not found');
+    if (id === StorageManager.DEFAULT_PROFILE) throw new Error(`${profile.name} is the device's main profile and can't be deleted`);
+    if (id === StorageManager.profile) throw new Error('Switch to another profile before deleting this one');
+    await this.assertUnlocked(profile, pin);
+    StorageManager.removeProfileData(id);
+    this.save(this.list().filter(p => p.id !== id));
+  },
+
+  /**
+   * Make a profile the active one and reload into it
+   * @param {string} id - Profile id
+   * @param {string} pin - Its PIN, if it has one
+   */
+  async switchTo(id, pin) {
+    const profile = this.get(id);
+    if (!profile) throw new Error('Profile not found');
+    if (id === StorageManager.profile) return;
+    await this.assertUnlocked(profile, pin);
+    // The default profile may never have been saved to the list
+    if (!StorageManager.get(this.STORAGE_KEY).some(p => p && p.id === id)) this.save(this.list());
+    StorageManager.set(this.ACTIVE_KEY, id);
+    window.location.reload();
+  },
+
+  /**
+   * Headline numbers for one profile, read without switching to it
+   * @param {string} id - Profile id
+   * @returns {Object} { stat: number } for every boardStats entry
+   */
+  stats(id) {
+    const userData = StorageManager.get('gamificationData', id) || { ...GameSystem.defaultUserData };
+    const stats = GameSystem.collectStats(userData, id);
+    // The stored streak is only current if the profile was active today or yesterday
+    const last = userData.lastActivityDate ? CalendarDay.dayKey(userData.lastActivityDate) : null;
+    const live = last && CalendarDay.diffDays(last, CalendarDay.today()) <= 1;
+    stats.currentStreak = live ? Number(userData.currentStreak) || 0 : 0;
+    return stats;
+  },
+
+  /**
+   * Comparison board for this device
+   * @returns {Array} { profile, stats } by XP earned, highest first
+   */
+  board() {
+    return this.list()
+      .map(profile => ({ profile, stats: this.stats(profile.id) }))
+      .sort((a, b) => (b.stats.xpEarned || 0) - (a.stats.xpEarned || 0));
+  },
+
+  inputStyle: 'padding:0.4rem 0.6rem; border-radius:8px; border:1px solid var(--border, #e5e7eb); background:var(--bg, #fff); color:inherit; font:inherit; min-width:0;',
+  buttonStyle: 'border:0; border-radius:8px; padding:0.4rem 0.8rem; font-weight:600; cursor:pointer; color:#fff; background:var(--accent2, #58d9ff); font:inherit;',
+  quietButtonStyle: 'border:1px solid var(--border, #e5e7eb); border-radius:8px; padding:0.4rem 0.8rem; cursor:pointer; color:inherit; background:none; font:inherit;',
+
+  /**
+   * @param {Object} profile - Locked profile to switch into
+   * @returns {string} PIN form markup (data-form="unlock")
+   */
+  unlockForm(profile) {
+    return `
+      <form data-form="unlock" data-id="${escapeHtml(profile.id)}" style="display:flex; gap:0.5rem; align-items:center; margin-top:0.5rem;">
+        <input name="pin" type="password" inputmode="numeric" autocomplete="off" maxlength="8" placeholder="PIN for ${escapeHtml(profile.name)}" aria-label="PIN for ${escapeHtml(profile.name)}" style="${this.inputStyle} flex:1;">
+        <button type="submit" style="${this.buttonStyle}">Switch</button>
+      </form>
+    `;
+  },
+
+  /**
+   * Add the switcher button to #nav-stats (pages without it are skipped)
+   */
+  mountSwitcher() {
+    const nav = document.getElementById('nav-stats');
+    if (!nav || document.getElementById('nav-profile')) return;
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.id = 'nav-profile';
+    button.setAttribute('aria-haspopup', 'true');
+    button.setAttribute('aria-expanded', 'false');
+    button.title = 'Switch profile';
+    // index.html styles its nav numbers as pills; the other pages use plain spans
+    if (nav.classList.contains('nav-stats')) button.className = 'stat-pill';
+    button.style.cssText = 'cursor:pointer; font:inherit; color:inherit; border:0; background:none; display:inline-flex; align-items:center; gap:0.3rem;';
+    button.addEventListener('click', (e) => {
+      e.stopPropagation();
+      this.toggleMenu(button);
+    });
+    nav.prepend(button);
+    this.updateSwitcher();
+  },
+
+  updateSwitcher() {
+    const button = document.getElementById('nav-profile');
+    if (!button) return;
+    const profile = this.active();
+    button.textContent = `👤 ${profile.name}`;
+  },
+
+  /**
+   * Open or close the profile menu under the switcher
+   * @param {HTMLElement} anchor - Switcher button
+   */
+  toggleMenu(anchor) {
+    const existing = document.getElementById(this.MENU_ID);
+    if (existing) {
+      this.closeMenu();
+      return;
+    }
+
+    const rect = anchor.getBoundingClientRect();
+    const menu = document.createElement('div');
+    menu.id = this.MENU_ID;
+    menu.setAttribute('role', 'menu');
+    menu.style.cssText = [
+      'position:fixed', `top:${Math.round(rect.bottom + 8)}px`, `right:${Math.max(8, Math.round(window.innerWidth - rect.right))}px`,
+      'z-index:10000', 'min-width:240px', 'max-width:calc(100vw - 16px)', 'padding:0.6rem', 'border-radius:12px',
+      'background:var(--panel, #fff)', 'color:var(--text, #1f2937)', 'border:1px solid var(--border, #e5e7eb)',
+      'box-shadow:0 10px 30px rgba(0,0,0,0.2)', 'font-family:inherit', 'font-size:0.95rem', 'font-weight:500'
+    ].join(';');
+    this.renderMenu(menu);
+
+    menu.addEventListener('click', (e) => {
+      e.stopPropagation();
+      const target = e.target.closest('[data-action]');
+      if (!target) return;
+      const { action, id } = target.dataset;
+      if (action === 'switch') {
+        const profile = this.get(id);
+        if (id === StorageManager.profile) {
+          this.closeMenu();
+        } else if (this.isLocked(profile)) {
+          this.renderMenu(menu, id);
+          menu.querySelector('input[name="pin"]')?.focus();
+        } else {
+          this.switchTo(id).catch(err => this.renderMenu(menu, null, err.message));
+        }
+      }
+      if (action === 'manage') {
+        this.closeMenu();
+        this.openDialog();
+      }
+    });
+    menu.addEventListener('submit', (e) => {
+      e.preventDefault();
+      const form = e.target;
+      this.switchTo(form.dataset.id, form.elements.pin.value)
+        .catch(err => this.renderMenu(menu, form.dataset.id, err.message));
+    });
+
+    document.body.appendChild(menu);
+    anchor.setAttribute('aria-expanded', 'true');
+    this._closeOnOutside = (e) => {
+      if (!menu.contains(e.target)) this.closeMenu();
+    };
+    this._closeOnEscape = (e) => {
+      if (e.key === 'Escape') this.closeMenu();
+    };
+    document.addEventListener('click', this._closeOnOutside);
+    document.addEventListener('keydown', this._closeOnEscape);
+  },
+
+  /**
+   * @param {HTMLElement} menu - Menu element
+   * @param {string|null} unlockId - Locked profile waiting for its PIN
+   * @param {string} message - Error to show
+   */
+  renderMenu(menu, unlockId = null, message = '') {
+    const activeId = StorageManager.profile;
+    const rows = this.list().map(profile => {
+      const isActive = profile.id === activeId;
+      return `
+        <button type="button" role="menuitem" data-action="switch" data-id="${escapeHtml(profile.id)}" ${isActive ? 'aria-current="true"' : ''}
+          style="display:flex; width:100%; justify-content:space-between; gap:0.5rem; padding:0.45rem 0.6rem; border:0; border-radius:8px; cursor:pointer; font:inherit; color:inherit; text-align:left; background:${isActive ? 'var(--panel2, rgba(0,0,0,0.05))' : 'none'};">
+          <span>${isActive ? '✓ ' : ''}${escapeHtml(profile.name)}</span>
+          ${this.isLocked(profile) ? '<span title="PIN protected">🔒</span>' : ''}
+        </button>
+        ${profile.id === unlockId ? this.unlockForm(profile) : ''}
+      `;
+    }).join('');
+    menu.innerHTML = `
+      ${rows}
+      ${message ? `<p role="alert" style="margin:0.5rem 0 0; color:#dc2626; font-size:0.85rem;">${escapeHtml(message)}</p>` : ''}
+      <hr style="border:0; border-top:1px solid var(--border, #e5e7eb); margin:0.5rem 0;">
+      <button type="button" role="menuitem" data-action="manage" style="${this.quietButtonStyle} width:100%;">👥 Manage &amp; compare profiles</button>
+    `;
+  },
+
+  closeMenu() {
+    document.getElementById(this.MENU_ID)?.remove();
+    document.getElementById('nav-profile')?.setAttribute('aria-expanded', 'false');
+    document.removeEventListener('click', this._closeOnOutside);
+    document.removeEventListener('keydown', this._closeOnEscape);
+  },
+
+  /**
+   * Open the manage & compare dialog
+   */
+  openDialog() {
+    if (document.getElementById(this.DIALOG_ID)) return;
+    const overlay = document.createElement('div');
+    overlay.id = this.DIALOG_ID;
+    overlay.style.cssText = [
+      'position:fixed', 'inset:0', 'z-index:10001', 'display:flex', 'align-items:flex-start', 'justify-content:center',
+      'padding:4vh 1rem', 'overflow-y:auto', 'background:rgba(0,0,0,0.45)', 'font-family:inherit'
+    ].join(';');
+    overlay.innerHTML = `
+      <div role="dialog" aria-modal="true" aria-labelledby="${this.DIALOG_ID}-title" style="width:min(760px, 100%); padding:1.4rem; border-radius:16px; background:var(--panel, #fff); color:var(--text, #1f2937); border:1px solid var(--border, #e5e7eb); box-shadow:0 20px 50px rgba(0,0,0,0.3);"></div>
+    `;
+    this.state = { editId: null, unlockId: null, message: '', error: false };
+    this.renderDialog(overlay.firstElementChild);
+
+    overlay.addEventListener('click', (e) => {
+      if (e.target === overlay) {
+        this.closeDialog();
+        return;
+      }
+      const target = e.target.closest('[data-action]');
+      if (!target) return;
+      this.handleDialogAction(overlay.firstElementChild, target.dataset.action, target.dataset.id);
+    });
+    overlay.addEventListener('submit', (e) => {
+      e.preventDefault();
+      this.handleDialogForm(overlay.firstElementChild, e.target);
+    });
+    overlay.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape') this.closeDialog();
+    });
+
+    document.body.appendChild(overlay);
+    overlay.querySelector('[data-action="close"]')?.focus();
+  },
+
+  closeDialog() {
+    document.getElementById(this.DIALOG_ID)?.remove();
+  },
+
+  /**
+   * @param {HTMLElement} panel - Dialog panel
+   * @param {string} action - data-action of the clicked button
+   * @param {string} id - Profile id
+   */
+  handleDialogAction(panel, action, id) {
+    if (action === 'close') {
+      this.closeDialog();
+      return;
+    }
+    if (action === 'switch') {
+      if (this.isLocked(this.get(id))) {
+        this.state = { ...this.state, unlockId: id, editId: null, message: '' };
+        this.renderDialog(panel);
+        panel.querySelector('form[data-form="unlock"] input')?.focus();
+      } else {
+        this.switchTo(id).catch(err => this.showMessage(panel, err.message, true));
+      }
+      return;
+    }
+    if (action === 'edit' || action === 'cancel') {
+      this.state = { ...this.state, editId: action === 'edit' ? id : null, unlockId: null, message: '' };
+      this.renderDialog(panel);
+      if (action === 'edit') panel.querySelector('form[data-form="edit"] input')?.focus();
+      return;
+    }
+    if (action === 'delete') {
+      const profile = this.get(id);
+      const form = panel.querySelector('form[data-form="edit"]');
+      if (!profile || !confirm(`Delete ${profile.name} and all of its XP, challenges, games and quizzes? This can't be undone.`)) return;
+      this.remove(id, form?.elements.currentPin?.value)
+        .then(() => {
+          this.state = { ...this.state, editId: null };
+          this.showMessage(panel, `Deleted ${profile.name}.`);
+        })
+        .catch(err => this.showMessage(panel, err.message, true));
+    }
+  },
+
+  /**
+   * @param {HTMLElement} panel - Dialog panel
+   * @param {HTMLFormElement} form - Submitted form (data-form create, edit or unlock)
+   */
+  async handleDialogForm(panel, form) {
+    const fields = form.elements;
+    try {
+      if (form.dataset.form === 'unlock') {
+        await this.switchTo(form.dataset.id, fields.pin.value);
+        return;
+      }
+      if (form.dataset.form === 'create') {
+        const profile = await this.create({ name: fields.name.value, pin: fields.pin.value });
+        this.showMessage(panel, `Created ${profile.name}. Switch to it from the list or the menu.`);
+        return;
+      }
+      if (form.dataset.form === 'edit') {
+        const id = form.dataset.id;
+        const currentPin = fields.currentPin ? fields.currentPin.value : '';
+        const profile = this.get(id);
+        // Check everything before saving anything
+        if (fields.name.value.trim() !== profile.name) this.cleanName(fields.name.value, id);
+        if (fields.pin.value && !this.PIN_PATTERN.test(fields.pin.value)) throw new Error('PINs are 4 to 8 digits');
+        if (fields.name.value.trim() !== profile.name) await this.rename(id, fields.name.value, currentPin);
+        if (fields.pin.value || fields.clearPin?.checked) await this.setPin(id, fields.clearPin?.checked ? '' : fields.pin.value, currentPin);
+        this.state = { ...this.state, editId: null };
+        this.showMessage(panel, 'Profile saved.');
+      }
+    } catch (err) {
+      this.showMessage(panel, err.message, true);
+    }
+  },
+
+  /**
+   * Re-render the dialog with a status line
+   * @param {HTMLElement} panel - Dialog panel
+   * @param {string} message - Text to show
+   * @param {boolean} error - Show it as an error
+   */
+  showMessage(panel, message, error = false) {
+    this.state = { ...this.state, message, error };
+    this.renderDialog(panel);
+  },
+
+  /**
+   * @param {HTMLElement} panel - Dialog panel
+   */
+  renderDialog(panel) {
+    const { editId, unlockId, message, error } = this.state;
+    const activeId = StorageManager.profile;
+    const board = this.board();
+    const cell = 'padding:0.45rem 0.5rem; border-bottom:1px solid var(--border, #e5e7eb); text-align:right; white-space:nowrap;';
+
+    const rows = board.map(({ profile, stats }, index) => {
+      const isActive = profile.id === activeId;
+      return `
+        <tr>
+          <td style="${cell} text-align:left;">${index === 0 && board.length > 1 ? '🏆 ' : ''}<strong>${escapeHtml(profile.name)}</strong>${this.isLocked(profile) ? ' 🔒' : ''}${isActive ? ' <small>(you)</small>' : ''}</td>
+          ${this.boardStats.map(([stat]) => `<td style="${cell}">${Math.round(stats[stat] || 0).toLocaleString()}</td>`).join('')}
+          <td style="${cell}">
+            ${isActive ? '' : `<button type="button" data-action="switch" data-id="${escapeHtml(profile.id)}" style="${this.buttonStyle}">Switch</button>`}
+            <button type="button" data-action="edit" data-id="${escapeHtml(profile.id)}" style="${this.quietButtonStyle}">Edit</button>
+          </td>
+        </tr>
+        ${profile.id === unlockId ? `<tr><td colspan="${this.boardStats.length + 2}" style="padding:0 0.5rem 0.5rem;">${this.unlockForm(profile)}</td></tr>` : ''}
+      `;
+    }).join('');
+
+    panel.innerHTML = `
+      <div style="display:flex; justify-content:space-between; align-items:center; gap:1rem;">
+        <h2 id="${this.DIALOG_ID}-title" style="margin:0; font-size:1.3rem;">👥 Profiles on this device</h2>
+        <button type="button" data-action="close" aria-label="Close" style="border:0; background:none; cursor:pointer; font-size:1.2rem; color:inherit;">✕</button>
+      </div>
+      <p style="margin:0.5rem 0 1rem; opacity:0.75; font-size:0.9rem;">Each profile keeps its own XP, streaks, challenges, games and quizzes. A PIN stops others switching in casually; it doesn't encrypt anything.</p>
+      <div style="overflow-x:auto;">
+        <table style="width:100%; border-collapse:collapse; font-size:0.9rem;">
+          <thead><tr>
+            <th style="${cell} text-align:left;">Profile</th>
+            ${this.boardStats.map(([, label]) => `<th style="${cell}">${label}</th>`).join('')}
+            <th style="${cell}"></th>
+          </tr></thead>
+          <tbody>${rows}</tbody>
+        </table>
+      </div>
+      ${editId ? this.editForm(this.get(editId)) : ''}
+      ${message ? `<p role="${error ? 'alert' : 'status'}" style="margin:1rem 0 0; font-weight:600; color:${error ? '#dc2626' : 'var(--accent2, #0ea5e9)'};">${escapeHtml(message)}</p>` : ''}
+      ${this.list().length < this.MAX_PROFILES ? `
+        <form data-form="create" style="display:flex; flex-wrap:wrap; gap:0.5rem; align-items:center; margin-top:1.2rem; padding-top:1rem; border-top:1px solid var(--border, #e5e7eb);">
+          <strong style="margin-right:0.25rem;">New profile</strong>
+          <input name="name" type="text" required maxlength="${this.NAME_MAX}" placeholder="Name" aria-label="Profile name" style="${this.inputStyle} flex:1 1 10rem;">
+          <input name="pin" type="password" inputmode="numeric" autocomplete="new-password" maxlength="8" placeholder="PIN (optional)" aria-label="PIN, optional, 4 to 8 digits" style="${this.inputStyle} flex:0 1 9rem;">
+          <button type="submit" style="${this.buttonStyle}">Create</button>
+        </form>
+      ` : `<p style="margin-top:1rem; opacity:0.75;">This device has the maximum of ${this.MAX_PROFILES} profiles.</p>`}
+    `;
+  },
+
+  /**
+   * @param {Object} profile - Profile being edited
+   * @returns {string} Edit form markup (data-form="edit")
+   */
+  editForm(profile) {
+    if (!profile) return '';
+    const id = escapeHtml(profile.id);
+    const needsPin = this.isLocked(profile);
+    const deletable = profile.id !== StorageManager.DEFAULT_PROFILE && profile.id !== StorageManager.profile;
+    return `
+      <form data-form="edit" data-id="${id}" style="display:grid; gap:0.6rem; margin-top:1rem; padding:1rem; border-radius:12px; border:1px solid var(--border, #e5e7eb);">
+        <strong>Edit ${escapeHtml(profile.name)}</strong>
+        <label style="display:grid; gap:0.25rem;">Name
+          <input name="name" type="text" required maxlength="${this.NAME_MAX}" value="${escapeHtml(profile.name)}" style="${this.inputStyle}">
+        </label>
+        <label style="display:grid; gap:0.25rem;">${needsPin ? 'New PIN (leave empty to keep it)' : 'PIN (optional, 4 to 8 digits)'}
+          <input name="pin" type="password" inputmode="numeric" autocomplete="new-password" maxlength="8" style="${this.inputStyle}">
+        </label>
+        ${needsPin ? `
+          <label style="display:flex; gap:0.4rem; align-items:center;"><input name="clearPin" type="checkbox"> Remove the PIN</label>
+          <label style="display:grid; gap:0.25rem;">Current PIN
+            <input name="currentPin" type="password" inputmode="numeric" autocomplete="off" maxlength="8" style="${this.inputStyle}">
+          </label>
+        ` : ''}
+        <div style="display:flex; flex-wrap:wrap; gap:0.5rem;">
+          <button type="submit" style="${this.buttonStyle}">Save</button>
+          <button type="button" data-action="cancel" style="${this.quietButtonStyle}">Cancel</button>
+          ${deletable ? `<button type="button" data-action="delete" data-id="${id}" style="${this.quietButtonStyle} margin-left:auto; color:#dc2626; border-color:#dc2626;">Delete profile</button>` : ''}
+        </div>
+      </form>
+    `;
+  },
+
+  init() {
+    this.mountSwitcher();
+    window.addEventListener('profilesChanged', () => this.updateSwitcher());
+
+    // Another tab switched profiles: this page's data belongs to the old one
+    StorageManager.subscribe(this.ACTIVE_KEY, () => {
+      if (StorageManager.resolveProfile() !== StorageManager.profile) window.location.reload();
+    });
+    StorageManager.subscribe(this.STORAGE_KEY, () => {
+      if (StorageManager.resolveProfile() !== StorageManager.profile) {
+        window.location.reload();
+        return;
+      }
+      this.updateSwitcher();
+    });
+  }
+};
+
+if (document.readyState === 'loading') {
+  document.addEventListener('DOMContentLoaded', () => ProfileManager.init());
+} else {
+  ProfileManager.init();
+}
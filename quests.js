@@ -0,0 +1,388 @@
+/**
+ * SpendSomeTime Quests
+ * Daily and weekly quests shared by every page. Picks are seeded by the day
+ * (or week) key so every tab and device agrees on them, targets scale with
+ * recent activity, and progress is recorded from app events wherever they
+ * happen, so a quest completes (and pays out) on whichever page finishes it.
+ *
+ * Pages report activity with document events:
+ *   challengeProgress { challengeId, timeSpent, verified, progressIncreased, completed }
+ *   gameResult        { game, percentile }
+ *   quizCompleted     { quiz }
+ *
+ * Load this with defer, after gamification.js.
+ */
+
+const QuestManager = {
+  legendaryChance: 0.25,
+  weeklyCount: 3,
+  activityWindowDays: 7,
+
+  // Daily quest templates: one easy, one medium and one hard quest per day.
+  // `{target}` in desc is filled in after scaling; scalable quests grow
+  // (or shrink) their target and XP with recent activity, in steps of `step`.
+  dailyPool: [
+    // Easy
+    { id: 'time10', title: 'Warm Up', desc: 'Focus for {target} minutes with the timer', xp: 5, difficulty: 'easy', type: 'time', target: 10, step: 5, scalable: true },
+    { id: 'log', title: 'Log It', desc: 'Log any progress', xp: 8, difficulty: 'easy', type: 'log', target: 1 },
+    { id: 'quickPlay', title: 'Quick Play', desc: 'Play {target} brain games', xp: 6, difficulty: 'easy', type: 'games', target: 2, scalable: true },
+    { id: 'quiz', title: 'Curious Mind', desc: 'Take a skills quiz', xp: 10, difficulty: 'easy', type: 'quiz', target: 1 },
+
+    // Medium
+    { id: 'time25', title: 'Focus Mode', desc: 'Focus for {target} minutes with the timer', xp: 15, difficulty: 'medium', type: 'time', target: 25, step: 5, scalable: true },
+    { id: 'challenge', title: 'Challenger', desc: 'Complete a challenge', xp: 20, difficulty: 'medium', type: 'completeChallenge', target: 1 },
+    { id: 'arcadeRun', title: 'Arcade Run', desc: 'Play {target} brain games', xp: 15, difficulty: 'medium', type: 'games', target: 5, scalable: true },
+    { id: 'juggler', title: 'Juggler', desc: 'Log progress on {target} different challenges', xp: 18, difficulty: 'medium', type: 'distinctChallenges', target: 2 },
+
+    // Hard
+    { id: 'time45', title: 'Deep Work', desc: 'Focus for {target} minutes with the timer', xp: 35, difficulty: 'hard', type: 'time', target: 45, step: 5, scalable: true },
+    { id: 'sharpShooter', title: 'Sharp Shooter', desc: 'Beat the {target}th percentile in any game', xp: 30, difficulty: 'hard', type: 'percentile', target: 75 },
+    { id: 'multitasker', title: 'Multitasker', desc: 'Log progress on {target} different challenges', xp: 30, difficulty: 'hard', type: 'distinctChallenges', target: 3 },
+
+    // 🌟 Legendary (bonus fourth quest on lucky days)
+    { id: 'legendary60', title: 'Legendary Grind', desc: 'Focus for {target} minutes with the timer', xp: 75, difficulty: 'legendary', type: 'time', target: 60, step: 5, scalable: true, legendary: true }
+  ],
+
+  // Weekly quest templates (bigger goals, bigger rewards)
+  weeklyPool: [
+    { id: 'weekTime', title: 'Weekly Dedication', desc: 'Focus for {target} minutes with the timer this week', xp: 100, difficulty: 'weekly', type: 'time', target: 180, step: 15, scalable: true },
+    { id: 'weekLogs', title: 'Consistency', desc: 'Log progress {target} times this week', xp: 80, difficulty: 'weekly', type: 'log', target: 5, scalable: true },
+    { id: 'weekGames', title: 'Game Week', desc: 'Play {target} brain games this week', xp: 80, difficulty: 'weekly', type: 'games', target: 20, step: 5, scalable: true },
+    { id: 'weekQuiz', title: 'Know Thyself', desc: 'Take {target} quizzes this week', xp: 60, difficulty: 'weekly', type: 'quiz', target: 2 },
+    { id: 'weekSpread', title: 'Well-Rounded', desc: 'Log progress on {target} different challenges this week', xp: 90, difficulty: 'weekly', type: 'distinctChallenges', target: 3 },
+    { id: 'weekPercentile', title: 'Top Performer', desc: 'Reach the {target}th percentile in any game this week', xp: 120, difficulty: 'weekly', type: 'percentile', target: 90 }
+  ],
+
+  // How each quest type reads a period's progress record
+  // (SINGLE SOURCE OF TRUTH for what counts toward a quest)
+  measures: {
+    time: p => p.focusMinutes, // Timer-measured only; typed minutes can't be verified
+    log: p => p.logs,
+    completeChallenge: p => p.challengesCompleted,
+    games: p => p.games,
+    percentile: p => p.bestPercentile,
+    quiz: p => p.quizzes,
+    distinctChallenges: p => p.challengeIds.length
+  },
+
+  // Storage layout per period; `source` is the XP ledger rule that pays out
+  periods: {
+    daily: {
+      questsKey: 'dailyQuests-',
+      progressKey: 'questProgress-',
+      completedKey: 'questsCompleted-',
+      source: 'dailyQuest',
+      currentKey: () => CalendarDay.today()
+    },
+    weekly: {
+      questsKey: 'weeklyQuests-',
+      progressKey: 'weeklyProgress-',
+      completedKey: 'weeklyQuestsCompleted-',
+      source: 'weeklyQuest',
+      currentKey: () => CalendarDay.weekStart()
+    }
+  },
+
+  /**
+   * Deterministic PRNG seeded from text (FNV-1a seed, mulberry32 stream)
+   * @param {string} text - Seed, e.g. 'daily:2024-05-01'
+   * @returns {Function} Returns floats in [0, 1)
+   */
+  seededRandom(text) {
+    let seed = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+      seed ^= text.charCodeAt(i);
+      seed = Math.imul(seed, 0x01000193) >>> 0;
+    }
+    return () => {
+      seed = (seed + 0x6d2b79f5) >>> 0;
+      let t = seed;
+      t = Math.imul(t ^ (t >>> 15), t | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+  },
+
+  /**
+   * @param {Array} items - Items to shuffle (not modified)
+   * @param {Function} random - PRNG from seededRandom
+   * @returns {Array} Shuffled copy (Fisher-Yates)
+   */
+  seededShuffle(items, random) {
+    const copy = [...items];
+    for (let i = copy.length - 1; i > 0; i--) {
+      const j = Math.floor(random() * (i + 1));
+      [copy[i], copy[j]] = [copy[j], copy[i]];
+    }
+    return copy;
+  },
+
+  /**
+   * Read a progress record in the current shape
+   * Records saved before this module used { time, log: true, challenge: true }.
+   * @param {Object} raw - Stored progress
+   * @returns {Object} { minutes, focusMinutes, logs, challengesCompleted, games, bestPercentile, quizzes, challengeIds }
+   */
+  normalizeProgress(raw) {
+    const p = raw || {};
+    return {
+      minutes: Number(p.minutes ?? p.time) || 0,
+      focusMinutes: Number(p.focusMinutes) || 0,
+      logs: Number(p.logs) || (p.log ? 1 : 0),
+      challengesCompleted: Number(p.challengesCompleted) || (p.challenge ? 1 : 0),
+      games: Number(p.games) || 0,
+      bestPercentile: Number(p.bestPercentile) || 0,
+      quizzes: Number(p.quizzes) || 0,
+      challengeIds: Array.isArray(p.challengeIds) ? p.challengeIds : []
+    };
+  },
+
+  /**
+   * Difficulty multiplier from recent activity
+   * Counts active days in the window before today: an idle week eases quests
+   * to 75% and a fully active week raises them to 145%.
+   * @returns {number} Multiplier applied to scalable targets and rewards
+   */
+  getDifficultyScale() {
+    const today = CalendarDay.today();
+    let activeDays = 0;
+    for (let i = 1; i <= this.activityWindowDays; i++) {
+      const p = this.normalizeProgress(StorageManager.get('questProgress-' + CalendarDay.addDays(today, -i)));
+      if (p.minutes || p.logs || p.games || p.quizzes) activeDays++;
+    }
+    return Math.round((0.75 + activeDays * 0.1) * 100) / 100;
+  },
+
+  /**
+   * Turn a template into a concrete quest
+   * @param {Object} template - Pool entry
+   * @param {number} scale - From getDifficultyScale
+   * @returns {Object} Quest with final target, xp and description
+   */
+  buildQuest(template, scale) {
+    const quest = { ...template };
+    if (template.scalable) {
+      const step = template.step || 1;
+      quest.target = Math.max(step, Math.round((template.target * scale) / step) * step);
+      quest.xp = Math.max(1, Math.round(template.xp * scale));
+    }
+    quest.desc = template.desc.replace('{target}', quest.target);
+    return quest;
+  },
+
+  /**
+   * Pick quests for a period (same key always gives the same picks)
+   * @param {string} period - 'daily' or 'weekly'
+   * @param {string} key - Day or week-start key
+   * @returns {Array} Quests
+   */
+  pickQuests(period, key) {
+    const random = this.seededRandom(`${period}:${key}`);
+    const scale = this.getDifficultyScale();
+
+    if (period === 'weekly') {
+      return this.seededShuffle(this.weeklyPool, random)
+        .slice(0, this.weeklyCount)
+        .map(t => this.buildQuest(t, scale));
+    }
+
+    const picks = ['easy', 'medium', 'hard'].map(difficulty => {
+      const options = this.dailyPool.filter(q => q.difficulty === difficulty);
+      return options[Math.floor(random() * options.length)];
+    });
+    if (random() < this.legendaryChance) {
+      picks.push(this.dailyPool.find(q => q.legendary));
+    }
+    return picks.map(t => this.buildQuest(t, scale));
+  },
+
+  /**
+   * Get the current quests for a period, picking them on first use
+   * The picks are stored so the difficulty scale is fixed for the period.
+   * @param {string} period - 'daily' or 'weekly'
+   * @returns {Array} Quests
+   */
+  getQuests(period = 'daily') {
+    const { questsKey, currentKey } = this.periods[period];
+    const key = currentKey();
+    const saved = StorageManager.get(questsKey + key);
+    // Picks saved before this module used other quest types; pick again
+    if (Array.isArray(saved) && saved.length && saved.every(q => this.measures[q.type])) return saved;
+
+    const quests = this.pickQuests(period, key);
+    StorageManager.set(questsKey + key, quests);
+    return quests;
+  },
+
+  /**
+   * @param {string} period - 'daily' or 'weekly'
+   * @returns {Object} Normalized progress for the current period
+   */
+  getProgress(period = 'daily') {
+    const { progressKey, currentKey } = this.periods[period];
+    return this.normalizeProgress(StorageManager.get(progressKey + currentKey()));
+  },
+
+  /**
+   * @param {string} period - 'daily' or 'weekly'
+   * @returns {Array} IDs of quests completed this period
+   */
+  getCompleted(period = 'daily') {
+    const { completedKey, currentKey } = this.periods[period];
+    return StorageManager.get(completedKey + currentKey());
+  },
+
+  /**
+   * Quests with progress, for rendering
+   * @param {string} period - 'daily' or 'weekly'
+   * @returns {Array} Quests plus { current, percent, completed }
+   */
+  getQuestStatus(period = 'daily') {
+    const progress = this.getProgress(period);
+    const completed = this.getCompleted(period);
+    return this.getQuests(period).map(quest => {
+      const current = Math.min(this.measures[quest.type](progress), quest.target);
+      return {
+        ...quest,
+        current,
+        percent: Math.round((current / quest.target) * 100),
+        completed: completed.includes(quest.id)
+      };
+    });
+  },
+
+  /**
+   * Reward for a current quest (read by GameSystem.xpRules)
+   * @param {string} period - 'daily' or 'weekly'
+   * @param {string} questId - Quest ID
+   * @returns {number} XP, or 0 if the quest isn't active this period
+   */
+  getReward(period, questId) {
+    const quest = this.getQuests(period).find(q => q.id === questId);
+    return quest ? Number(quest.xp) || 0 : 0;
+  },
+
+  /**
+   * Record activity toward the current daily and weekly quests
+   * @param {string} event - 'challengeProgress', 'gameResult' or 'quizCompleted'
+   * @param {Object} data - Event detail
+   * @returns {Array} Quests completed by this activity
+   */
+  record(event, data = {}) {
+    Object.values(this.periods).forEach(({ progressKey, currentKey }) => {
+      const key = progressKey + currentKey();
+      const progress = this.normalizeProgress(StorageManager.get(key));
+
+      if (event === 'challengeProgress') {
+        // Capped like the challengeProgress XP rule to ignore bogus inputs
+        const minutes = Math.min(Math.max(0, Number(data.timeSpent) || 0), 300);
+        progress.minutes += minutes;
+        if (data.verified) progress.focusMinutes += minutes;
+        if (data.progressIncreased) progress.logs++;
+        if (data.completed) progress.challengesCompleted++;
+        if (data.challengeId != null && !progress.challengeIds.includes(String(data.challengeId))) {
+          progress.challengeIds.push(String(data.challengeId));
+        }
+      } else if (event === 'gameResult') {
+        progress.games++;
+        progress.bestPercentile = Math.max(progress.bestPercentile, Number(data.percentile) || 0);
+      } else if (event === 'quizCompleted') {
+        progress.quizzes++;
+      } else {
+        return;
+      }
+
+      StorageManager.set(key, progress);
+    });
+
+    return this.evaluate();
+  },
+
+  /**
+   * Complete and pay out every quest whose target has been reached
+   * IDEMPOTENT: payouts use ledger keys, so two tabs finishing the same
+   * quest still award it once.
+   * @returns {Array} { quest, period, entry } for each newly completed quest
+   */
+  evaluate() {
+    if (typeof GameSystem === 'undefined') return [];
+
+    const finished = [];
+    Object.entries(this.periods).forEach(([period, { completedKey, source, currentKey }]) => {
+      const key = currentKey();
+      this.getQuestStatus(period).forEach(quest => {
+        if (quest.completed || quest.current < quest.target) return;
+
+        const completed = StorageManager.get(completedKey + key);
+        if (!completed.includes(quest.id)) completed.push(quest.id);
+        StorageManager.set(completedKey + key, completed);
+
+        const entry = GameSystem.earnXP(source, { questId: quest.id }, `${source}:${quest.id}:${key}`);
+        finished.push({ quest, period, entry });
+        window.dispatchEvent(new CustomEvent('questCompleted', { detail: { quest, period, entry } }));
+      });
+    });
+
+    if (this.allDailyCompleted()) this.grantDailyBonus();
+    return finished;
+  },
+
+  /**
+   * @returns {boolean} True once every daily quest is completed
+   */
+  allDailyCompleted() {
+    const completed = this.getCompleted('daily');
+    return this.getQuests('daily').every(q => completed.includes(q.id));
+  },
+
+  /**
+   * Award the bonus for finishing all of today's quests (once per day)
+   * @returns {Object|null} Ledger entry, or null if already granted
+   */
+  grantDailyBonus() {
+    const day = CalendarDay.today();
+    if (StorageManager.get('dailyBonus-' + day)) return null;
+
+    // Ledger key makes the bonus once-per-day even across tabs
+    const entry = GameSystem.earnXP('dailyBonus', {}, 'dailyBonus:' + day);
+    StorageManager.set('dailyBonus-' + day, true);
+    if (entry) {
+      window.dispatchEvent(new CustomEvent('questBonus', { detail: { day, entry } }));
+    }
+    return entry;
+  }
+};
+
+// Activity reported by any page counts toward quests
+document.addEventListener('challengeProgress', (e) => {
+  try {
+    QuestManager.record('challengeProgress', e.detail || {});
+  } catch (err) {
+    console.warn('Quest progress error', err);
+  }
+});
+
+document.addEventListener('gameResult', (e) => {
+  try {
+    QuestManager.record('gameResult', e.detail || {});
+  } catch (err) {
+    console.warn('Quest progress error', err);
+  }
+});
+
+document.addEventListener('quizCompleted', (e) => {
+  try {
+    QuestManager.record('quizCompleted', e.detail || {});
+  } catch (err) {
+    console.warn('Quest progress error', err);
+  }
+});
+
+// Progress restored from a backup or another device may already finish a quest
+window.addEventListener('gamificationReady', () => {
+  try {
+    QuestManager.evaluate();
+  } catch (err) {
+    console.warn('Quest evaluation error', err);
+  }
+});
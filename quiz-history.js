@@ -0,0 +1,322 @@
+/**
+ * SpendSomeTime Quiz History
+ * Saved quiz results (quizHistory, newest first) for both quizzes: how many
+ * to keep, side-by-side comparison of two runs, trait drift across runs and
+ * which skills entered or left the top matches. render() draws the history
+ * panel used by skills.html and weird.html.
+ *
+ * Load this WITHOUT defer, after storage.js and html.js.
+ */
+
+const QuizHistory = {
+  HISTORY_KEY: 'quizHistory',
+  SETTINGS_KEY: 'quizHistorySettings',
+
+  defaults: { limit: 10 },
+  limits: { min: 1, max: 100 },
+  limitOptions: [5, 10, 20, 50, 100],
+
+  /**
+   * @returns {number} How many results are kept across both quizzes
+   */
+  getLimit() {
+    const limit = Math.round(Number((StorageManager.get(this.SETTINGS_KEY) || {}).limit));
+    if (!Number.isFinite(limit)) return this.defaults.limit;
+    return Math.min(this.limits.max, Math.max(this.limits.min, limit));
+  },
+
+  /**
+   * Change retention and drop results beyond it right away
+   * @param {number} limit - Results to keep
+   * @returns {number} The limit that was saved
+   */
+  setLimit(limit) {
+    StorageManager.set(this.SETTINGS_KEY, { limit });
+    const next = this.getLimit();
+    const history = StorageManager.get(this.HISTORY_KEY);
+    if (history.length > next) StorageManager.set(this.HISTORY_KEY, history.slice(0, next));
+    return next;
+  },
+
+  /**
+   * Save a quiz result
+   * @param {Object} run - { date, type, topMatches, skillsRanked, bestMatch, traits|answers }
+   */
+  record(run) {
+    const history = [run, ...StorageManager.get(this.HISTORY_KEY)];
+    StorageManager.set(this.HISTORY_KEY, history.slice(0, this.getLimit()));
+  },
+
+  /**
+   * @param {string} type - 'skills' or 'quickskills'
+   * @returns {Array} Saved runs of that quiz, newest first
+   */
+  getRuns(type) {
+    return StorageManager.get(this.HISTORY_KEY).filter(run => run.type === type);
+  },
+
+  /**
+   * @param {Object} run - Saved run
+   * @returns {Object} Trait values (skills quiz totals or quick skills answers)
+   */
+  profileOf(run) {
+    return run.traits || run.answers || {};
+  },
+
+  /**
+   * Traits worth showing: any that ever had a value
+   * @param {Array} runs - Saved runs
+   * @returns {Array} Trait keys, alphabetical
+   */
+  traitKeys(runs) {
+    const keys = new Set();
+    runs.forEach(run => Object.entries(this.profileOf(run)).forEach(([k, v]) => {
+      if (Number(v)) keys.add(k);
+    }));
+    return [...keys].sort();
+  },
+
+  /**
+   * Side-by-side comparison of two runs
+   * @param {Object} before - Older run
+   * @param {Object} after - Newer run
+   * @returns {Object} { traits: [{ trait, before, after, delta }], entered, left, kept }
+   */
+  compare(before, after) {
+    const a = this.profileOf(before);
+    const b = this.profileOf(after);
+    const round = v => Math.round((Number(v) || 0) * 100) / 100;
+    const traits = this.traitKeys([before, after]).map(trait => ({
+      trait,
+      before: round(a[trait]),
+      after: round(b[trait]),
+      delta: round((Number(b[trait]) || 0) - (Number(a[trait]) || 0))
+    }));
+    const oldTop = before.topMatches || [];
+    const newTop = after.topMatches || [];
+    return {
+      traits,
+      entered: newTop.filter(name => !oldTop.includes(name)),
+      left: oldTop.filter(name => !newTop.includes(name)),
+      kept: newTop.filter(name => oldTop.includes(name))
+    };
+  },
+
+  /**
+   * Each trait's value run by run, oldest first
+   * @param {string} type - 'skills' or 'quickskills'
+   * @returns {Object} { dates, traits: [{ trait, values }] }
+   */
+  drift(type) {
+    const runs = this.getRuns(type).reverse();
+    return {
+      dates: runs.map(run => run.date),
+      traits: this.traitKeys(runs).map(trait => ({
+        trait,
+        values: runs.map(run => Number(this.profileOf(run)[trait]) || 0)
+      }))
+    };
+  },
+
+  /**
+   * Skills that entered or left the top matches between consecutive runs
+   * @param {string} type - 'skills' or 'quickskills'
+   * @returns {Array} { date, entered, left } newest first, unchanged runs skipped
+   */
+  topMatchChanges(type) {
+    const runs = this.getRuns(type);
+    return runs.slice(0, -1)
+      .map((run, i) => ({ date: run.date, ...this.compare(runs[i + 1], run) }))
+      .filter(change => change.entered.length || change.left.length)
+      .map(({ date, entered, left }) => ({ date, entered, left }));
+  },
+
+  /**
+   * @param {string} trait - Trait key
+   * @returns {string} Readable name
+   */
+  label(trait) {
+    return trait.replace(/_/g, ' ');
+  },
+
+  /**
+   * @param {string} date - ISO timestamp
+   * @returns {string} Short local date and time
+   */
+  formatDate(date) {
+    return new Date(date).toLocaleString(undefined, { month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' });
+  },
+
+  /**
+   * Small line chart of one trait across runs
+   * @param {Array} values - Numbers, oldest first
+   * @param {Array} dates - Matching run dates
+   * @returns {string} SVG markup
+   */
+  sparklineSvg(values, dates) {
+    const width = 160;
+    const height = 32;
+    const pad = 3;
+    const max = Math.max(...values, 0);
+    const min = Math.min(...values, 0);
+    const span = max - min || 1;
+    const x = i => pad + (values.length > 1 ? (i / (values.length - 1)) * (width - 2 * pad) : (width - 2 * pad) / 2);
+    const y = v => height - pad - ((v - min) / span) * (height - 2 * pad);
+    const path = values.map((v, i) => `${i ? 'L' : 'M'}${x(i).toFixed(1)},${y(v).toFixed(1)}`).join(' ');
+
+    let svg = `<svg class="history-spark" viewBox="0 0 ${width} ${height}" width="${width}" height="${height}" role="img">`;
+    svg += `<path d="${path}" fill="none" stroke="currentColor" stroke-width="2"/>`;
+    values.forEach((v, i) => {
+      svg += `<circle cx="${x(i).toFixed(1)}" cy="${y(v).toFixed(1)}" r="2.5" fill="currentColor"><title>${escapeHtml(this.formatDate(dates[i]))}: ${Math.round(v * 100) / 100}</title></circle>`;
+    });
+    return svg + '</svg>';
+  },
+
+  /**
+   * Draw the history panel for one quiz
+   * @param {HTMLElement} container - Where to draw
+   * @param {string} type - 'skills' or 'quickskills'
+   * @param {Object} selection - { before, after } run dates to compare
+   *   (defaults to the two most recent runs)
+   */
+  render(container, type, selection = {}) {
+    const runs = this.getRuns(type);
+    const limit = this.getLimit();
+    const limitOptions = [...new Set([...this.limitOptions, limit])].sort((a, b) => a - b);
+
+    let html = `
+      <div class="history-header">
+        <h3>📜 Quiz History</h3>
+        <label>Keep the last
+          <select data-action="limit">
+            ${limitOptions.map(n => `<option value="${n}" ${n === limit ? 'selected' : ''}>${n}</option>`).join('')}
+          </select>
+          results
+        </label>
+      </div>
+    `;
+
+    if (!runs.length) {
+      container.innerHTML = html + '<p>No saved results yet. Finish the quiz to start your history.</p>';
+      this.bind(container, type);
+      return;
+    }
+
+    // Clicking a run compares it with the one before it
+    html += `
+      <div class="history-runs">
+        ${runs.map((run, i) => `
+          <div class="history-item" data-after="${escapeHtml(run.date)}" data-before="${escapeHtml((runs[i + 1] || {}).date || '')}">
+            <span class="history-date">${escapeHtml(this.formatDate(run.date))}</span>
+            <strong>${escapeHtml((run.topMatches || [])[0] || 'No matches')}</strong>
+            <span class="history-best">${Number(run.bestMatch) || 0}% best match</span>
+          </div>
+        `).join('')}
+      </div>
+    `;
+
+    if (runs.length > 1) {
+      const after = runs.find(run => run.date === selection.after) || runs[0];
+      const before = runs.find(run => run.date === selection.before) || runs.find(run => run !== after);
+      const diff = this.compare(before, after);
+      const options = chosen => runs.map(run => `<option value="${escapeHtml(run.date)}" ${run === chosen ? 'selected' : ''}>${escapeHtml(this.formatDate(run.date))}</option>`).join('');
+      const chips = (names, cls) => names.map(name => `<span class="history-chip ${cls}">${escapeHtml(name)}</span>`).join('');
+      const card = (run, title, highlight, cls) => `
+        <div class="comparison-card">
+          <h4>${title}: ${escapeHtml(this.formatDate(run.date))}</h4>
+          <p>${Number(run.bestMatch) || 0}% best match</p>
+          <ol>
+            ${(run.topMatches || []).map(name => `<li class="${highlight.includes(name) ? cls : ''}">${escapeHtml(name)}</li>`).join('')}
+          </ol>
+        </div>
+      `;
+      const { dates, traits } = this.drift(type);
+      const changes = this.topMatchChanges(type);
+
+      html += `
+        <h4>Compare two results</h4>
+        <div class="history-compare-pick">
+          <select data-action="before">${options(before)}</select>
+          <span>→</span>
+          <select data-action="after">${options(after)}</select>
+        </div>
+        <div class="comparison-view">
+          ${card(before, 'Before', diff.left, 'left')}
+          ${card(after, 'After', diff.entered, 'entered')}
+        </div>
+        <table class="history-compare">
+          <thead><tr><th>Trait</th><th>Before</th><th>After</th><th>Change</th></tr></thead>
+          <tbody>
+            ${diff.traits.map(t => `
+              <tr>
+                <td>${escapeHtml(this.label(t.trait))}</td>
+                <td>${t.before}</td>
+                <td>${t.after}</td>
+                <td class="${t.delta > 0 ? 'up' : t.delta < 0 ? 'down' : ''}">${t.delta > 0 ? '▲ +' : t.delta < 0 ? '▼ ' : ''}${t.delta}</td>
+              </tr>
+            `).join('')}
+          </tbody>
+        </table>
+        <div class="history-top-changes">
+          ${diff.entered.length ? `<p><strong>New in top matches:</strong> ${chips(diff.entered, 'entered')}</p>` : ''}
+          ${diff.left.length ? `<p><strong>Dropped out:</strong> ${chips(diff.left, 'left')}</p>` : ''}
+          ${!diff.entered.length && !diff.left.length ? '<p>Same top matches in both results.</p>' : ''}
+        </div>
+
+        <h4>Trait drift</h4>
+        <div class="history-drift">
+          ${traits.map(t => `
+            <div class="history-drift-row">
+              <span>${escapeHtml(this.label(t.trait))}</span>
+              ${this.sparklineSvg(t.values, dates)}
+              <span class="history-latest">${Math.round(t.values[t.values.length - 1] * 100) / 100}</span>
+            </div>
+          `).join('')}
+        </div>
+
+        ${changes.length ? `
+          <h4>Top match changes</h4>
+          <ul class="history-changes">
+            ${changes.map(change => `
+              <li>
+                <span class="history-date">${escapeHtml(this.formatDate(change.date))}</span>
+                ${chips(change.entered.map(name => `+ ${name}`), 'entered')}
+                ${chips(change.left.map(name => `− ${name}`), 'left')}
+              </li>
+            `).join('')}
+          </ul>
+        ` : ''}
+      `;
+    } else {
+      html += '<p>Take the quiz again to compare results and see how your traits drift.</p>';
+    }
+
+    container.innerHTML = html;
+    this.bind(container, type);
+  },
+
+  /**
+   * Wire the panel's controls
+   * @param {HTMLElement} container - Rendered panel
+   * @param {string} type - Quiz type
+   */
+  bind(container, type) {
+    container.querySelectorAll('.history-item[data-before]').forEach(item => {
+      if (!item.dataset.before) return;
+      item.onclick = () => this.render(container, type, { before: item.dataset.before, after: item.dataset.after });
+    });
+    container.querySelectorAll('select[data-action]').forEach(select => {
+      select.onchange = () => {
+        if (select.dataset.action === 'limit') {
+          this.setLimit(Number(select.value));
+          this.render(container, type);
+          return;
+        }
+        this.render(container, type, {
+          before: container.querySelector('select[data-action="before"]').value,
+          after: container.querySelector('select[data-action="after"]').value
+        });
+      };
+    });
+  }
+};
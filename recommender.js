@@ -0,0 +1,262 @@
+/**
+ * SpendSomeTime Recommender
+ * Ranks skills.json / weird.json entries against a quiz profile for both
+ * quizzes: centered cosine similarity over shared traits, per-trait
+ * explanations, diversity re-ranking of the top results, and feedback from
+ * bookmarks and dismissals. Skills already being practiced are left out.
+ *
+ * Load this WITHOUT defer, after storage.js and bookmarks.js.
+ */
+
+const Recommender = {
+  DISMISSED_KEY: 'dismissedSkills',
+
+  // Item traits are 0-1 levels; 0.5 means "neither"
+  itemCenter: 0.5,
+
+  // Maximal marginal relevance over the best `pool` results: lambda trades
+  // match (1) against being unlike what's already picked (0)
+  diversity: { pool: 24, lambda: 0.75 },
+
+  // Each bookmark or dismissal nudges the profile toward or away from that
+  // skill's traits, up to maxWeight of the profile's own length
+  feedback: { weightPerVote: 0.1, maxWeight: 0.5 },
+
+  labels: {
+    hands_on: 'hands-on work',
+    solo: 'working solo',
+    time_commitment: 'time commitment',
+    time: 'time needed',
+    type: 'physical skills',
+    structure: 'freeform practice'
+  },
+
+  /**
+   * @param {string} trait - Trait key
+   * @returns {string} Readable name
+   */
+  label(trait) {
+    return this.labels[trait] || trait.replace(/_/g, ' ');
+  },
+
+  /**
+   * Every trait key used by a dataset
+   * @param {Array} items - Dataset entries
+   * @returns {Array} Keys
+   */
+  traitKeys(items) {
+    const keys = new Set();
+    items.forEach(item => Object.keys(item.traits || {}).forEach(k => keys.add(k)));
+    return [...keys];
+  },
+
+  /**
+   * @param {Object} values - Trait values
+   * @param {Array} keys - Keys to read
+   * @param {number|string} center - Subtracted from each value; 'mean' uses their average
+   * @returns {Array} Centered vector (missing values count as the center)
+   */
+  center(values, keys, center) {
+    const present = keys.filter(k => Number.isFinite(values[k]));
+    const mid = center === 'mean'
+      ? (present.length ? present.reduce((sum, k) => sum + values[k], 0) / present.length : 0)
+      : center;
+    return keys.map(k => (Number.isFinite(values[k]) ? values[k] - mid : 0));
+  },
+
+  /**
+   * @param {Array} vector - Numbers
+   * @returns {number} Euclidean length
+   */
+  norm(vector) {
+    return Math.sqrt(vector.reduce((sum, v) => sum + v * v, 0));
+  },
+
+  /**
+   * @param {Array} a - Vector
+   * @param {Array} b - Vector of the same length
+   * @returns {number} Cosine similarity, -1 to 1 (0 when either is empty)
+   */
+  cosine(a, b) {
+    const lengths = this.norm(a) * this.norm(b);
+    if (!lengths) return 0;
+    return a.reduce((sum, v, i) => sum + v * b[i], 0) / lengths;
+  },
+
+  /**
+   * @param {Array} vector - Numbers
+   * @returns {Array} Same direction, length 1 (or unchanged when empty)
+   */
+  unit(vector) {
+    const length = this.norm(vector);
+    return length ? vector.map(v => v / length) : vector;
+  },
+
+  /**
+   * @returns {Array} Ids of skills the user dismissed from results
+   */
+  getDismissed() {
+    return StorageManager.get(this.DISMISSED_KEY);
+  },
+
+  /**
+   * Hide a skill from future results and steer away from skills like it
+   * @param {string} id - Skill id
+   */
+  dismiss(id) {
+    const dismissed = this.getDismissed();
+    if (!dismissed.includes(id)) StorageManager.set(this.DISMISSED_KEY, [...dismissed, id]);
+  },
+
+  /**
+   * Bring dismissed skills back
+   * @param {Array} ids - Skill ids to restore
+   */
+  restore(ids) {
+    StorageManager.set(this.DISMISSED_KEY, this.getDismissed().filter(id => !ids.includes(id)));
+  },
+
+  /**
+   * Skills with an active or paused challenge (created from the quiz or by hand)
+   * @returns {Set} Skill ids
+   */
+  inProgressIds() {
+    const ids = new Set();
+    StorageManager.get('challenges')
+      .filter(c => (c.status === 'active' || c.status === 'paused') && !c.archivedAt)
+      .forEach(c => {
+        if (c.skillId) ids.add(c.skillId);
+        // Hand-made challenges named after a skill
+        if (c.name) ids.add(BookmarkManager.slug(c.name));
+      });
+    return ids;
+  },
+
+  /**
+   * Direction learned from bookmarks (+) and dismissals (-) in this dataset
+   * @param {Array} items - Dataset entries
+   * @param {Array} keys - Trait keys
+   * @returns {Object} { vector, weight }
+   */
+  feedbackBias(items, keys) {
+    const liked = new Set(BookmarkManager.getIds());
+    const disliked = new Set(this.getDismissed());
+    const sum = keys.map(() => 0);
+    let votes = 0;
+    items.forEach(item => {
+      const id = BookmarkManager.skillId(item);
+      const vote = liked.has(id) ? 1 : disliked.has(id) ? -1 : 0;
+      if (!vote) return;
+      votes++;
+      this.center(item.traits || {}, keys, this.itemCenter).forEach((v, i) => { sum[i] += vote * v; });
+    });
+    return {
+      vector: this.unit(sum),
+      weight: Math.min(this.feedback.maxWeight, votes * this.feedback.weightPerVote)
+    };
+  },
+
+  /**
+   * Why an item matched: the traits that pulled its similarity up the most
+   * @param {Array} profile - Centered profile vector
+   * @param {Array} item - Centered item vector
+   * @param {Array} keys - Trait keys
+   * @returns {Array} { trait, direction: 'high'|'low', share } best first
+   */
+  contributions(profile, item, keys) {
+    const lengths = this.norm(profile) * this.norm(item);
+    if (!lengths) return [];
+    return keys
+      .map((trait, i) => ({
+        trait,
+        direction: profile[i] >= 0 ? 'high' : 'low',
+        share: (profile[i] * item[i]) / lengths
+      }))
+      .filter(c => c.share > 0)
+      .sort((a, b) => b.share - a.share);
+  },
+
+  /**
+   * @param {Array} reasons - From contributions()
+   * @returns {string} e.g. "Matched because you scored high on creative and working solo."
+   */
+  explain(reasons) {
+    const top = reasons.slice(0, 2);
+    if (!top.length) return '';
+    const parts = top.map((r, i) => (i > 0 && r.direction === top[0].direction ? '' : `${r.direction} on `) + this.label(r.trait));
+    return `Matched because you scored ${parts.join(' and ')}.`;
+  },
+
+  /**
+   * Greedy re-rank so near-duplicates don't crowd the top of the list
+   * @param {Array} ranked - Results sorted by score, each with a `vector`
+   * @returns {Array} Re-ordered results
+   */
+  diversify(ranked) {
+    const { pool, lambda } = this.diversity;
+    const candidates = ranked.slice(0, pool);
+    const picked = [];
+    while (candidates.length) {
+      let best = 0;
+      let bestValue = -Infinity;
+      candidates.forEach((candidate, i) => {
+        const overlap = picked.length
+          ? Math.max(...picked.map(p => this.cosine(candidate.vector, p.vector)))
+          : 0;
+        const value = lambda * candidate.similarity - (1 - lambda) * overlap;
+        if (value > bestValue) {
+          bestValue = value;
+          best = i;
+        }
+      });
+      picked.push(candidates.splice(best, 1)[0]);
+    }
+    return [...picked, ...ranked.slice(pool)];
+  },
+
+  /**
+   * Rank a dataset against a quiz profile
+   * @param {Array} items - skills.json or weird.json entries
+   * @param {Object} profile - Trait values from the quiz (only keys the items share count)
+   * @param {Object} options - { center: number|'mean' } how to center the profile:
+   *   a fixed level for answers on the same 0-1 scale as item traits, or 'mean'
+   *   for accumulated scores where only relative emphasis matters
+   * @returns {Object} { results, hidden: { inProgress, dismissed } }; each result is
+   *   the item plus { similarity, matchPercent, reasons, explanation }
+   */
+  rank(items, profile, { center = this.itemCenter } = {}) {
+    const keys = this.traitKeys(items);
+    const inProgress = this.inProgressIds();
+    const dismissed = new Set(this.getDismissed());
+
+    let user = this.unit(this.center(profile, keys, center));
+    const bias = this.feedbackBias(items, keys);
+    if (bias.weight) user = user.map((v, i) => v + bias.weight * bias.vector[i]);
+
+    const hidden = { inProgress: 0, dismissed: 0 };
+    const ranked = items
+      .filter(item => {
+        const id = BookmarkManager.skillId(item);
+        if (inProgress.has(id)) { hidden.inProgress++; return false; }
+        if (dismissed.has(id)) { hidden.dismissed++; return false; }
+        return true;
+      })
+      .map(item => {
+        const vector = this.center(item.traits || {}, keys, this.itemCenter);
+        const similarity = this.cosine(user, vector);
+        const reasons = this.contributions(user, vector, keys);
+        return {
+          ...item,
+          vector,
+          similarity,
+          matchPercent: Math.round(((similarity + 1) / 2) * 100),
+          reasons,
+          explanation: this.explain(reasons)
+        };
+      })
+      .sort((a, b) => b.similarity - a.similarity);
+
+    const results = this.diversify(ranked).map(({ vector, ...result }) => result);
+    return { results, hidden };
+  }
+};
@@ -0,0 +1,312 @@
+/**
+ * SpendSomeTime Practice Reminders
+ * Local reminders for per-challenge practice schedules (no push server).
+ * Delivery, best available first:
+ *   1. Notification Triggers - the coming week's reminders are handed to the
+ *      browser as timestamped notifications and fire with no tab open.
+ *   2. Periodic Background Sync - sw.js wakes up now and then and shows any
+ *      reminder that came due since, from a plan mirrored into the Cache API
+ *      (service workers can't read localStorage).
+ *   3. In-page - a timer for the next reminder while any page is open.
+ * Reminders are dropped for challenges already logged that day and for
+ * times inside the user's quiet hours.
+ *
+ * Load this with defer, after gamification.js.
+ */
+
+const ReminderScheduler = {
+  SETTINGS_KEY: 'reminderSettings',
+  CACHE_NAME: 'sst-reminders', // Shared with sw.js
+  PLAN_URL: '/__reminders/plan.json',
+  SHOWN_URL: '/__reminders/shown.json',
+  SYNC_TAG: 'sst-reminders',
+  TAG_PREFIX: 'sst-reminder-',
+  horizonDays: 7,
+  syncIntervalMs: 12 * 60 * 60 * 1000,
+  maxTimerMs: 60 * 60 * 1000, // Re-plan at least hourly so long sleeps can't drift
+
+  _timer: null,
+
+  /**
+   * Get quiet hours
+   * @returns {Object} { quietStart, quietEnd } hours 0-23, or null when off
+   */
+  getSettings() {
+    const saved = StorageManager.get(this.SETTINGS_KEY) || {};
+    const hour = h => (h === null || h === '' || h === undefined ? null : CalendarDay.clampHour(h));
+    return { quietStart: hour(saved.quietStart), quietEnd: hour(saved.quietEnd) };
+  },
+
+  /**
+   * Save quiet hours and re-plan reminders
+   * @param {Object} settings - { quietStart, quietEnd } (null turns quiet hours off)
+   * @returns {Object} The settings that were saved
+   */
+  setSettings(settings) {
+    StorageManager.set(this.SETTINGS_KEY, settings);
+    const next = this.getSettings();
+    this.sync();
+    return next;
+  },
+
+  /**
+   * @param {number} hour - Local hour 0-23
+   * @param {Object} settings - From getSettings
+   * @returns {boolean} True if reminders are muted at this hour
+   */
+  isQuietHour(hour, settings = this.getSettings()) {
+    const { quietStart: start, quietEnd: end } = settings;
+    if (start === null || end === null || start === end) return false;
+    // Windows like 22 -> 7 wrap past midnight
+    return start < end ? hour >= start && hour < end : hour >= start || hour < end;
+  },
+
+  /**
+   * Read a challenge's practice schedule
+   * @param {Object} challenge - Stored challenge
+   * @returns {Object|null} { days: [0-6, Sunday first], hour, minute }, or null if unscheduled
+   */
+  getSchedule(challenge) {
+    const schedule = challenge && challenge.schedule;
+    if (!schedule || !Array.isArray(schedule.days) || !schedule.days.length) return null;
+    const match = /^(\d{1,2}):(\d{2})$/.exec(schedule.time || '');
+    if (!match) return null;
+    return {
+      days: schedule.days.map(Number).filter(d => d >= 0 && d <= 6),
+      hour: CalendarDay.clampHour(match[1]),
+      minute: Math.min(59, Number(match[2]))
+    };
+  },
+
+  /**
+   * @param {Object} challenge - Stored challenge
+   * @param {string} dayKey - 'YYYY-MM-DD' app day
+   * @returns {boolean} True if progress was logged for that day
+   */
+  loggedOn(challenge, dayKey) {
+    return (challenge.notes || []).some(note => CalendarDay.dayKey(note.date) === dayKey);
+  },
+
+  /**
+   * Upcoming reminders for every scheduled, active challenge
+   * @param {Date} now - Plan start (defaults to now)
+   * @returns {Array} { id, challengeId, at, title, options } sorted by time
+   */
+  buildPlan(now = new Date()) {
+    const settings = this.getSettings();
+    // Schedules use calendar dates in the user's timezone, not the shifted app day
+    const today = CalendarDay.dayKey(now, { ...CalendarDay.getSettings(), dayStartHour: 0 });
+    const reminders = [];
+
+    StorageManager.get('challenges')
+      .filter(c => c.status === 'active' && !c.archivedAt)
+      .forEach(challenge => {
+        const schedule = this.getSchedule(challenge);
+        if (!schedule || this.isQuietHour(schedule.hour, settings)) return;
+
+        for (let i = 0; i < this.horizonDays; i++) {
+          const date = CalendarDay.addDays(today, i);
+          if (!schedule.days.includes(CalendarDay.weekday(date))) continue;
+
+          const at = CalendarDay.zonedTime(date, schedule.hour, schedule.minute);
+          if (at <= now) continue;
+          if (this.loggedOn(challenge, CalendarDay.dayKey(at))) continue;
+
+          const id = `${challenge.id}-${date}`;
+          reminders.push({
+            id,
+            challengeId: challenge.id,
+            at: at.getTime(),
+            title: `Time for ${challenge.name}`,
+            options: {
+              body: `Your ${challenge.dailyTime || 15}-minute practice is scheduled now. Keep the streak going!`,
+              icon: '/favicon-32x32.png',
+              badge: '/favicon-32x32.png',
+              tag: this.TAG_PREFIX + id,
+              timestamp: at.getTime(),
+              data: { url: `/challenges.html?challenge=${encodeURIComponent(challenge.id)}` }
+            }
+          });
+        }
+      });
+
+    return reminders.sort((a, b) => a.at - b.at);
+  },
+
+  /**
+   * @returns {boolean} True if the user turned reminders on and the browser allows them
+   */
+  isEnabled() {
+    return 'Notification' in window &&
+      Notification.permission === 'granted' &&
+      StorageManager.get('notificationsEnabled') === true;
+  },
+
+  /**
+   * @returns {boolean} True if the browser supports Notification Triggers
+   */
+  supportsTriggers() {
+    return 'Notification' in window &&
+      'showTrigger' in Notification.prototype &&
+      typeof TimestampTrigger !== 'undefined';
+  },
+
+  /**
+   * Ask for permission, register the service worker and schedule reminders
+   * @returns {Promise<string>} Notification permission ('granted', 'denied', ...)
+   */
+  async enable() {
+    if (!('Notification' in window)) return 'unsupported';
+    const permission = Notification.permission === 'default'
+      ? await Notification.requestPermission()
+      : Notification.permission;
+    if (permission !== 'granted') return permission;
+
+    await this.getRegistration();
+    StorageManager.set('notificationsEnabled', true);
+    await this.sync();
+    return permission;
+  },
+
+  /**
+   * @returns {Promise<ServiceWorkerRegistration|null>} Ready registration, or null
+   */
+  async getRegistration() {
+    if (!('serviceWorker' in navigator)) return null;
+    try {
+      await navigator.serviceWorker.register('sw.js');
+      return await navigator.serviceWorker.ready;
+    } catch (err) {
+      console.warn('Service worker unavailable, using in-page reminders only', err);
+      return null;
+    }
+  },
+
+  /**
+   * Rebuild the plan and hand it to every delivery mechanism available
+   * Call after anything that changes schedules, logs or settings.
+   * @returns {Promise<Array>} The reminders scheduled
+   */
+  async sync() {
+    clearTimeout(this._timer);
+    const plan = this.isEnabled() ? this.buildPlan() : [];
+
+    const reg = 'serviceWorker' in navigator && this.isEnabled() ? await this.getRegistration() : null;
+    await this.savePlan(plan);
+
+    if (reg && this.supportsTriggers()) {
+      await this.scheduleTriggers(reg, plan);
+      return plan;
+    }
+    if (reg && 'periodicSync' in reg && plan.length) {
+      try {
+        await reg.periodicSync.register(this.SYNC_TAG, { minInterval: this.syncIntervalMs });
+      } catch (err) {
+        // Periodic sync needs an installed PWA in most browsers; the page timer still runs
+      }
+    }
+    this.scheduleInPage(plan);
+    return plan;
+  },
+
+  /**
+   * Mirror the plan where sw.js can read it
+   * @param {Array} plan - From buildPlan
+   */
+  async savePlan(plan) {
+    if (typeof caches === 'undefined') return;
+    try {
+      const cache = await caches.open(this.CACHE_NAME);
+      await cache.put(this.PLAN_URL, new Response(JSON.stringify({ savedAt: Date.now(), reminders: plan })));
+    } catch (err) {
+      console.warn('Could not save reminder plan', err);
+    }
+  },
+
+  /**
+   * Replace pending triggered notifications with the current plan
+   * @param {ServiceWorkerRegistration} reg - Ready registration
+   * @param {Array} plan - From buildPlan
+   */
+  async scheduleTriggers(reg, plan) {
+    const pending = await reg.getNotifications({ includeTriggered: true });
+    pending
+      .filter(n => n.tag.startsWith(this.TAG_PREFIX) && n.timestamp > Date.now())
+      .forEach(n => n.close());
+
+    for (const reminder of plan) {
+      await reg.showNotification(reminder.title, {
+        ...reminder.options,
+        showTrigger: new TimestampTrigger(reminder.at)
+      });
+    }
+  },
+
+  /**
+   * Set a timer for the next reminder while this page stays open
+   * @param {Array} plan - From buildPlan
+   */
+  scheduleInPage(plan) {
+    clearTimeout(this._timer);
+    const next = plan[0];
+    if (!next) return;
+
+    const delay = next.at - Date.now();
+    if (delay > this.maxTimerMs) {
+      this._timer = setTimeout(() => this.sync(), this.maxTimerMs);
+      return;
+    }
+    this._timer = setTimeout(() => this.fire(next), Math.max(0, delay));
+  },
+
+  /**
+   * Show a reminder from the page, unless it was shown elsewhere or no longer applies
+   * @param {Object} reminder - Plan entry
+   */
+  async fire(reminder) {
+    const stillDue = this.buildPlan(new Date(reminder.at - 1000)).some(r => r.id === reminder.id);
+    const shown = await this.readShown();
+    if (stillDue && !shown.includes(reminder.id)) {
+      await this.markShown(shown, reminder.id);
+      const reg = await this.getRegistration();
+      if (reg) await reg.showNotification(reminder.title, reminder.options);
+      else new Notification(reminder.title, reminder.options);
+    }
+    this.sync();
+  },
+
+  /**
+   * @returns {Promise<Array>} IDs of reminders already shown (by the page or sw.js)
+   */
+  async readShown() {
+    if (typeof caches === 'undefined') return [];
+    try {
+      const cache = await caches.open(this.CACHE_NAME);
+      const res = await cache.match(this.SHOWN_URL);
+      return res ? await res.json() : [];
+    } catch (err) {
+      return [];
+    }
+  },
+
+  /**
+   * @param {Array} shown - Current list from readShown
+   * @param {string} id - Reminder ID to add
+   */
+  async markShown(shown, id) {
+    if (typeof caches === 'undefined') return;
+    const cache = await caches.open(this.CACHE_NAME);
+    await cache.put(this.SHOWN_URL, new Response(JSON.stringify([...shown, id].slice(-100))));
+  }
+};
+
+// Re-plan when schedules, logs or settings change in another tab
+['challenges', ReminderScheduler.SETTINGS_KEY, 'notificationsEnabled', CalendarDay.SETTINGS_KEY].forEach(key => {
+  StorageManager.subscribe(key, () => ReminderScheduler.sync());
+});
+
+window.addEventListener('calendarSettingsChanged', () => ReminderScheduler.sync());
+
+window.addEventListener('gamificationReady', () => {
+  ReminderScheduler.sync().catch(err => console.warn('Reminder sync failed', err));
+});
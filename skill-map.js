@@ -0,0 +1,220 @@
+/**
+ * SpendSomeTime Skill Map
+ * Trait-based exploring for the All Skills page (diagram.html): trait range
+ * and multi-tag filters, similar skills from trait vectors, and a node-link
+ * diagram where each skill links to its closest neighbours and a force
+ * layout pulls similar skills into clusters.
+ *
+ * Load this WITHOUT defer, after html.js and recommender.js (it shares its vector math).
+ */
+
+const SkillMap = {
+  // Links per skill to its most similar skills, weaker ones left out
+  neighbors: 3,
+  minSimilarity: 0.5,
+
+  maxNodes: 400,
+  iterations: 300,
+  size: { width: 960, height: 640, padding: 24 },
+
+  // Last layout, reused while the same skills are shown
+  cache: { key: '', positions: null },
+
+  /**
+   * @param {Array} items - Skill entries
+   * @returns {Array} Every trait key used, alphabetical
+   */
+  traitKeys(items) {
+    return Recommender.traitKeys(items).sort();
+  },
+
+  /**
+   * @param {Object} skill - Skill entry
+   * @param {Object} ranges - trait -> { min, max } (0-1)
+   * @returns {boolean} True if every narrowed trait is in range (skills
+   *   without that trait don't match a narrowed range)
+   */
+  matchesTraits(skill, ranges) {
+    const traits = skill.traits || {};
+    return Object.entries(ranges).every(([trait, { min, max }]) => {
+      if (min <= 0 && max >= 1) return true;
+      const value = Number(traits[trait]);
+      return Number.isFinite(value) && value >= min - 1e-9 && value <= max + 1e-9;
+    });
+  },
+
+  /**
+   * @param {Object} skill - Skill entry
+   * @param {Array} tags - Selected tags (none selected matches everything)
+   * @param {string} mode - 'and' (every tag) or 'or' (any tag)
+   * @returns {boolean} True if the skill's tags match
+   */
+  matchesTags(skill, tags, mode) {
+    if (!tags.length) return true;
+    const own = new Set(skill.tags || []);
+    return mode === 'and' ? tags.every(t => own.has(t)) : tags.some(t => own.has(t));
+  },
+
+  /**
+   * @param {Object} skill - Skill entry
+   * @param {Array} keys - Trait keys
+   * @returns {Array} Centered trait vector (see Recommender.center)
+   */
+  vectorOf(skill, keys) {
+    return Recommender.center(skill.traits || {}, keys, Recommender.itemCenter);
+  },
+
+  /**
+   * Skills with the most similar traits
+   * @param {Object} skill - Skill to compare against
+   * @param {Array} items - Candidates (the skill itself is skipped)
+   * @param {number} limit - How many to return
+   * @returns {Array} { skill, similarity, matchPercent } most similar first
+   */
+  similar(skill, items, limit = 6) {
+    const keys = this.traitKeys([skill, ...items]);
+    const target = this.vectorOf(skill, keys);
+    const id = BookmarkManager.skillId(skill);
+    return items
+      .filter(item => BookmarkManager.skillId(item) !== id)
+      .map(item => {
+        const similarity = Recommender.cosine(target, this.vectorOf(item, keys));
+        return { skill: item, similarity, matchPercent: Math.round(((similarity + 1) / 2) * 100) };
+      })
+      .filter(result => result.similarity > 0)
+      .sort((a, b) => b.similarity - a.similarity)
+      .slice(0, limit);
+  },
+
+  /**
+   * Links from each skill to its nearest neighbours
+   * @param {Array} items - Skill entries
+   * @returns {Array} { source, target, similarity } with source < target (indexes into items)
+   */
+  links(items) {
+    const keys = this.traitKeys(items);
+    const vectors = items.map(item => this.vectorOf(item, keys));
+    const seen = new Set();
+    const links = [];
+    vectors.forEach((vector, i) => {
+      vectors
+        .map((other, j) => ({ j, similarity: i === j ? -Infinity : Recommender.cosine(vector, other) }))
+        .filter(n => n.similarity >= this.minSimilarity)
+        .sort((a, b) => b.similarity - a.similarity)
+        .slice(0, this.neighbors)
+        .forEach(({ j, similarity }) => {
+          const [source, target] = i < j ? [i, j] : [j, i];
+          if (seen.has(`${source}-${target}`)) return;
+          seen.add(`${source}-${target}`);
+          links.push({ source, target, similarity });
+        });
+    });
+    return links;
+  },
+
+  /**
+   * Force-directed positions (Fruchterman-Reingold): linked skills attract,
+   * all skills repel. Starts from a fixed spiral, so the same skills always
+   * get the same picture.
+   * @param {Array} items - Skill entries
+   * @param {Array} links - From links()
+   * @returns {Array} { x, y } per item, inside `size`
+   */
+  layout(items, links) {
+    const { width, height, padding } = this.size;
+    const n = items.length;
+    const k = Math.sqrt((width * height) / Math.max(1, n)) * 0.8;
+    const points = items.map((_, i) => {
+      const r = Math.sqrt((i + 0.5) / n) * Math.min(width, height) * 0.45;
+      const angle = i * 2.399963; // Golden angle
+      return { x: width / 2 + r * Math.cos(angle), y: height / 2 + r * Math.sin(angle) };
+    });
+
+    for (let step = 0; step < this.iterations; step++) {
+      const temperature = (width / 10) * (1 - step / this.iterations);
+      const moves = points.map(() => ({ x: 0, y: 0 }));
+      for (let i = 0; i < n; i++) {
+        for (let j = i + 1; j < n; j++) {
+          const dx = points[i].x - points[j].x || 0.01;
+          const dy = points[i].y - points[j].y;
+          const d2 = dx * dx + dy * dy;
+          const force = (k * k) / d2;
+          moves[i].x += dx * force; moves[i].y += dy * force;
+          moves[j].x -= dx * force; moves[j].y -= dy * force;
+        }
+      }
+      links.forEach(({ source, target, similarity }) => {
+        const dx = points[source].x - points[target].x;
+        const dy = points[source].y - points[target].y;
+        const d = Math.sqrt(dx * dx + dy * dy) || 0.01;
+        const force = (d / k) * similarity;
+        moves[source].x -= dx * force; moves[source].y -= dy * force;
+        moves[target].x += dx * force; moves[target].y += dy * force;
+      });
+      points.forEach((p, i) => {
+        // Gentle pull to the middle keeps unlinked clusters on screen
+        moves[i].x += (width / 2 - p.x) * 0.02;
+        moves[i].y += (height / 2 - p.y) * 0.02;
+        const length = Math.sqrt(moves[i].x ** 2 + moves[i].y ** 2) || 1;
+        const limited = Math.min(length, temperature);
+        p.x += (moves[i].x / length) * limited;
+        p.y += (moves[i].y / length) * limited;
+      });
+    }
+
+    // Scale into the drawing area
+    const xs = points.map(p => p.x);
+    const ys = points.map(p => p.y);
+    const minX = Math.min(...xs);
+    const minY = Math.min(...ys);
+    const spanX = Math.max(...xs) - minX || 1;
+    const spanY = Math.max(...ys) - minY || 1;
+    return points.map(p => ({
+      x: padding + ((p.x - minX) / spanX) * (width - 2 * padding),
+      y: padding + ((p.y - minY) / spanY) * (height - 2 * padding)
+    }));
+  },
+
+  /**
+   * Draw the node-link diagram
+   * Nodes carry data-id (skill id) for click handling; their class is the
+   * skill's `_source`, so pages colour them with CSS.
+   * @param {Array} items - Skill entries (at most maxNodes are drawn)
+   * @param {Object} options - { selectedId } skill whose links are highlighted
+   * @returns {string} SVG markup
+   */
+  renderSvg(items, { selectedId = null } = {}) {
+    const shown = items.slice(0, this.maxNodes);
+    const links = this.links(shown);
+    const key = shown.map(item => BookmarkManager.skillId(item)).join('|');
+    if (this.cache.key !== key) this.cache = { key, positions: this.layout(shown, links) };
+    const positions = this.cache.positions;
+
+    const selected = shown.findIndex(item => BookmarkManager.skillId(item) === selectedId);
+    const neighbours = new Set();
+    links.forEach(({ source, target }) => {
+      if (source === selected) neighbours.add(target);
+      if (target === selected) neighbours.add(source);
+    });
+
+    const { width, height } = this.size;
+    let svg = `<svg class="skill-map-svg" viewBox="0 0 ${width} ${height}" role="img" aria-label="Skills linked to their most similar skills">`;
+    svg += '<g class="map-links">';
+    links.forEach(({ source, target, similarity }) => {
+      const active = source === selected || target === selected;
+      const a = positions[source];
+      const b = positions[target];
+      svg += `<line x1="${a.x.toFixed(1)}" y1="${a.y.toFixed(1)}" x2="${b.x.toFixed(1)}" y2="${b.y.toFixed(1)}" class="${active ? 'active' : ''}" stroke-opacity="${(0.15 + similarity * 0.5).toFixed(2)}"/>`;
+    });
+    svg += '</g><g class="map-nodes">';
+    shown.forEach((item, i) => {
+      const p = positions[i];
+      const state = i === selected ? 'selected' : neighbours.has(i) ? 'neighbour' : selected >= 0 ? 'faded' : '';
+      svg += `<g class="map-node ${escapeHtml(item._source || '')} ${state}" data-id="${escapeHtml(BookmarkManager.skillId(item))}" transform="translate(${p.x.toFixed(1)},${p.y.toFixed(1)})">`;
+      svg += `<circle r="${i === selected ? 9 : 6}"><title>${escapeHtml(item.name)}</title></circle>`;
+      if (state === 'selected' || state === 'neighbour') svg += `<text y="-11" text-anchor="middle">${escapeHtml(item.name)}</text>`;
+      svg += '</g>';
+    });
+    return svg + '</g></svg>';
+  }
+};
@@ -0,0 +1,521 @@
+/**
+ * SpendSomeTime Storage Layer
+ * Versioned access to every localStorage key: declared schema, ordered
+ * migrations, validation on load and recovery from corrupted JSON
+ *
+ * Keys belong to the active local profile (profiles.js). The default profile
+ * uses the plain keys, so data from before profiles is its data; others are
+ * stored as 'profile:<id>:<key>'. deviceKeys are shared by every profile.
+ * The profile is read once per page load: switching reloads the page.
+ *
+ * Load this WITHOUT defer before any page script that touches saved data.
+ */
+
+const StorageManager = {
+  // Bump together with a new entry in `migrations`
+  SCHEMA_VERSION: 5,
+  VERSION_KEY: 'storageSchemaVersion',
+  CORRUPT_PREFIX: 'corrupted:',
+
+  PROFILE_PREFIX: 'profile:',
+  DEFAULT_PROFILE: 'default',
+  // Settings of the browser rather than of a person
+  deviceKeys: ['profiles', 'activeProfile', 'notificationsEnabled', 'reminderSettings', 'calendarSettings'],
+  profile: 'default', // Active profile id, resolved below before migrating
+
+  // Declared keys (SINGLE SOURCE OF TRUTH for stored data shape)
+  // type: expected JSON type, fallback: value returned when missing or invalid
+  schema: {
+    gamificationData: { type: 'object', fallback: () => null },
+    challenges: { type: 'array', fallback: () => [] },
+    bookmarkedSkills: { type: 'array', fallback: () => [] }, // Skill ids (bookmarks.js); names before v5
+    bookmarkMeta: { type: 'object', fallback: () => ({}) }, // id -> { note, collection, addedAt }
+    dismissedSkills: { type: 'array', fallback: () => [] }, // Skill ids marked "not for me" (recommender.js)
+    userSkills: { type: 'array', fallback: () => [] }, // Skills imported from shared lists (catalog.js)
+    quizHistory: { type: 'array', fallback: () => [] },
+    quizHistorySettings: { type: 'object', fallback: () => ({ limit: 10 }) }, // Results kept (quiz-history.js)
+    quizProgress: { type: 'object', fallback: () => null },
+    achievements: { type: 'array', fallback: () => [] }, // Legacy skills.html store; folded into gamificationData by v3
+    gameScores: { type: 'object', fallback: () => ({}) },
+    gameHistory: { type: 'object', fallback: () => ({}) },
+    gameDifficulty: { type: 'object', fallback: () => ({}) }, // game -> { level, outcomes } (game-coach.js)
+    playerProfile: { type: 'object', fallback: () => ({ name: 'Player', focus: 'balanced' }) },
+    notificationsEnabled: { type: 'boolean', fallback: () => false },
+    reminderSettings: { type: 'object', fallback: () => ({ quietStart: 22, quietEnd: 7 }) }, // Quiet hours for practice reminders
+    focusSession: { type: 'object', fallback: () => null }, // Running focus timer (focus-timer.js)
+    focusSettings: { type: 'object', fallback: () => ({ workMinutes: 25, breakMinutes: 5 }) },
+    goalSettings: { type: 'object', fallback: () => ({ dailyMinutes: 30, weeklyMinutes: 150, weekdayMinutes: [] }) },
+    goalSuggestionDismissed: { type: 'string', fallback: () => null }, // '<current>-><suggested>' the user declined
+    calendarSettings: { type: 'object', fallback: () => ({ timeZone: null, dayStartHour: 0, weekStartDay: 0 }) },
+    customThemes: { type: 'array', fallback: () => [] }, // { id, name, description, cssVariables, background } (theme-builder.js)
+    themeSchedule: { type: 'object', fallback: () => ({ mode: 'off' }) }, // Light/dark switching (ThemeManager.getSchedule)
+    profiles: { type: 'array', fallback: () => [] }, // { id, name, createdAt, pinSalt, pinHash } (profiles.js)
+    activeProfile: { type: 'string', fallback: () => null }
+  },
+
+  // Per-day keys stored as '<prefix><YYYY-MM-DD>'
+  dailySchema: {
+    'questProgress-': { type: 'object', fallback: () => ({}) },
+    'questsCompleted-': { type: 'array', fallback: () => [] },
+    'dailyQuests-': { type: 'array', fallback: () => null },
+    'dailyBonus-': { type: 'boolean', fallback: () => false },
+    'goalMet-': { type: 'boolean', fallback: () => false }, // Daily minute goal met (goals.js)
+    // Weekly quests use the week-start day as their key
+    'weeklyProgress-': { type: 'object', fallback: () => ({}) },
+    'weeklyQuestsCompleted-': { type: 'array', fallback: () => [] },
+    'weeklyQuests-': { type: 'array', fallback: () => null },
+    'weeklyGoalMet-': { type: 'boolean', fallback: () => false }
+  },
+
+  // Ordered migration steps. Each runs once, in order, for users whose
+  // stored version is lower than `version`. Never edit a shipped step;
+  // add a new one instead.
+  migrations: [
+    {
+      version: 1,
+      description: 'Backfill gamificationData fields added after launch',
+      up(storage) {
+        const data = storage.get('gamificationData');
+        if (!data) return;
+
+        data.totalXP = Number(data.totalXP) || 0;
+        // Older saves only tracked the spendable balance
+        if (typeof data.totalXPEarned !== 'number') data.totalXPEarned = data.totalXP;
+        if (!Array.isArray(data.unlockedThemes)) data.unlockedThemes = ['default'];
+        if (!Array.isArray(data.xpHistory)) data.xpHistory = [];
+        if (!Array.isArray(data.unlockedAchievements)) data.unlockedAchievements = [];
+        if (!data.achievementUnlockTimes || typeof data.achievementUnlockTimes !== 'object') {
+          data.achievementUnlockTimes = {};
+        }
+        if (!Array.isArray(data.passedMilestones)) data.passedMilestones = [];
+
+        storage.set('gamificationData', data);
+      }
+    },
+    {
+      version: 2,
+      description: 'Convert xpHistory into the XP ledger',
+      up(storage) {
+        const data = storage.get('gamificationData');
+        if (!data) return;
+
+        // Legacy entries were earn-only and had no keys (ids only after cross-tab sync)
+        const history = (Array.isArray(data.xpHistory) ? data.xpHistory : [])
+          .filter(e => e && Number(e.amount) > 0)
+          .map((e, i) => {
+            // Content-derived ids so a backup of the same data dedupes on merge
+            const id = e.id || `legacy-${Date.parse(e.timestamp) || 0}-${e.amount}-${i}`;
+            return { id, key: `legacy:${id}`, kind: 'earn', source: String(e.source || 'unknown'), amount: Number(e.amount), timestamp: e.timestamp || new Date(0).toISOString() };
+          });
+
+        // Opening balances so the ledger reproduces the stored totals
+        // (theme unlocks and some awards were never written to history)
+        const openedAt = history.length ? history[0].timestamp : new Date().toISOString();
+        const openingId = `legacy-opening-${Date.parse(openedAt) || 0}`;
+        const earned = history.reduce((sum, e) => sum + e.amount, 0);
+        const earnedGap = (Number(data.totalXPEarned) || 0) - earned;
+        const spentGap = (Number(data.totalXPEarned) || 0) - (Number(data.totalXP) || 0);
+        const opening = [];
+        if (earnedGap > 0) {
+          opening.push({ id: `${openingId}-earn-${earnedGap}`, key: `legacy:${openingId}-earn-${earnedGap}`, kind: 'earn', source: 'openingBalance', amount: earnedGap, timestamp: openedAt });
+        }
+        if (spentGap > 0) {
+          opening.push({ id: `${openingId}-spend-${spentGap}`, key: `legacy:${openingId}-spend-${spentGap}`, kind: 'spend', source: 'openingBalance', amount: -spentGap, timestamp: openedAt });
+        }
+
+        // Hashes are added by GameSystem.sealLedger() on the next page load
+        data.xpHistory = [...opening, ...history];
+        data.ledgerCheckpoint = null;
+        storage.set('gamificationData', data);
+      }
+    },
+    {
+      version: 3,
+      description: 'Unify achievements into gamificationData and count earn events',
+      up(storage) {
+        const legacy = storage.get('achievements') || [];
+        let data = storage.get('gamificationData');
+        if (!data && !legacy.length) return;
+
+        if (!data) {
+          // Quiz-only users never created gamification data
+          data = {
+            totalXP: 0,
+            totalXPEarned: 0,
+            unlockedThemes: ['default'],
+            activeTheme: 'default',
+            xpHistory: [],
+            currentStreak: 0,
+            longestStreak: 0,
+            lastActivityDate: null,
+            unlockedAchievements: [],
+            achievementUnlockTimes: {},
+            passedMilestones: []
+          };
+        }
+
+        // skills.html ids (explorer, perfect_match, dedicated) are kept as-is
+        data.unlockedAchievements = [...new Set([...(data.unlockedAchievements || []), ...legacy])];
+
+        // Counters feed stats like quizzesTaken; rebuild them from the ledger
+        if (!data.counters || typeof data.counters !== 'object') {
+          data.counters = {};
+          (data.xpHistory || []).forEach(e => {
+            // Pre-ledger quest awards used 'dailyQuest:<questId>' as the source
+            const source = String(e.source || '').split(':')[0];
+            if (e.kind === 'earn' && source) data.counters[source] = (data.counters[source] || 0) + 1;
+          });
+        }
+
+        storage.set('gamificationData', data);
+        storage.remove('achievements');
+      }
+    },
+    {
+      version: 4,
+      description: 'Give challenges categories, tags, resource lists, milestones and completion criteria',
+      up(storage) {
+        const challenges = storage.get('challenges');
+        if (!challenges.length) return;
+
+        storage.set('challenges', challenges.map(challenge => {
+          const { url, ...rest } = challenge;
+          return {
+            ...rest,
+            category: typeof challenge.category === 'string' && challenge.category ? challenge.category : null,
+            tags: Array.isArray(challenge.tags) ? challenge.tags : [],
+            // The single learning URL becomes the first resource
+            resources: Array.isArray(challenge.resources) ? challenge.resources : (url ? [{ title: '', url }] : []),
+            milestones: Array.isArray(challenge.milestones) ? challenge.milestones : [],
+            // Day count was the only criterion before
+            completion: challenge.completion && challenge.completion.type ? challenge.completion : { type: 'days' },
+            archivedAt: challenge.archivedAt || null
+          };
+        }));
+      }
+    },
+    {
+      version: 5,
+      description: 'Refer to quiz skills by id instead of name',
+      up(storage) {
+        // Dataset ids are slugs of the names they shipped with; keep in step
+        // with BookmarkManager.slug() (bookmarks.js)
+        const slug = name => String(name).toLowerCase()
+          .normalize('NFKD').replace(/[\u0300-\u036f]/g, '')
+          .replace(/&/g, ' and ')
+          .replace(/[^a-z0-9]+/g, '-')
+          .replace(/^-+|-+$/g, '');
+        const toIds = names => [...new Set(names.filter(n => typeof n === 'string' && n).map(slug))];
+
+        storage.set('bookmarkedSkills', toIds(storage.get('bookmarkedSkills')));
+        storage.set('dismissedSkills', toIds(storage.get('dismissedSkills')));
+
+        const challenges = storage.get('challenges');
+        if (!challenges.length) return;
+        storage.set('challenges', challenges.map(challenge => ({
+          ...challenge,
+          // Only challenges created from the quiz (they have a path) are known to be a dataset skill
+          skillId: challenge.skillId || (challenge.path && challenge.path.skill ? slug(challenge.path.skill) : null)
+        })));
+      }
+    }
+  ],
+
+  /**
+   * Find the schema entry for a key (static or per-day)
+   * @param {string} key - Storage key
+   * @returns {Object|null} Schema entry or null if undeclared
+   */
+  getSpec(key) {
+    if (this.schema[key]) return this.schema[key];
+    const prefix = Object.keys(this.dailySchema).find(p => key.startsWith(p));
+    return prefix ? this.dailySchema[prefix] : null;
+  },
+
+  /**
+   * Check a parsed value against its declared type
+   * @param {*} value - Parsed value
+   * @param {Object} spec - Schema entry
+   * @returns {boolean} True if value matches
+   */
+  isValid(value, spec) {
+    if (value === null) return true; // Explicit null is always a valid "empty"
+    if (spec.type === 'array') return Array.isArray(value);
+    if (spec.type === 'object') return typeof value === 'object' && !Array.isArray(value);
+    return typeof value === spec.type;
+  },
+
+  /**
+   * localStorage key that holds a key for a profile
+   * @param {string} key - Storage key
+   * @param {string} profile - Profile id (defaults to the active one)
+   * @returns {string} e.g. 'challenges' or 'profile:k3x9a:challenges'
+   */
+  storageKey(key, profile = this.profile) {
+    if (profile === this.DEFAULT_PROFILE || this.deviceKeys.includes(key)) return key;
+    return `${this.PROFILE_PREFIX}${profile}:${key}`;
+  },
+
+  /**
+   * Storage key for a localStorage key, as seen by a profile
+   * @param {string} storedKey - localStorage key
+   * @param {string} profile - Profile id (defaults to the active one)
+   * @returns {string|null} The key, or null if it belongs to another profile
+   */
+  keyOf(storedKey, profile = this.profile) {
+    if (this.deviceKeys.includes(storedKey)) return storedKey;
+    if (profile === this.DEFAULT_PROFILE) return storedKey.startsWith(this.PROFILE_PREFIX) ? null : storedKey;
+    const prefix = this.storageKey('', profile);
+    return storedKey.startsWith(prefix) ? storedKey.slice(prefix.length) : null;
+  },
+
+  /**
+   * Profile picked on this device, if it still exists
+   * @returns {string} Profile id (DEFAULT_PROFILE when none is picked)
+   */
+  resolveProfile() {
+    try {
+      const id = JSON.parse(localStorage.getItem('activeProfile'));
+      const profiles = JSON.parse(localStorage.getItem('profiles'));
+      if (Array.isArray(profiles) && profiles.some(p => p && p.id === id)) return id;
+    } catch (err) {
+      // get() recovers the bad value the first time it's read
+    }
+    return this.DEFAULT_PROFILE;
+  },
+
+  /**
+   * Read and validate a value (never throws on bad data)
+   * @param {string} key - Storage key
+   * @param {string} profile - Profile to read (defaults to the active one)
+   * @returns {*} Parsed value, or the key's fallback if missing/corrupted
+   */
+  get(key, profile = this.profile) {
+    const spec = this.getSpec(key);
+    if (!spec) {
+      console.warn(`StorageManager: undeclared key "${key}"`);
+    }
+    const fallback = spec ? spec.fallback() : null;
+
+    const raw = localStorage.getItem(this.storageKey(key, profile));
+    if (raw === null) return fallback;
+
+    let value;
+    try {
+      value = JSON.parse(raw);
+    } catch (err) {
+      this.recover(key, raw, 'invalid JSON', profile);
+      return fallback;
+    }
+
+    if (spec && !this.isValid(value, spec)) {
+      this.recover(key, raw, `expected ${spec.type}`, profile);
+      return fallback;
+    }
+    return value === null ? fallback : value;
+  },
+
+  /**
+   * Validate and write a value
+   * @param {string} key - Storage key
+   * @param {*} value - Value to store (JSON-serializable)
+   * @param {string} profile - Profile to write (defaults to the active one)
+   * @returns {boolean} True on success
+   */
+  set(key, value, profile = this.profile) {
+    const spec = this.getSpec(key);
+    if (!spec) {
+      console.warn(`StorageManager: undeclared key "${key}"`);
+    } else if (!this.isValid(value, spec)) {
+      console.error(`StorageManager: refusing to save "${key}" (expected ${spec.type})`);
+      return false;
+    }
+
+    try {
+      localStorage.setItem(this.storageKey(key, profile), JSON.stringify(value));
+      return true;
+    } catch (err) {
+      // Quota exceeded or storage disabled (private mode)
+      console.error(`StorageManager: failed to save "${key}"`, err);
+      return false;
+    }
+  },
+
+  /**
+   * Read-modify-write helper
+   * @param {string} key - Storage key
+   * @param {Function} updater - Receives current value, returns new value
+   * @returns {*} The saved value
+   */
+  update(key, updater) {
+    const next = updater(this.get(key));
+    this.set(key, next);
+    return next;
+  },
+
+  /**
+   * Remove a key
+   * @param {string} key - Storage key
+   * @param {string} profile - Profile to remove it from (defaults to the active one)
+   */
+  remove(key, profile = this.profile) {
+    localStorage.removeItem(this.storageKey(key, profile));
+  },
+
+  /**
+   * Listen for changes made to a key by OTHER tabs (storage events never
+   * fire in the tab that wrote the value)
+   * @param {string} keyOrPrefix - Exact key, or a per-day prefix like 'questProgress-'
+   * @param {Function} callback - Called with (validatedValue, key)
+   * @returns {Function} Unsubscribe function
+   */
+  subscribe(keyOrPrefix, callback) {
+    const isPrefix = Boolean(this.dailySchema[keyOrPrefix]);
+    const handler = (e) => {
+      if (e.storageArea && e.storageArea !== localStorage) return;
+      // key === null means another tab called localStorage.clear()
+      if (e.key === null) {
+        if (!isPrefix) callback(this.get(keyOrPrefix), keyOrPrefix);
+        return;
+      }
+      // Other profiles' keys are none of this page's business
+      const key = this.keyOf(e.key);
+      if (key === null) return;
+      const matches = isPrefix ? key.startsWith(keyOrPrefix) : key === keyOrPrefix;
+      if (matches) callback(this.get(key), key);
+    };
+    window.addEventListener('storage', handler);
+    return () => window.removeEventListener('storage', handler);
+  },
+
+  /**
+   * List every stored key that belongs to the declared schema
+   * @param {string} profile - Profile whose keys to list (defaults to the active one; deviceKeys included)
+   * @returns {Array} Storage keys
+   */
+  keys(profile = this.profile) {
+    const result = [];
+    for (let i = 0; i < localStorage.length; i++) {
+      const stored = localStorage.key(i);
+      const key = stored && this.keyOf(stored, profile);
+      if (key && this.getSpec(key)) result.push(key);
+    }
+    return result;
+  },
+
+  /**
+   * Move an unreadable value aside so the app can continue with defaults
+   * The raw string is kept under 'corrupted:<localStorage key>' for manual recovery.
+   * @param {string} key - Storage key
+   * @param {string} raw - Raw stored string
+   * @param {string} reason - Why the value was rejected
+   * @param {string} profile - Profile the value belongs to (defaults to the active one)
+   */
+  recover(key, raw, reason, profile = this.profile) {
+    const stored = this.storageKey(key, profile);
+    console.warn(`StorageManager: recovered "${stored}" (${reason}); original kept under "${this.CORRUPT_PREFIX}${stored}"`);
+    try {
+      localStorage.setItem(this.CORRUPT_PREFIX + stored, raw);
+    } catch (err) {
+      // Backup is best-effort; never block recovery on it
+    }
+    localStorage.removeItem(stored);
+    window.dispatchEvent(new CustomEvent('storageRecovered', { detail: { key, reason } }));
+  },
+
+  /**
+   * Get the schema version the stored data was last migrated to
+   * Each profile is migrated on its own, on its first load as the active one.
+   * @param {string} profile - Profile id (defaults to the active one)
+   * @returns {number} Stored version (0 for data from before versioning)
+   */
+  getVersion(profile = this.profile) {
+    return Number(localStorage.getItem(this.storageKey(this.VERSION_KEY, profile))) || 0;
+  },
+
+  /**
+   * @param {string} profile - Profile id
+   * @param {number} version - Schema version its data is now at
+   */
+  setVersion(profile, version) {
+    localStorage.setItem(this.storageKey(this.VERSION_KEY, profile), String(version));
+  },
+
+  /**
+   * Delete everything stored for a profile, recovered values included
+   * The default profile's plain keys are never touched.
+   * @param {string} profile - Profile id
+   */
+  removeProfileData(profile) {
+    if (profile === this.DEFAULT_PROFILE) return;
+    const prefix = this.storageKey('', profile);
+    const doomed = [];
+    for (let i = 0; i < localStorage.length; i++) {
+      const stored = localStorage.key(i);
+      if (stored && (stored.startsWith(prefix) || stored.startsWith(this.CORRUPT_PREFIX + prefix))) doomed.push(stored);
+    }
+    doomed.forEach(stored => localStorage.removeItem(stored));
+  },
+
+  /**
+   * Run migrations against a plain { key: value } snapshot (e.g. a backup file)
+   * Uses the same steps as migrate() through an in-memory store; throws on failure.
+   * @param {Object} data - Snapshot of stored values
+   * @param {number} fromVersion - Schema version the snapshot was written with
+   * @returns {Object} Migrated copy of the snapshot
+   */
+  migrateSnapshot(data, fromVersion) {
+    const snapshot = { ...data };
+    const memory = {
+      get: key => (key in snapshot ? snapshot[key] : (this.getSpec(key) ? this.getSpec(key).fallback() : null)),
+      set: (key, value) => { snapshot[key] = value; return true; },
+      remove: key => { delete snapshot[key]; },
+      keys: () => Object.keys(snapshot)
+    };
+
+    this.migrations
+      .filter(m => m.version > fromVersion)
+      .sort((a, b) => a.version - b.version)
+      .forEach(m => m.up(memory));
+    return snapshot;
+  },
+
+  /**
+   * Run pending migrations in order (IDEMPOTENT: finished steps are skipped)
+   * Stops at the first failing step so it is retried on the next load.
+   * @returns {number} Version after migrating
+   */
+  migrate() {
+    let version = this.getVersion();
+
+    // GUARD: Data written by a newer release; don't downgrade it
+    if (version > this.SCHEMA_VERSION) {
+      console.warn(`StorageManager: stored schema v${version} is newer than v${this.SCHEMA_VERSION}`);
+      return version;
+    }
+
+    const pending = this.migrations
+      .filter(m => m.version > version)
+      .sort((a, b) => a.version - b.version);
+
+    for (const migration of pending) {
+      try {
+        migration.up(this);
+        version = migration.version;
+        this.setVersion(this.profile, version);
+      } catch (err) {
+        console.error(`StorageManager: migration v${migration.version} failed (${migration.description})`, err);
+        break;
+      }
+    }
+    return version;
+  }
+};
+
+// Pick the profile, then migrate it before any page script reads data
+StorageManager.profile = StorageManager.resolveProfile();
+try {
+  StorageManager.migrate();
+} catch (e) {
+  console.error('StorageManager migration error:', e);
+}
@@ -1,10 +1,167 @@
-// Install & activate
-self.addEventListener('install', event => {
-  self.skipWaiting();
-});
-
+// Offline support: every app file is precached under a versioned cache name.
+// Bump CACHE_VERSION whenever a precached file changes; the new worker waits
+// until the page accepts the "new version available" prompt (updates.js).
+const CACHE_VERSION = 'v16';
+const APP_CACHE = `sst-app-${CACHE_VERSION}`;
+const OFFLINE_URL = 'offline.html';
+
+const PRECACHE_URLS = [
+  './',
+  'index.html',
+  'challenges.html',
+  'skills.html',
+  'weird.html',
+  'games.html',
+  'diagram.html',
+  'xp-theme.html',
+  'blog.html',
+  'blog-5-minute-skills.html',
+  'blog-easy-impressive-skills.html',
+  'blog-skills-that-impress.html',
+  'blog-stop-doomscrolling.html',
+  'blog-things-to-do-instead-of-scrolling.html',
+  'blog-weekly-challenge-system.html',
+  'privacy-policy.html',
+  OFFLINE_URL,
+  'styles.css',
+  'storage.js',
+  'html.js',
+  'calendar.js',
+  'focus-timer.js',
+  'paths.js',
+  'recommender.js',
+  'quiz-history.js',
+  'journal.js',
+  'bookmarks.js',
+  'catalog.js',
+  'skill-map.js',
+  'game-registry.js',
+  'game-coach.js',
+  'gamification.js',
+  'profiles.js',
+  'theme-builder.js',
+  'quests.js',
+  'goals.js',
+  'reminders.js',
+  'backup.js',
+  'analytics.js',
+  'updates.js',
+  'skills.json',
+  'weird.json',
+  'themes.json',
+  'achievements.json',
+  'site.webmanifest',
+  'favicon.ico',
+  'favicon-16x16.png',
+  'favicon-32x32.png',
+  'apple-touch-icon.png',
+  'android-chrome-192x192.png',
+  'android-chrome-512x512.png',
+  'badge.png'
+];
+
+// Download the whole app, bypassing the HTTP cache so a new version never
+// precaches stale files
+async function precache() {
+  const cache = await caches.open(APP_CACHE);
+  await Promise.all(PRECACHE_URLS.map(async url => {
+    const response = await fetch(new Request(url, { cache: 'reload' }));
+    if (!response.ok) throw new Error(`Precache failed for ${url} (${response.status})`);
+    if (!response.redirected) return cache.put(url, response);
+
+    // Hosts with pretty URLs redirect /challenges.html -> /challenges. A
+    // redirected response can't answer a navigation, so store a clean copy
+    // under both addresses.
+    const clean = new Response(await response.blob(), {
+      status: response.status,
+      statusText: response.statusText,
+      headers: response.headers
+    });
+    await cache.put(url, clean.clone());
+    await cache.put(response.url, clean);
+  }));
+}
+
+self.addEventListener('install', event => {
+  event.waitUntil(precache());
+});
+
+// Activate: drop caches from older versions (reminder data is kept)
 self.addEventListener('activate', event => {
-  event.waitUntil(self.clients.claim());
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(
+        keys
+          .filter(key => key.startsWith('sst-app-') && key !== APP_CACHE)
+          .map(key => caches.delete(key))
+      ))
+      .then(() => self.clients.claim())
+  );
+});
+
+// The page asks the waiting worker to take over once the user accepts the update
+self.addEventListener('message', event => {
+  if (event.data && event.data.type === 'SKIP_WAITING') {
+    self.skipWaiting();
+  }
+});
+
+// Pages: cached copy first (so HTML always matches the cached scripts), then
+// network, then the offline page. ignoreSearch keeps deep links like
+// challenges.html?challenge=<id> working offline.
+async function handleNavigation(request) {
+  const cached = await caches.match(request, { ignoreSearch: true });
+  if (cached) return cached;
+  try {
+    return await fetch(request);
+  } catch (err) {
+    return caches.match(OFFLINE_URL);
+  }
+}
+
+// Datasets (skills, themes, achievements...): answer from cache instantly
+// and refresh the cached copy in the background for the next visit
+async function staleWhileRevalidate(event, request) {
+  const cache = await caches.open(APP_CACHE);
+  const cached = await cache.match(request);
+  const refresh = fetch(request).then(async response => {
+    if (response.ok) await cache.put(request, response.clone());
+    return response;
+  });
+
+  if (cached) {
+    event.waitUntil(refresh.catch(() => {}));
+    return cached;
+  }
+  return refresh;
+}
+
+// Everything else on this origin (scripts, styles, images): cache, then
+// network, keeping a copy of anything new
+async function cacheFirst(request) {
+  const cached = await caches.match(request);
+  if (cached) return cached;
+  const response = await fetch(request);
+  if (response.ok && response.type === 'basic') {
+    const cache = await caches.open(APP_CACHE);
+    await cache.put(request, response.clone());
+  }
+  return response;
+}
+
+self.addEventListener('fetch', event => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+  const url = new URL(request.url);
+  if (url.origin !== self.location.origin) return; // Fonts, ads, analytics: browser default
+
+  if (request.mode === 'navigate') {
+    event.respondWith(handleNavigation(request));
+  } else if (url.pathname.endsWith('.json')) {
+    event.respondWith(staleWhileRevalidate(event, request));
+  } else {
+    event.respondWith(cacheFirst(request));
+  }
 });
 
 // Handle push notifications (requires backend web push to be truly reliable).
@@ -28,10 +185,51 @@ self.addEventListener('push', event => {
   event.waitUntil(self.registration.showNotification(title, options));
 });
 
+// Scheduled practice reminders (see reminders.js). Pages mirror the plan into
+// the Cache API because service workers can't read localStorage.
+const REMINDER_CACHE = 'sst-reminders';
+const REMINDER_PLAN_URL = '/__reminders/plan.json';
+const REMINDER_SHOWN_URL = '/__reminders/shown.json';
+const REMINDER_SYNC_TAG = 'sst-reminders';
+// Periodic sync runs at the browser's discretion (roughly twice a day at best);
+// reminders older than this are stale and skipped rather than shown late
+const REMINDER_LATE_MS = 3 * 60 * 60 * 1000;
+
+async function readReminderFile(cache, url, fallback) {
+  try {
+    const res = await cache.match(url);
+    return res ? await res.json() : fallback;
+  } catch (err) {
+    return fallback;
+  }
+}
+
+async function showDueReminders() {
+  const cache = await caches.open(REMINDER_CACHE);
+  const plan = await readReminderFile(cache, REMINDER_PLAN_URL, { reminders: [] });
+  const shown = await readReminderFile(cache, REMINDER_SHOWN_URL, []);
+  const now = Date.now();
+
+  const due = (plan.reminders || []).filter(r =>
+    r.at <= now && now - r.at < REMINDER_LATE_MS && !shown.includes(r.id)
+  );
+  if (!due.length) return;
+
+  await cache.put(REMINDER_SHOWN_URL, new Response(JSON.stringify([...shown, ...due.map(r => r.id)].slice(-100))));
+  await Promise.all(due.map(r => self.registration.showNotification(r.title, r.options)));
+}
+
+self.addEventListener('periodicsync', event => {
+  if (event.tag === REMINDER_SYNC_TAG) {
+    event.waitUntil(showDueReminders());
+  }
+});
+
 // Handle notification click
 self.addEventListener('notificationclick', event => {
   event.notification.close();
   const targetUrl = event.notification?.data?.url || '/index.html';
+  const targetPath = new URL(targetUrl, self.location.origin).pathname;
   event.waitUntil(
     self.clients.matchAll({ type: 'window', includeUncontrolled: true })
       .then(clientList => {
@@ -40,6 +238,14 @@ self.addEventListener('notificationclick', event => {
             return client.focus();
           }
         }
+        // Same page already open (e.g. challenges.html on another challenge): reuse it
+        for (const client of clientList) {
+          if (new URL(client.url).pathname === targetPath && 'navigate' in client) {
+            return client.focus()
+              .then(focused => focused.navigate(targetUrl))
+              .catch(() => self.clients.openWindow && self.clients.openWindow(targetUrl));
+          }
+        }
         if (self.clients.openWindow) {
           return self.clients.openWindow(targetUrl);
         }
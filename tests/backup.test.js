@@ -0,0 +1,65 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./helpers/browser');
+
+test('backups leave out every device key and restores keep them', () => {
+  const { BackupManager, StorageManager } = loadScripts(['storage.js', 'calendar.js', 'gamification.js', 'backup.js'], ['BackupManager', 'StorageManager'], {
+    storage: {
+      calendarSettings: { timeZone: 'Europe/Berlin', dayStartHour: 4, weekStartDay: 1 },
+      reminderSettings: { enabled: true },
+      notificationsEnabled: true,
+      focusSession: { startedAt: '2026-10-19T08:00:00.000Z' },
+      bookmarkedSkills: ['juggling']
+    }
+  });
+  assert.ok(StorageManager.deviceKeys.every(key => BackupManager.deviceOnlyKeys.includes(key)));
+
+  const { data } = BackupManager.createBackup();
+  BackupManager.deviceOnlyKeys.forEach(key => assert.ok(!(key in data), `${key} is in the backup`));
+  assert.deepStrictEqual(Array.from(data.bookmarkedSkills), ['juggling']);
+
+  const current = { calendarSettings: { timeZone: 'Europe/Berlin' }, bookmarkedSkills: [] };
+  const restored = BackupManager.replaceSnapshot(current, { calendarSettings: { timeZone: 'Asia/Tokyo' }, bookmarkedSkills: ['chess'] });
+  assert.strictEqual(restored.calendarSettings.timeZone, 'Europe/Berlin');
+  assert.deepStrictEqual(restored.bookmarkedSkills, ['chess']);
+});
+
+test('restored challenges are cleaned before they reach the page', () => {
+  const { BackupManager } = loadScripts(['storage.js', 'calendar.js', 'gamification.js', 'backup.js'], ['BackupManager']);
+  const attack = "1');alert(1);//";
+  const file = {
+    app: 'spendsometime',
+    backupVersion: 1,
+    schemaVersion: 5,
+    data: {
+      challenges: [
+        {
+          id: 1760000000000.25,
+          name: '<img src=x onerror=alert(1)>Guitar',
+          description: 'Chords <script>alert(1)</script>daily',
+          status: '"><b>x</b>',
+          streak: '3',
+          tags: ['<b>music</b>'],
+          notes: [{ date: '2026-10-18T10:00:00.000Z', time: 20, note: '<i>Good</i> session' }],
+          milestones: [{ id: attack, title: 'Bad' }, { id: 'm1', title: '<u>First song</u>' }]
+        },
+        { id: attack, name: 'Injected' },
+        'not a challenge'
+      ]
+    }
+  };
+  const { ok, errors, backup } = BackupManager.parse(JSON.stringify(file));
+  assert.ok(ok);
+  assert.ok(errors.includes('Skipped 2 invalid challenges.'), errors.join(' '));
+
+  const [challenge] = backup.data.challenges;
+  assert.strictEqual(backup.data.challenges.length, 1);
+  assert.strictEqual(challenge.id, 1760000000000.25);
+  assert.strictEqual(challenge.name, 'Guitar');
+  assert.strictEqual(challenge.description, 'Chords alert(1)daily');
+  assert.strictEqual(challenge.status, 'active');
+  assert.strictEqual(challenge.streak, 3);
+  assert.deepStrictEqual(Array.from(challenge.tags), ['music']);
+  assert.strictEqual(challenge.notes[0].note, 'Good session');
+  assert.deepStrictEqual(Array.from(challenge.milestones, m => [m.id, m.title]), [['m1', 'First song']]);
+});
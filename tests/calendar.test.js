@@ -0,0 +1,117 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./helpers/browser');
+
+// New York: DST starts 2026-03-08 02:00 (clocks jump to 03:00) and ends
+// 2026-11-01 02:00 (clocks go back to 01:00)
+const ZONE = 'America/New_York';
+
+function calendar(settings = {}) {
+  const { CalendarDay } = loadScripts(['storage.js', 'calendar.js'], ['CalendarDay'], {
+    storage: { calendarSettings: { timeZone: ZONE, dayStartHour: 0, weekStartDay: 0, ...settings } }
+  });
+  return CalendarDay;
+}
+
+const at = iso => new Date(iso);
+const iso = date => date.toISOString();
+
+test('dayKey: midnight in the user timezone, not UTC', () => {
+  const CalendarDay = calendar();
+  assert.strictEqual(CalendarDay.dayKey(at('2026-01-15T04:59:59Z')), '2026-01-14'); // 23:59:59 EST
+  assert.strictEqual(CalendarDay.dayKey(at('2026-01-15T05:00:00Z')), '2026-01-15'); // 00:00 EST
+  assert.strictEqual(CalendarDay.dayKey(at('2026-07-15T03:59:59Z')), '2026-07-14'); // 23:59:59 EDT
+  assert.strictEqual(CalendarDay.dayKey(at('2026-07-15T04:00:00Z')), '2026-07-15');
+  assert.strictEqual(CalendarDay.dayKey('not a date'), null);
+});
+
+test('dayKey: times before dayStartHour belong to the previous day', () => {
+  const CalendarDay = calendar({ dayStartHour: 4 });
+  assert.strictEqual(CalendarDay.dayKey(at('2026-01-15T08:59:59Z')), '2026-01-14'); // 03:59:59 local
+  assert.strictEqual(CalendarDay.dayKey(at('2026-01-15T09:00:00Z')), '2026-01-15'); // 04:00 local
+  // Just after midnight is still "yesterday" for a night owl
+  assert.strictEqual(CalendarDay.dayKey(at('2026-01-15T05:30:00Z')), '2026-01-14');
+});
+
+test('dayKey: DST days start at the configured wall-clock hour', () => {
+  const springForward = calendar({ dayStartHour: 3 });
+  assert.strictEqual(springForward.dayKey(at('2026-03-08T06:59:59Z')), '2026-03-07'); // 01:59:59 EST
+  assert.strictEqual(springForward.dayKey(at('2026-03-08T07:00:00Z')), '2026-03-08'); // 03:00 EDT
+
+  const fallBack = calendar({ dayStartHour: 1 });
+  assert.strictEqual(fallBack.dayKey(at('2026-11-01T04:59:59Z')), '2026-10-31'); // 00:59:59 EDT
+  assert.strictEqual(fallBack.dayKey(at('2026-11-01T05:00:00Z')), '2026-11-01'); // 01:00 EDT
+  assert.strictEqual(fallBack.dayKey(at('2026-11-01T06:00:00Z')), '2026-11-01'); // 01:00 EST, the repeated hour
+});
+
+test('nextDayStart: next midnight, including 23- and 25-hour days', () => {
+  const CalendarDay = calendar();
+  assert.strictEqual(iso(CalendarDay.nextDayStart(at('2026-01-15T17:00:00Z'))), '2026-01-16T05:00:00.000Z');
+  assert.strictEqual(iso(CalendarDay.nextDayStart(at('2026-01-16T04:59:59Z'))), '2026-01-16T05:00:00.000Z');
+  // Spring-forward day is 23 hours long, fall-back day 25
+  assert.strictEqual(iso(CalendarDay.nextDayStart(at('2026-03-08T05:00:00Z'))), '2026-03-09T04:00:00.000Z');
+  assert.strictEqual(iso(CalendarDay.nextDayStart(at('2026-11-01T04:00:00Z'))), '2026-11-02T05:00:00.000Z');
+});
+
+test('nextDayStart: honours dayStartHour, even when DST skips it', () => {
+  assert.strictEqual(iso(calendar({ dayStartHour: 4 }).nextDayStart(at('2026-01-15T17:00:00Z'))), '2026-01-16T09:00:00.000Z');
+  // 02:00 doesn't exist on 2026-03-08; the day starts when the clock jumps to 03:00
+  assert.strictEqual(iso(calendar({ dayStartHour: 2 }).nextDayStart(at('2026-03-07T17:00:00Z'))), '2026-03-08T07:00:00.000Z');
+  // 01:00 happens twice on 2026-11-01; the first one starts the day
+  assert.strictEqual(iso(calendar({ dayStartHour: 1 }).nextDayStart(at('2026-10-31T17:00:00Z'))), '2026-11-01T05:00:00.000Z');
+});
+
+test('zonedTime: wall-clock times on either side of DST', () => {
+  const CalendarDay = calendar();
+  assert.strictEqual(iso(CalendarDay.zonedTime('2026-01-15', 9, 30)), '2026-01-15T14:30:00.000Z');
+  assert.strictEqual(iso(CalendarDay.zonedTime('2026-03-08', 9, 30)), '2026-03-08T13:30:00.000Z');
+  assert.strictEqual(iso(CalendarDay.zonedTime('2026-11-01', 9, 30)), '2026-11-01T14:30:00.000Z');
+  assert.strictEqual(iso(CalendarDay.zonedTime('2026-01-15', 0, 0)), '2026-01-15T05:00:00.000Z');
+  assert.strictEqual(iso(CalendarDay.zonedTime('2026-01-15', 23, 59)), '2026-01-16T04:59:00.000Z');
+});
+
+test('zonedTime: skipped and repeated times still resolve', () => {
+  const CalendarDay = calendar();
+  // 02:30 doesn't exist on spring-forward day: lands within an hour of it
+  const skipped = CalendarDay.zonedTime('2026-03-08', 2, 30).getTime();
+  assert.ok(Math.abs(skipped - Date.parse('2026-03-08T07:30:00Z')) <= 3600000);
+  // 01:30 happens twice on fall-back day: either is the right wall-clock time
+  const repeated = CalendarDay.zonedTime('2026-11-01', 1, 30);
+  assert.ok(['2026-11-01T05:30:00.000Z', '2026-11-01T06:30:00.000Z'].includes(iso(repeated)));
+  const clock = CalendarDay.wallClock(repeated, ZONE);
+  assert.deepStrictEqual([clock.hour, clock.minute], [1, 30]);
+});
+
+test('addDays: month, year, leap-day and DST boundaries', () => {
+  const CalendarDay = calendar();
+  assert.strictEqual(CalendarDay.addDays('2024-02-28', 1), '2024-02-29');
+  assert.strictEqual(CalendarDay.addDays('2026-02-28', 1), '2026-03-01');
+  assert.strictEqual(CalendarDay.addDays('2026-03-01', -1), '2026-02-28');
+  assert.strictEqual(CalendarDay.addDays('2026-12-31', 1), '2027-01-01');
+  assert.strictEqual(CalendarDay.addDays('2026-03-07', 1), '2026-03-08');
+  assert.strictEqual(CalendarDay.addDays('2026-11-01', 1), '2026-11-02');
+  assert.strictEqual(CalendarDay.addDays('2026-10-19', 0), '2026-10-19');
+});
+
+test('diffDays: whole days regardless of DST', () => {
+  const CalendarDay = calendar();
+  assert.strictEqual(CalendarDay.diffDays('2026-03-07', '2026-03-09'), 2);
+  assert.strictEqual(CalendarDay.diffDays('2026-10-31', '2026-11-02'), 2);
+  assert.strictEqual(CalendarDay.diffDays('2026-11-02', '2026-10-31'), -2);
+  assert.strictEqual(CalendarDay.diffDays('2024-02-28', '2024-03-01'), 2);
+  assert.strictEqual(CalendarDay.diffDays('2026-12-31', '2027-01-01'), 1);
+  assert.strictEqual(CalendarDay.diffDays('2026-10-19', '2026-10-19'), 0);
+});
+
+test('weekStart: Sunday or Monday per settings', () => {
+  const sunday = calendar();
+  assert.strictEqual(sunday.weekStart('2026-10-21'), '2026-10-18'); // Wednesday
+  assert.strictEqual(sunday.weekStart('2026-10-18'), '2026-10-18'); // Sunday itself
+  assert.strictEqual(sunday.weekStart('2026-10-17'), '2026-10-11'); // Saturday
+
+  const monday = calendar({ weekStartDay: 1 });
+  assert.strictEqual(monday.weekStart('2026-10-21'), '2026-10-19');
+  assert.strictEqual(monday.weekStart('2026-10-18'), '2026-10-12'); // Sunday ends a Monday week
+  assert.strictEqual(monday.weekStart('2026-03-08'), '2026-03-02'); // Spring-forward Sunday
+  assert.strictEqual(monday.weekStart('2027-01-01'), '2026-12-28'); // Across the new year
+});
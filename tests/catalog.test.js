@@ -0,0 +1,40 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./helpers/browser');
+
+const traits = { creative: 0.8, analytical: 0.2, hands_on: 0.5, solo: 0.9, time_commitment: 0.3 };
+const good = { id: 'origami', name: 'Origami', description: 'Fold paper into shapes.', traits };
+const hostile = {
+  id: "x');alert(1);//",
+  name: '<img src=x onerror=alert(1)>Juggling',
+  description: 'Keep <b>three</b> balls up.',
+  reason: '<script>alert(1)</script>',
+  learn_url: 'javascript:alert(1)',
+  traits
+};
+
+function setup(storage) {
+  return loadScripts(['storage.js', 'calendar.js', 'bookmarks.js', 'catalog.js', 'gamification.js', 'backup.js'], ['SkillCatalog', 'BackupManager'], { storage });
+}
+
+test('stored userSkills are validated before pages see them', () => {
+  const { SkillCatalog } = setup({
+    userSkills: [good, { ...good, name: 'Origami again' }, { name: 'No traits', description: 'x' }, { ...hostile, learn_url: 'https://example.com/juggling' }]
+  });
+  const skills = SkillCatalog.getUserSkills();
+  assert.deepStrictEqual(Array.from(skills, s => s.id), ['origami', 'juggling']);
+  const juggling = skills[1];
+  assert.strictEqual(juggling.name, 'Juggling');
+  assert.strictEqual(juggling.description, 'Keep three balls up.');
+  assert.ok(!/[<>]/.test(juggling.reason));
+  assert.strictEqual(juggling._source, 'user');
+});
+
+test('restored backups drop invalid imported skills and clean the rest', () => {
+  const { BackupManager } = setup();
+  const file = { app: 'spendsometime', backupVersion: 1, schemaVersion: 5, data: { userSkills: [good, hostile, 'not a skill'] } };
+  const { ok, errors, backup } = BackupManager.parse(JSON.stringify(file));
+  assert.ok(ok);
+  assert.deepStrictEqual(Array.from(backup.data.userSkills, s => s.id), ['origami']);
+  assert.ok(errors.some(e => e.includes('2 invalid imported skills')), errors.join(' '));
+});
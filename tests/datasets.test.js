@@ -0,0 +1,187 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const DatasetTools = require('../tools/datasets');
+
+const skillsSchema = DatasetTools.loadSchema('skills.schema.json');
+
+function skill(name, overrides = {}) {
+  const traits = { creative: 0.9, analytical: 0.3, hands_on: 0.5, solo: 0.7, time_commitment: 0.1 };
+  return {
+    id: DatasetTools.slug(name),
+    name,
+    description: `About ${name}.`,
+    reason: 'It fits.',
+    learn_url: 'https://example.com/learn',
+    traits,
+    tags: ['creative-high', 'analytical-low', 'hands_on-medium', 'solo-high', 'time_commitment-low'],
+    ...overrides
+  };
+}
+
+function quickSkill(name, overrides = {}) {
+  return {
+    id: DatasetTools.slug(name),
+    name,
+    description: `About ${name}.`,
+    reason: 'It is odd.',
+    learn_url: 'https://example.com/odd',
+    traits: { weirdness: 0.8, time: 0.2, type: 0.5, structure: 0.4, energy: 0.3, impressiveness: 0.9 },
+    tags: ['time-low', 'type-medium', 'structure-medium', 'energy-low', 'impressiveness-high'],
+    ...overrides
+  };
+}
+
+const theme = { id: 'default', name: 'Default', description: 'Plain', xpCost: 0, isPremium: false, cssVariables: { bg: '#fff', text: '#111' }, background: '#fff' };
+
+// A repo-shaped folder with the three datasets and a stylesheet that reads the theme variables
+function fixture(t, { skills, weird = [quickSkill('Juggle Eggs')], themes = [theme], raw = {} }) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sst-datasets-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const files = { 'skills.json': skills, 'weird.json': weird, 'themes.json': themes };
+  Object.entries(files).forEach(([file, data]) => fs.writeFileSync(path.join(dir, file), raw[file] ?? JSON.stringify(data, null, 2)));
+  fs.writeFileSync(path.join(dir, 'styles.css'), ':root { --bg: #fff; --text: #111; }\nbody { background: var(--bg); color: var(--text); }\n');
+  const previous = DatasetTools.root;
+  DatasetTools.root = dir;
+  t.after(() => { DatasetTools.root = previous; });
+  return dir;
+}
+
+test('validate: a well-formed entry passes the skills schema', () => {
+  assert.deepStrictEqual(DatasetTools.validate([skill('Origami')], skillsSchema), []);
+});
+
+test('validate: reports missing, mistyped, out-of-range and unexpected fields', () => {
+  const { reason, ...noReason } = skill('Origami');
+  const errors = DatasetTools.validate([
+    noReason,
+    skill('Knitting', { id: 'Knitting!', learn_url: 'ftp://example.com', extra: true }),
+    skill('Chess', { traits: { ...skill('Chess').traits, solo: 1.5 }, tags: ['solo-high', 'solo-high'] }),
+    'not an entry'
+  ], skillsSchema);
+
+  assert.ok(errors.includes('[0]: missing "reason"'), errors.join('\n'));
+  assert.ok(errors.some(e => e.startsWith('[1].id: "Knitting!" doesn\'t match')));
+  assert.ok(errors.includes('[1].learn_url: "ftp://example.com" is not a valid http(s) URL'));
+  assert.ok(errors.includes('[1]: unexpected property "extra"'));
+  assert.ok(errors.includes('[2].traits.solo: 1.5 is above 1'));
+  assert.ok(errors.includes('[2].tags: duplicate item "solo-high"'));
+  assert.ok(errors.includes('[3]: expected object, got string'));
+  assert.deepStrictEqual(DatasetTools.validate([], skillsSchema), ['(root): needs at least 1 item(s)']);
+});
+
+test('tagsFor: levels split at 0.4 and 0.7, missing traits are skipped', () => {
+  const tagTraits = DatasetTools.datasets.skills.tagTraits;
+  assert.deepStrictEqual(DatasetTools.tagsFor({ traits: { creative: 0.39, analytical: 0.4, hands_on: 0.69, solo: 0.7 } }, tagTraits),
+    ['creative-low', 'analytical-medium', 'hands_on-medium', 'solo-high']);
+  assert.deepStrictEqual(DatasetTools.tagsFor({}, tagTraits), []);
+});
+
+test('regenerateTags: rewrites stale tags in place and keeps the layout', () => {
+  const tagTraits = ['creative', 'solo'];
+  const entries = [
+    { name: 'Fresh', traits: { creative: 0.9, solo: 0.1 }, tags: ['creative-high', 'solo-low'] },
+    { name: 'Stale', traits: { creative: 0.1, solo: 0.9 }, tags: ['creative-high'] },
+    { name: 'Inline', traits: { creative: 0.5, solo: 0.5 }, tags: [] }
+  ];
+  const text = [
+    '[',
+    '  { "name": "Fresh", "tags": ["creative-high", "solo-low"] },',
+    '  {',
+    '    "name": "Stale",',
+    '    "tags": [',
+    '      "creative-high"',
+    '    ]',
+    '  },',
+    '  { "name": "Inline", "tags": [] }',
+    ']'
+  ].join('\r\n');
+
+  const result = DatasetTools.regenerateTags(text, entries, tagTraits);
+  assert.deepStrictEqual(result.changed, ['Stale', 'Inline']);
+  assert.ok(result.text.includes('{ "name": "Fresh", "tags": ["creative-high", "solo-low"] }'));
+  assert.ok(result.text.includes('"tags": [\r\n      "creative-low",\r\n      "solo-high"\r\n    ]'));
+  assert.ok(result.text.includes('"tags": ["creative-medium", "solo-medium"]'));
+  assert.deepStrictEqual(JSON.parse(result.text).map(e => e.tags), [['creative-high', 'solo-low'], ['creative-low', 'solo-high'], ['creative-medium', 'solo-medium']]);
+});
+
+test('regenerateTags: refuses when tags arrays and entries don\'t line up', () => {
+  assert.throws(() => DatasetTools.regenerateTags('[{ "name": "A" }]', [{ name: 'A', traits: {} }], []), /Found 0 tags arrays for 1 entries/);
+});
+
+test('assignIds: slugs names, keeps existing ids and avoids ids in use', () => {
+  const entries = [
+    { id: 'kept', name: 'Already Has One' },
+    { name: 'Café & Crêpes' },
+    { name: 'Origami' },
+    { name: '!!!' }
+  ];
+  const text = `[\n${entries.map(e => `  {\n${e.id ? `    "id": "${e.id}",\n` : ''}    "name": ${JSON.stringify(e.name)}\n  }`).join(',\n')}\n]`;
+  const taken = new Set(['kept', 'origami']);
+
+  const result = DatasetTools.assignIds(text, entries, taken);
+  assert.deepStrictEqual(result.added, ['cafe-and-crepes', 'origami-2', 'skill']);
+  assert.deepStrictEqual(JSON.parse(result.text).map(e => e.id), ['kept', 'cafe-and-crepes', 'origami-2', 'skill']);
+  assert.ok(result.text.includes('    "id": "origami-2",\n    "name": "Origami"'));
+  assert.ok(taken.has('origami-2'));
+  assert.throws(() => DatasetTools.assignIds('[]', [{ name: 'Lost' }], new Set()), /Found 0 "name" keys for 1 entries/);
+});
+
+test('findDuplicates: exact, near and distinct names', () => {
+  const named = ['Juggling', 'juggling ', 'Public Speaking (Virtual)', 'Public Speaking', 'Knitting', 'Knitting Socks Fast', 'Chess']
+    .map(name => ({ dataset: 'skills.json', name }));
+  const { duplicates, near } = DatasetTools.findDuplicates(named);
+  const pairs = list => list.map(([a, b]) => `${a.name}|${b.name}`);
+  assert.deepStrictEqual(pairs(duplicates), ['Juggling|juggling ']);
+  assert.ok(pairs(near).includes('Public Speaking (Virtual)|Public Speaking'));
+  assert.ok(!pairs(near).some(pair => pair.includes('Chess')));
+  assert.ok(!pairs(near).includes('Knitting|Knitting Socks Fast'));
+});
+
+test('check: clean fixtures pass', t => {
+  fixture(t, { skills: [skill('Origami'), skill('Chess')] });
+  assert.deepStrictEqual(DatasetTools.check(), { errors: [], warnings: [] });
+});
+
+test('check: duplicate ids and names across files, stale tags, missing theme variables', t => {
+  fixture(t, {
+    skills: [skill('Origami'), skill('Chess', { tags: ['creative-low'] }), skill('Juggle Eggs', { id: 'juggling-eggs' })],
+    weird: [quickSkill('Origami Cranes', { id: 'origami' }), quickSkill('Juggle Eggs')],
+    themes: [theme, { ...theme, id: 'dark', cssVariables: { bg: '#000' } }, { ...theme }]
+  });
+  const { errors } = DatasetTools.check();
+  assert.ok(errors.includes('Duplicate id "origami": "Origami" (skills.json) and "Origami Cranes" (weird.json)'), errors.join('\n'));
+  assert.ok(errors.includes('Duplicate name: "Juggle Eggs" (skills.json) and "Juggle Eggs" (weird.json)'));
+  assert.ok(errors.some(e => e.startsWith('skills.json [1] "Chess": tags ["creative-low"] don\'t match traits')));
+  assert.ok(errors.includes('themes.json "dark": missing CSS variables text'));
+  assert.ok(errors.includes('themes.json: duplicate id "default"'));
+});
+
+test('check: unreadable files and schema errors are reported, not thrown', t => {
+  fixture(t, { skills: [skill('Origami', { learn_url: 'not a url' })], raw: { 'weird.json': '[{ oops' } });
+  const { errors } = DatasetTools.check();
+  assert.ok(errors.some(e => e.startsWith('weird.json: ')), errors.join('\n'));
+  assert.ok(errors.includes('skills.json [0].learn_url: "not a url" is not a valid http(s) URL'));
+});
+
+test('fix: adds ids, regenerates tags and drops the BOM', t => {
+  const { id, ...noId } = skill('Origami', { tags: ['creative-low'] });
+  const dir = fixture(t, {
+    skills: [noId, skill('Chess')],
+    raw: { 'weird.json': `\uFEFF${JSON.stringify([quickSkill('Chess Boxing', { id: 'chess' })], null, 2)}` }
+  });
+
+  const messages = DatasetTools.fix();
+  assert.deepStrictEqual(messages, [
+    'skills.json: added 1 id(s)',
+    'skills.json: regenerated tags for "Origami"',
+    'weird.json: removed byte order mark'
+  ]);
+  const skills = JSON.parse(fs.readFileSync(path.join(dir, 'skills.json'), 'utf8'));
+  assert.strictEqual(skills[0].id, 'origami');
+  assert.deepStrictEqual(skills[0].tags, skill('Origami').tags);
+  assert.ok(!fs.readFileSync(path.join(dir, 'weird.json'), 'utf8').startsWith('\uFEFF'));
+  assert.deepStrictEqual(DatasetTools.fix(), []);
+});
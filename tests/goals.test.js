@@ -0,0 +1,37 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./helpers/browser');
+
+// Ten minutes practised today against a 30-minute daily goal
+function setup() {
+  const challenges = [{ id: 1, name: 'Guitar', status: 'active', dailyTime: 0, notes: [{ date: new Date().toISOString(), time: 10 }] }];
+  return loadScripts(['storage.js', 'calendar.js', 'gamification.js', 'goals.js'], ['GameSystem', 'GoalManager', 'CalendarDay'], {
+    storage: { challenges, goalSettings: { dailyMinutes: 30, weeklyMinutes: 0, weekdayMinutes: [] } }
+  });
+}
+
+const dailyBonus = (GameSystem, CalendarDay) => GameSystem.hasLedgerKey(GameSystem.getUserData() || {}, `dailyGoal:${CalendarDay.today()}`);
+
+test('lowering the daily goal after some practice does not pay today\'s bonus', () => {
+  const { GameSystem, GoalManager, CalendarDay, store } = setup();
+  GoalManager.setSettings({ ...GoalManager.getSettings(), dailyMinutes: 5 });
+
+  assert.strictEqual(GoalManager.getSettings().dailyMinutes, 5);
+  assert.deepStrictEqual(Array.from(GoalManager.evaluate()), []);
+  assert.ok(!dailyBonus(GameSystem, CalendarDay));
+  assert.ok(!store.has(`goalMet-${CalendarDay.today()}`));
+
+  // A second change the same day still measures against the morning's goal
+  GoalManager.setSettings({ ...GoalManager.getSettings(), dailyMinutes: 1 });
+  assert.strictEqual(GoalManager.payoutSettings(CalendarDay.today()).dailyMinutes, 30);
+});
+
+test('goals in effect since the day started pay out once', () => {
+  const { GameSystem, GoalManager, CalendarDay, store } = setup();
+  store.set('goalSettings', JSON.stringify({ dailyMinutes: 10, weeklyMinutes: 0, weekdayMinutes: [] }));
+
+  const met = GoalManager.evaluate();
+  assert.deepStrictEqual(Array.from(met, m => m.goal.id), ['daily']);
+  assert.ok(dailyBonus(GameSystem, CalendarDay));
+  assert.deepStrictEqual(Array.from(GoalManager.evaluate()), []);
+});
@@ -0,0 +1,68 @@
+/**
+ * Loads the site's browser scripts into a fresh Node vm context for tests:
+ * an in-memory localStorage, a minimal window/document and no network.
+ * Pages are never "ready" (document.readyState is 'loading'), so scripts
+ * that start themselves on DOMContentLoaded stay idle; tests call what they need.
+ *
+ *   const { CalendarDay, store } = loadScripts(['storage.js', 'calendar.js'], ['CalendarDay']);
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ROOT = path.join(__dirname, '..', '..');
+
+/**
+ * @param {Array} files - Script paths relative to the repo root, in page order
+ * @param {Array} names - Top-level globals to hand back (const/let included)
+ * @param {Object} options - { storage: { key: value } } initial localStorage (values stringified)
+ * @returns {Object} The requested globals, plus `store` (the localStorage Map) and `events` (dispatched types)
+ */
+function loadScripts(files, names, { storage = {} } = {}) {
+  const store = new Map(Object.entries(storage).map(([key, value]) => [key, typeof value === 'string' ? value : JSON.stringify(value)]));
+  const events = [];
+  const listeners = {};
+  const eventTarget = prefix => ({
+    addEventListener(type, fn) { (listeners[prefix + type] = listeners[prefix + type] || []).push(fn); },
+    removeEventListener(type, fn) { listeners[prefix + type] = (listeners[prefix + type] || []).filter(f => f !== fn); },
+    dispatchEvent(event) {
+      events.push(event.type);
+      (listeners[prefix + event.type] || []).forEach(fn => fn(event));
+      return true;
+    }
+  });
+
+  const sandbox = {
+    console,
+    setTimeout,
+    clearTimeout,
+    setInterval,
+    clearInterval,
+    URL,
+    CustomEvent: class CustomEvent {
+      constructor(type, init = {}) {
+        this.type = type;
+        this.detail = init.detail;
+      }
+    },
+    localStorage: {
+      getItem: key => (store.has(key) ? store.get(key) : null),
+      setItem: (key, value) => store.set(key, String(value)),
+      removeItem: key => store.delete(key),
+      key: i => [...store.keys()][i] ?? null,
+      get length() { return store.size; }
+    },
+    window: { ...eventTarget('') },
+    document: { readyState: 'loading', getElementById: () => null, querySelector: () => null, querySelectorAll: () => [], ...eventTarget('doc:') },
+    fetch: async () => ({ ok: false, json: async () => [] })
+  };
+  vm.createContext(sandbox);
+
+  const source = files.map(file => fs.readFileSync(path.join(ROOT, file), 'utf8').replace(/^﻿/, '')).join('\n;\n');
+  vm.runInContext(source, sandbox, { filename: files.join('+') });
+  const globals = vm.runInContext(`({ ${names.join(', ')} })`, sandbox);
+  return { ...globals, store, events };
+}
+
+module.exports = { loadScripts, ROOT };
@@ -0,0 +1,116 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./helpers/browser');
+
+function setup() {
+  return loadScripts(['storage.js', 'calendar.js', 'gamification.js', 'backup.js'], ['GameSystem', 'BackupManager']);
+}
+
+// Five quizzes (15 XP each), then a copy of the data as an older backup
+function earnQuizzes(GameSystem, count = 5) {
+  for (let i = 0; i < count; i++) GameSystem.earnXP('completeQuiz', {}, `completeQuiz:run${i}`);
+  return JSON.parse(JSON.stringify(GameSystem.getUserData()));
+}
+
+// Fold every live entry into the checkpoint, as an old or long history would be
+function compactAll(GameSystem) {
+  const userData = GameSystem.getUserData();
+  const retention = GameSystem.ledgerRetentionDays;
+  GameSystem.ledgerRetentionDays = -1;
+  GameSystem.compactLedger(userData);
+  GameSystem.ledgerRetentionDays = retention;
+  GameSystem.saveUserData(userData);
+  return userData;
+}
+
+test('merging an older backup after compaction does not count folded XP twice', () => {
+  const { GameSystem, BackupManager } = setup();
+  const backup = earnQuizzes(GameSystem);
+  const current = compactAll(GameSystem);
+  assert.strictEqual(current.xpHistory.length, 0);
+  assert.strictEqual(current.totalXPEarned, 75);
+
+  const merged = BackupManager.mergeGamification(current, backup);
+  assert.strictEqual(merged.totalXPEarned, 75);
+  assert.strictEqual(merged.totalXP, 75);
+  assert.strictEqual(merged.xpHistory.length, 0);
+
+  // Either direction
+  const reversed = BackupManager.mergeGamification(backup, current);
+  assert.strictEqual(reversed.totalXPEarned, 75);
+});
+
+test('entries the checkpoint does not cover are still merged', () => {
+  const { GameSystem, BackupManager } = setup();
+  earnQuizzes(GameSystem, 2);
+  const current = compactAll(GameSystem);
+  const other = JSON.parse(JSON.stringify(current));
+  GameSystem.postLedgerEntry(other, { key: 'completeQuiz:other-device', kind: 'earn', source: 'completeQuiz', amount: 15 });
+
+  const merged = BackupManager.mergeGamification(current, other);
+  assert.strictEqual(merged.totalXPEarned, 45);
+  assert.deepStrictEqual(Array.from(merged.xpHistory, e => e.key), ['completeQuiz:other-device']);
+});
+
+test('earnXP stays idempotent after the award is compacted', () => {
+  const { GameSystem } = setup();
+  assert.ok(GameSystem.earnXP('completeQuiz', {}, 'completeQuiz:once'));
+  compactAll(GameSystem);
+
+  assert.strictEqual(GameSystem.earnXP('completeQuiz', {}, 'completeQuiz:once'), null);
+  assert.strictEqual(GameSystem.getUserData().totalXPEarned, 15);
+  assert.ok(GameSystem.earnXP('completeQuiz', {}, 'completeQuiz:twice'));
+});
+
+test('checkpoints made before key digests fall back to the time they cover', () => {
+  const { GameSystem } = setup();
+  const checkpoint = { earned: 15, spent: 0, count: 1, bySource: {}, through: '2026-01-10T00:00:00.000Z' };
+  assert.ok(GameSystem.checkpointCovers(checkpoint, { key: 'a', timestamp: '2026-01-09T00:00:00.000Z' }));
+  assert.ok(!GameSystem.checkpointCovers(checkpoint, { key: 'b', timestamp: '2026-01-11T00:00:00.000Z' }));
+
+  // Compacting again keeps the old range as legacyThrough and starts listing keys
+  const userData = { xpHistory: [{ key: 'c', source: 'completeQuiz', amount: 15, timestamp: '2026-01-12T00:00:00.000Z', hash: 'x' }], ledgerCheckpoint: checkpoint };
+  GameSystem.ledgerRetentionDays = -1;
+  GameSystem.compactLedger(userData);
+  assert.strictEqual(userData.ledgerCheckpoint.legacyThrough, '2026-01-10T00:00:00.000Z');
+  assert.ok(GameSystem.checkpointCovers(userData.ledgerCheckpoint, { key: 'c' }));
+  assert.ok(GameSystem.checkpointCovers(userData.ledgerCheckpoint, { key: 'a', timestamp: '2026-01-09T00:00:00.000Z' }));
+  assert.ok(!GameSystem.checkpointCovers(userData.ledgerCheckpoint, { key: 'd', timestamp: '2026-01-11T00:00:00.000Z' }));
+});
+
+test('compacted history from two devices is added up when it does not overlap', () => {
+  const laptop = setup();
+  const phone = setup();
+  for (let i = 0; i < 2; i++) laptop.GameSystem.earnXP('completeQuiz', {}, `completeQuiz:laptop${i}`);
+  for (let i = 0; i < 3; i++) phone.GameSystem.earnXP('completeQuiz', {}, `completeQuiz:phone${i}`);
+  const mine = compactAll(laptop.GameSystem);
+  const theirs = JSON.parse(JSON.stringify(compactAll(phone.GameSystem)));
+
+  const merged = laptop.BackupManager.mergeGamification(mine, theirs);
+  assert.strictEqual(merged.totalXPEarned, 75);
+  assert.strictEqual(merged.ledgerCheckpoint.count, 5);
+  assert.strictEqual(merged.ledgerCheckpoint.bySource.completeQuiz, 75);
+  // Merging the same backup again changes nothing
+  assert.strictEqual(laptop.BackupManager.mergeGamification(merged, theirs).totalXPEarned, 75);
+  assert.deepStrictEqual(Array.from(laptop.BackupManager.preview({ data: { gamificationData: theirs } }).warnings), []);
+});
+
+test('partly overlapping compacted history keeps the larger side and warns in the preview', () => {
+  const { GameSystem, BackupManager } = setup();
+  const shared = earnQuizzes(GameSystem, 2);
+  GameSystem.earnXP('completeQuiz', {}, 'completeQuiz:laptop');
+  compactAll(GameSystem);
+
+  // The other device continued from the same start and compacted its own history
+  const phone = setup();
+  phone.GameSystem.saveUserData(shared);
+  phone.GameSystem.earnXP('completeQuiz', {}, 'completeQuiz:phone1');
+  phone.GameSystem.earnXP('completeQuiz', {}, 'completeQuiz:phone2');
+  const theirs = JSON.parse(JSON.stringify(compactAll(phone.GameSystem)));
+
+  const { exact, lost } = BackupManager.mergeCheckpoints(GameSystem.getUserData().ledgerCheckpoint, theirs.ledgerCheckpoint);
+  assert.deepStrictEqual([exact, lost], [false, 45]);
+  const { warnings } = BackupManager.preview({ data: { gamificationData: theirs } });
+  assert.strictEqual(warnings.length, 1);
+  assert.match(warnings[0], /up to 45 XP/);
+});
@@ -0,0 +1,68 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./helpers/browser');
+
+function setup() {
+  const loaded = loadScripts(['storage.js', 'calendar.js', 'gamification.js'], ['GameSystem', 'CalendarDay']);
+  const { GameSystem, CalendarDay } = loaded;
+  const today = CalendarDay.today();
+  const dayBeforeYesterday = CalendarDay.addDays(today, -2);
+
+  // Streak of 7 up to two days ago, one freeze owned: yesterday was missed
+  const userData = GameSystem.createUserData();
+  Object.assign(userData, {
+    currentStreak: 7,
+    longestStreak: 7,
+    streakFreezes: 1,
+    lastActivityDate: CalendarDay.zonedTime(dayBeforeYesterday, 12, 0).toISOString()
+  });
+  GameSystem.saveUserData(userData);
+  return { ...loaded, today, dayBeforeYesterday };
+}
+
+test('one freeze covers a missed day for the challenge and the global streak', () => {
+  const { GameSystem, CalendarDay, today, dayBeforeYesterday } = setup();
+
+  // challenges.html advances the challenge streak first, then logs XP
+  const userData = GameSystem.getUserData();
+  const challenge = GameSystem.advanceStreak(userData, 7, dayBeforeYesterday, 'challenge:1');
+  GameSystem.saveUserData(userData);
+  assert.deepStrictEqual([challenge.streak, challenge.frozen, challenge.covered, challenge.broken], [8, 1, 0, null]);
+
+  assert.ok(GameSystem.earnXP('completeQuiz', {}, 'completeQuiz:after-gap'));
+  const after = GameSystem.getUserData();
+  assert.strictEqual(after.currentStreak, 8);
+  assert.strictEqual(after.brokenStreak, null);
+  assert.strictEqual(after.streakFreezes, 0);
+
+  // The day is recorded once, so achievements count one freeze
+  const freezes = after.freezeHistory.filter(use => use.type === 'freeze');
+  assert.deepStrictEqual(Array.from(freezes, use => [use.scope, use.day]), [['challenge:1', CalendarDay.addDays(today, -1)]]);
+});
+
+test('other scopes reuse the frozen day for free', () => {
+  const { GameSystem, dayBeforeYesterday } = setup();
+  const userData = GameSystem.getUserData();
+  GameSystem.advanceStreak(userData, 7, dayBeforeYesterday, 'global');
+
+  const second = GameSystem.advanceStreak(userData, 3, dayBeforeYesterday, 'challenge:2');
+  assert.deepStrictEqual([second.streak, second.frozen, second.covered], [4, 0, 1]);
+  assert.strictEqual(userData.freezeHistory.length, 1);
+});
+
+test('a longer gap pays only for the days not frozen yet', () => {
+  const { GameSystem, CalendarDay, today, dayBeforeYesterday } = setup();
+  const userData = GameSystem.getUserData();
+  GameSystem.advanceStreak(userData, 7, dayBeforeYesterday, 'global');
+  const threeDaysAgo = CalendarDay.addDays(today, -3);
+
+  // Yesterday is frozen, the day before isn't and no freezes are left
+  const broken = GameSystem.advanceStreak(userData, 5, threeDaysAgo, 'challenge:3');
+  assert.strictEqual(broken.streak, 1);
+  assert.deepStrictEqual([broken.broken.missed, broken.broken.scope], [2, 'challenge:3']);
+
+  userData.streakFreezes = 1;
+  const kept = GameSystem.advanceStreak(userData, 5, threeDaysAgo, 'challenge:3');
+  assert.deepStrictEqual([kept.streak, kept.frozen, kept.covered], [6, 1, 1]);
+  assert.strictEqual(userData.streakFreezes, 0);
+});
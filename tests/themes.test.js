@@ -0,0 +1,45 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./helpers/browser');
+
+const colors = { bg: '#ffffff', panel: '#f8fafc', border: '#e5e7eb', accent: '#2563eb', accent2: '#0ea5e9', text: '#111827', muted: '#6b7280', notify: '#2563eb', notifyHover: '#1d4ed8' };
+
+function setup(customThemes) {
+  return loadScripts(['storage.js', 'calendar.js', 'gamification.js', 'theme-builder.js'], ['ThemeManager', 'ThemeBuilder'], {
+    storage: customThemes ? { customThemes } : {}
+  });
+}
+
+test('custom theme ids are slugs, so they are safe in markup', () => {
+  const { ThemeManager } = setup();
+  assert.ok(ThemeManager.isCustom('custom-abc123'));
+  assert.ok(!ThemeManager.isCustom('custom-"><img src=x onerror=alert(1)>'));
+  assert.ok(!ThemeManager.isCustom("custom-a');alert(1);//"));
+  assert.ok(!ThemeManager.isCustom('ocean'));
+  assert.ok(!ThemeManager.isCustom(null));
+});
+
+test('stored themes with unsafe ids are dropped', () => {
+  const theme = { name: 'Mine', description: '', cssVariables: colors, background: '#ffffff' };
+  const { ThemeManager } = setup([{ ...theme, id: 'custom-ok1' }, { ...theme, id: 'custom-"><b>x</b>' }]);
+  assert.deepStrictEqual(Array.from(ThemeManager.getCustomThemes(), t => t.id), ['custom-ok1']);
+});
+
+test('imported themes get a fresh well-formed id', () => {
+  const { ThemeManager, ThemeBuilder } = setup();
+  const file = { app: 'spendsometime', kind: 'theme', version: 1, theme: { id: 'custom-"><b>x</b>', name: 'Shared', cssVariables: colors, background: '#ffffff' } };
+  const result = ThemeBuilder.parse(JSON.stringify(file));
+  assert.ok(result.ok, result.errors.join(', '));
+  assert.ok(ThemeManager.isCustom(result.theme.id));
+  assert.notStrictEqual(result.theme.id, file.theme.id);
+  // A hand-edited id is replaced the same way
+  assert.ok(ThemeManager.isCustom(ThemeBuilder.validate({ ...file.theme, id: 'custom-<x>' }).theme.id));
+});
+
+test('only custom themes that exist count as unlocked', () => {
+  const theme = { id: 'custom-mine', name: 'Mine', description: '', cssVariables: colors, background: '#ffffff' };
+  const { GameSystem } = loadScripts(['storage.js', 'calendar.js', 'gamification.js'], ['GameSystem'], { storage: { customThemes: [theme] } });
+  assert.ok(GameSystem.isThemeUnlocked('custom-mine'));
+  assert.ok(!GameSystem.isThemeUnlocked('custom-someone-else'));
+  assert.ok(!GameSystem.setActiveTheme('custom-someone-else'));
+});
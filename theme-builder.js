@@ -0,0 +1,238 @@
+/**
+ * SpendSomeTime Theme Builder
+ * Colour maths and file handling for user-made themes on xp-theme.html:
+ * hex parsing, WCAG 2 contrast checks for the colour pairs the pages
+ * actually draw, validation, and theme file import/export. Built themes are
+ * stored by ThemeManager (customThemes) and are free to use.
+ *
+ * Theme file: { app: 'spendsometime', kind: 'theme', version: 1, exportedAt, theme }
+ *
+ * Load this with defer, after gamification.js.
+ */
+
+const ThemeBuilder = {
+  APP_ID: 'spendsometime',
+  FILE_KIND: 'theme',
+  FILE_VERSION: 1,
+  NAME_MAX: 30,
+  DESCRIPTION_MAX: 80,
+
+  // Every theme sets these (same as themes.json); labels are for the editor
+  variables: {
+    bg: 'Page background',
+    panel: 'Panels',
+    border: 'Borders',
+    accent: 'Accent',
+    accent2: 'Second accent',
+    text: 'Text',
+    muted: 'Muted text',
+    notify: 'Notifications',
+    notifyHover: 'Notification hover'
+  },
+
+  // Text/background pairs the pages draw; `large` pairs are headings and
+  // highlights, which WCAG lets pass at 3:1 instead of 4.5:1
+  contrastPairs: [
+    { fg: 'text', bg: 'bg', label: 'Text on page' },
+    { fg: 'text', bg: 'panel', label: 'Text on panels' },
+    { fg: 'muted', bg: 'panel', label: 'Muted text on panels' },
+    { fg: 'accent2', bg: 'panel', label: 'Headings on panels', large: true },
+    { fg: 'accent', bg: 'panel', label: 'Accent on panels', large: true }
+  ],
+
+  /**
+   * @param {string} hex - #rgb, #rrggbb or #rrggbbaa
+   * @returns {Object|null} { r, g, b (0-255), a (0-1) }
+   */
+  parseColor(hex) {
+    if (!ThemeManager.COLOR_PATTERN.test(hex || '')) return null;
+    let digits = hex.slice(1);
+    if (digits.length === 3) digits = digits.split('').map(d => d + d).join('');
+    const channel = i => parseInt(digits.slice(i, i + 2), 16);
+    return { r: channel(0), g: channel(2), b: channel(4), a: digits.length === 8 ? channel(6) / 255 : 1 };
+  },
+
+  /**
+   * @param {string} hex - Any theme colour
+   * @returns {string} Its #rrggbb part (what <input type="color"> accepts)
+   */
+  toInputColor(hex) {
+    const color = this.parseColor(hex);
+    if (!color) return '#000000';
+    return `#${[color.r, color.g, color.b].map(c => c.toString(16).padStart(2, '0')).join('')}`;
+  },
+
+  /**
+   * Lay a (possibly translucent) colour over an opaque one
+   * @param {Object} top - Parsed colour
+   * @param {Object} under - Parsed opaque colour
+   * @returns {Object} Opaque parsed colour
+   */
+  blend(top, under) {
+    const mix = key => Math.round(top[key] * top.a + under[key] * (1 - top.a));
+    return { r: mix('r'), g: mix('g'), b: mix('b'), a: 1 };
+  },
+
+  /**
+   * WCAG 2 relative luminance
+   * @param {Object} color - Parsed opaque colour
+   * @returns {number} 0 (black) to 1 (white)
+   */
+  luminance({ r, g, b }) {
+    const linear = c => {
+      const s = c / 255;
+      return s <= 0.03928 ? s / 12.92 : ((s + 0.055) / 1.055) ** 2.4;
+    };
+    return 0.2126 * linear(r) + 0.7152 * linear(g) + 0.0722 * linear(b);
+  },
+
+  /**
+   * @param {Object} fg - Parsed opaque colour
+   * @param {Object} bg - Parsed opaque colour
+   * @returns {number} Contrast ratio, 1 to 21 (two decimals)
+   */
+  contrastRatio(fg, bg) {
+    const [light, dark] = [this.luminance(fg), this.luminance(bg)].sort((a, b) => b - a);
+    return Math.round(((light + 0.05) / (dark + 0.05)) * 100) / 100;
+  },
+
+  /**
+   * @param {number} ratio - Contrast ratio
+   * @param {boolean} large - Large text (3:1 is enough for AA)
+   * @returns {string} 'AAA', 'AA', 'AA large' or 'fail'
+   */
+  rate(ratio, large = false) {
+    if (ratio >= (large ? 4.5 : 7)) return 'AAA';
+    if (ratio >= (large ? 3 : 4.5)) return large ? 'AA large' : 'AA';
+    return 'fail';
+  },
+
+  /**
+   * Check every pair in contrastPairs
+   * Translucent colours are blended down to what is drawn: panels over the
+   * page background, text over the (blended) surface it sits on.
+   * @param {Object} vars - cssVariables
+   * @returns {Array} { label, fg, bg, ratio, level, pass } per pair
+   */
+  checkContrast(vars) {
+    const page = this.parseColor(vars.bg);
+    if (!page) return [];
+    const base = this.blend(page, { r: 255, g: 255, b: 255, a: 1 });
+    const surface = key => {
+      const color = this.parseColor(vars[key]);
+      return color && (key === 'bg' ? base : this.blend(color, base));
+    };
+    return this.contrastPairs.map(pair => {
+      const under = surface(pair.bg);
+      const top = this.parseColor(vars[pair.fg]);
+      if (!under || !top) return { ...pair, ratio: null, level: 'fail', pass: false };
+      const ratio = this.contrastRatio(this.blend(top, under), under);
+      const level = this.rate(ratio, pair.large);
+      return { ...pair, ratio, level, pass: level !== 'fail' };
+    });
+  },
+
+  /**
+   * @param {Array} colors - 1 to 3 hex colours (one is a plain background)
+   * @param {number} angle - Gradient angle in degrees
+   * @returns {string} CSS background value
+   */
+  background(colors, angle = 135) {
+    if (colors.length < 2) return colors[0];
+    const deg = ((Math.round(Number(angle)) % 360) + 360) % 360;
+    return `linear-gradient(${deg}deg, ${colors.join(', ')})`;
+  },
+
+  /**
+   * Read a background back into editor fields
+   * @param {string} background - CSS background value from a theme
+   * @returns {Object} { colors, angle }
+   */
+  parseBackground(background) {
+    const colors = String(background || '').match(/#[0-9a-f]{3,8}\b/gi) || ['#ffffff'];
+    const angle = /(\d{1,3})deg/.exec(background || '');
+    return { colors: colors.slice(0, 3), angle: angle ? Number(angle[1]) : 135 };
+  },
+
+  /**
+   * @returns {string} A new custom theme id
+   */
+  newId() {
+    return `${ThemeManager.CUSTOM_PREFIX}${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+  },
+
+  /**
+   * Check a theme before it's saved or imported
+   * @param {Object} theme - { id, name, description, cssVariables, background }
+   * @returns {Object} { ok, errors, theme } (theme is trimmed to the stored fields)
+   */
+  validate(theme) {
+    const errors = [];
+    if (!theme || typeof theme !== 'object') return { ok: false, errors: ['Theme is missing'], theme: null };
+
+    const name = String(theme.name || '').trim().slice(0, this.NAME_MAX);
+    if (!name) errors.push('Give the theme a name');
+    const vars = theme.cssVariables && typeof theme.cssVariables === 'object' ? theme.cssVariables : {};
+    const cssVariables = {};
+    Object.entries(this.variables).forEach(([key, label]) => {
+      if (ThemeManager.COLOR_PATTERN.test(vars[key] || '')) cssVariables[key] = vars[key];
+      else errors.push(`${label} must be a hex colour like #1a2b3c`);
+    });
+    if (!ThemeManager.BACKGROUND_PATTERN.test(theme.background || '')) {
+      errors.push('Background must be a hex colour or a linear-gradient of 2-3 hex colours');
+    }
+
+    const clean = {
+      id: ThemeManager.isCustom(theme.id) ? theme.id : this.newId(),
+      name,
+      description: String(theme.description || '').trim().slice(0, this.DESCRIPTION_MAX),
+      cssVariables,
+      background: theme.background
+    };
+    return { ok: errors.length === 0, errors, theme: errors.length ? null : clean };
+  },
+
+  /**
+   * Download a theme as a file others can import
+   * @param {Object} theme - Any theme (built-in or custom)
+   */
+  download(theme) {
+    const { name, description, cssVariables, background } = theme;
+    const file = {
+      app: this.APP_ID,
+      kind: this.FILE_KIND,
+      version: this.FILE_VERSION,
+      exportedAt: new Date().toISOString(),
+      theme: { name, description, cssVariables, background }
+    };
+    const blob = new Blob([JSON.stringify(file, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `spendsometime-theme-${name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'custom'}.json`;
+    a.click();
+    URL.revokeObjectURL(url);
+  },
+
+  /**
+   * Parse and validate a theme file's text
+   * Imported themes always get a new id, so they never replace one you made.
+   * @param {string} text - File contents
+   * @returns {Object} { ok, errors, theme }
+   */
+  parse(text) {
+    let file;
+    try {
+      file = JSON.parse(text);
+    } catch (e) {
+      return { ok: false, errors: ['File is not valid JSON'], theme: null };
+    }
+    if (!file || file.app !== this.APP_ID || file.kind !== this.FILE_KIND) {
+      return { ok: false, errors: ['Not a SpendSomeTime theme file'], theme: null };
+    }
+    if (!Number.isInteger(file.version) || file.version > this.FILE_VERSION) {
+      return { ok: false, errors: [`Unsupported theme file version: ${file.version}`], theme: null };
+    }
+    return this.validate({ ...file.theme, id: null });
+  }
+};
@@ -0,0 +1,491 @@
+#!/usr/bin/env node
+/**
+ * SpendSomeTime Dataset Tools
+ * Offline checks for the hand-edited datasets (skills.json, weird.json,
+ * themes.json): JSON Schema validation (tools/schemas), tags that match
+ * traits, unique ids, unique and near-duplicate names, well-formed URLs and
+ * complete theme variables. No dependencies and no network access.
+ *
+ * Usage (from the repo root):
+ *   node tools/datasets.js            Run every check; exits 1 on errors
+ *   node tools/datasets.js names      List duplicate and near-duplicate names
+ *   node tools/datasets.js fix        Add missing ids, regenerate tags from traits and drop BOMs, in place
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.resolve(__dirname, '..');
+const SCHEMA_DIR = path.join(__dirname, 'schemas');
+const BOM = '\uFEFF';
+
+const DatasetTools = {
+  root: ROOT, // Where the datasets are read and fixed (tests point this at fixtures)
+
+  datasets: {
+    skills: { file: 'skills.json', schema: 'skills.schema.json', tagTraits: ['creative', 'analytical', 'hands_on', 'solo', 'time_commitment'] },
+    weird: { file: 'weird.json', schema: 'weird.schema.json', tagTraits: ['time', 'type', 'structure', 'energy', 'impressiveness'] },
+    themes: { file: 'themes.json', schema: 'themes.schema.json' }
+  },
+
+  // Tag levels: below low is "-low", below medium is "-medium", the rest "-high"
+  tagLevels: { low: 0.4, medium: 0.7 },
+
+  // Names this close (0-1) after normalizing are reported as near-duplicates
+  nearDuplicate: { editRatio: 0.85, tokenOverlap: 0.75 },
+
+  // ---- Loading ----
+
+  /**
+   * @param {string} file - File name relative to the repo root
+   * @returns {Object} { text, data, bom }
+   */
+  read(file) {
+    const raw = fs.readFileSync(path.join(this.root, file), 'utf8');
+    const bom = raw.startsWith(BOM);
+    const text = bom ? raw.slice(1) : raw;
+    return { text, data: JSON.parse(text), bom };
+  },
+
+  /**
+   * @param {string} name - Schema file in tools/schemas
+   * @returns {Object} Parsed schema
+   */
+  loadSchema(name) {
+    return JSON.parse(fs.readFileSync(path.join(SCHEMA_DIR, name), 'utf8'));
+  },
+
+  // ---- JSON Schema (the subset the dataset schemas use) ----
+
+  /**
+   * Validate a value against a schema
+   * Supports type, enum, required, properties, additionalProperties,
+   * propertyNames, items, min/maxItems, uniqueItems, minimum, maximum,
+   * min/maxLength, pattern, format "uri", and $ref to "#/$defs/..." or a
+   * sibling schema file.
+   * @param {*} value - Data to check
+   * @param {Object} schema - Schema node
+   * @param {Object} root - Schema the node belongs to (for local $refs)
+   * @param {string} at - JSON pointer-ish location for messages
+   * @returns {Array} Error messages
+   */
+  validate(value, schema, root = schema, at = '') {
+    if (schema.$ref) {
+      if (schema.$ref.startsWith('#/$defs/')) {
+        return this.validate(value, root.$defs[schema.$ref.slice(8)], root, at);
+      }
+      const external = this.loadSchema(schema.$ref);
+      return this.validate(value, external, external, at);
+    }
+
+    const errors = [];
+    const where = at || '(root)';
+    const actual = Array.isArray(value) ? 'array'
+      : value === null ? 'null'
+      : Number.isInteger(value) ? 'integer'
+      : typeof value;
+
+    if (schema.type) {
+      const ok = schema.type === actual || (schema.type === 'number' && actual === 'integer');
+      if (!ok) return [`${where}: expected ${schema.type}, got ${actual}`];
+    }
+    if (schema.enum && !schema.enum.includes(value)) errors.push(`${where}: must be one of ${schema.enum.join(', ')}`);
+
+    if (actual === 'string') {
+      if (schema.minLength !== undefined && value.trim().length < schema.minLength) errors.push(`${where}: must not be empty`);
+      if (schema.maxLength !== undefined && value.length > schema.maxLength) errors.push(`${where}: longer than ${schema.maxLength} characters`);
+      if (schema.pattern && !new RegExp(schema.pattern).test(value)) errors.push(`${where}: "${value}" doesn't match ${schema.pattern}`);
+      if (schema.format === 'uri' && !this.isWebUrl(value)) errors.push(`${where}: "${value}" is not a valid http(s) URL`);
+    }
+
+    if (actual === 'number' || actual === 'integer') {
+      if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${where}: ${value} is below ${schema.minimum}`);
+      if (schema.maximum !== undefined && value > schema.maximum) errors.push(`${where}: ${value} is above ${schema.maximum}`);
+    }
+
+    if (actual === 'array') {
+      if (schema.minItems !== undefined && value.length < schema.minItems) errors.push(`${where}: needs at least ${schema.minItems} item(s)`);
+      if (schema.maxItems !== undefined && value.length > schema.maxItems) errors.push(`${where}: allows at most ${schema.maxItems} items`);
+      if (schema.uniqueItems) {
+        const seen = new Set();
+        value.forEach(item => {
+          const key = JSON.stringify(item);
+          if (seen.has(key)) errors.push(`${where}: duplicate item ${key}`);
+          seen.add(key);
+        });
+      }
+      if (schema.items) value.forEach((item, i) => errors.push(...this.validate(item, schema.items, root, `${at}[${i}]`)));
+    }
+
+    if (actual === 'object') {
+      (schema.required || []).forEach(key => {
+        if (!(key in value)) errors.push(`${where}: missing "${key}"`);
+      });
+      Object.entries(value).forEach(([key, child]) => {
+        const childAt = `${at}.${key}`;
+        if (schema.propertyNames) errors.push(...this.validate(key, { type: 'string', ...schema.propertyNames }, root, `${childAt} (name)`));
+        if (schema.properties && schema.properties[key]) {
+          errors.push(...this.validate(child, schema.properties[key], root, childAt));
+        } else if (schema.additionalProperties === false) {
+          errors.push(`${where}: unexpected property "${key}"`);
+        } else if (typeof schema.additionalProperties === 'object') {
+          errors.push(...this.validate(child, schema.additionalProperties, root, childAt));
+        }
+      });
+    }
+    return errors;
+  },
+
+  /**
+   * @param {string} value - Candidate URL
+   * @returns {boolean} True for an absolute http(s) URL without spaces
+   */
+  isWebUrl(value) {
+    if (/\s/.test(value)) return false;
+    try {
+      const url = new URL(value);
+      return (url.protocol === 'https:' || url.protocol === 'http:') && Boolean(url.hostname);
+    } catch (err) {
+      return false;
+    }
+  },
+
+  // ---- Tags ----
+
+  /**
+   * @param {number} value - Trait level 0-1
+   * @returns {string} 'low', 'medium' or 'high'
+   */
+  level(value) {
+    if (value < this.tagLevels.low) return 'low';
+    if (value < this.tagLevels.medium) return 'medium';
+    return 'high';
+  },
+
+  /**
+   * Tags an entry should have, derived from its traits
+   * @param {Object} entry - Dataset entry
+   * @param {Array} tagTraits - Traits that get a tag, in order
+   * @returns {Array} e.g. ['creative-high', 'solo-medium']
+   */
+  tagsFor(entry, tagTraits) {
+    return tagTraits
+      .filter(trait => typeof entry.traits?.[trait] === 'number')
+      .map(trait => `${trait}-${this.level(entry.traits[trait])}`);
+  },
+
+  /**
+   * Rewrite each entry's tags array in place, keeping the file's layout
+   * Entries are matched to "tags" arrays in order (one per entry).
+   * @param {string} text - File contents (no BOM)
+   * @param {Array} entries - Parsed entries
+   * @param {Array} tagTraits - Traits that get a tag
+   * @returns {Object} { text, changed } changed = entry names that were updated
+   */
+  regenerateTags(text, entries, tagTraits) {
+    const changed = [];
+    let index = 0;
+    const result = text.replace(/("tags"\s*:\s*)\[([^\]]*)\]/g, (match, key, inner) => {
+      const entry = entries[index++];
+      const tags = this.tagsFor(entry, tagTraits);
+      if (JSON.stringify(tags) === JSON.stringify(entry.tags)) return match;
+      changed.push(entry.name);
+
+      // Reuse the existing item and closing-bracket indentation
+      const itemIndent = (inner.match(/(\r?\n)([ \t]*)"/) || [])[2];
+      const closeIndent = (inner.match(/(\r?\n)([ \t]*)$/) || [])[2];
+      const eol = inner.includes('\r\n') ? '\r\n' : '\n';
+      if (itemIndent === undefined) return `${key}[${tags.map(t => JSON.stringify(t)).join(', ')}]`;
+      return `${key}[${eol}${tags.map(t => itemIndent + JSON.stringify(t)).join(`,${eol}`)}${eol}${closeIndent || ''}]`;
+    });
+    if (index !== entries.length) throw new Error(`Found ${index} tags arrays for ${entries.length} entries`);
+    return { text: result, changed };
+  },
+
+  // ---- Ids ----
+
+  /**
+   * Id for a new entry: its name as a slug
+   * Must match BookmarkManager.slug() (bookmarks.js), which maps bookmarks
+   * saved by name before ids existed.
+   * @param {string} name - Skill name
+   * @returns {string} e.g. 'public-speaking-virtual'
+   */
+  slug(name) {
+    return String(name).toLowerCase()
+      .normalize('NFKD').replace(/[\u0300-\u036f]/g, '')
+      .replace(/&/g, ' and ')
+      .replace(/[^a-z0-9]+/g, '-')
+      .replace(/^-+|-+$/g, '');
+  },
+
+  /**
+   * Give entries without an id one derived from their name
+   * Inserts an "id" line above each such entry's "name", matching its indentation.
+   * Existing ids are never changed: they must stay stable when a skill is renamed.
+   * @param {string} text - File contents (no BOM)
+   * @param {Array} entries - Parsed entries
+   * @param {Set} taken - Ids already in use (updated)
+   * @returns {Object} { text, added } added = ids that were assigned
+   */
+  assignIds(text, entries, taken) {
+    const added = [];
+    let index = 0;
+    const result = text.replace(/^([ \t]*)"name"(\s*:\s*)"/gm, (match, indent, colon) => {
+      const entry = entries[index++];
+      if (!entry || entry.id) return match;
+      const base = this.slug(entry.name) || 'skill';
+      let id = base;
+      for (let n = 2; taken.has(id); n++) id = `${base}-${n}`;
+      taken.add(id);
+      added.push(id);
+      const eol = text.includes('\r\n') ? '\r\n' : '\n';
+      return `${indent}"id"${colon}${JSON.stringify(id)},${eol}${match}`;
+    });
+    if (index !== entries.length) throw new Error(`Found ${index} "name" keys for ${entries.length} entries`);
+    return { text: result, added };
+  },
+
+  // ---- Names ----
+
+  /**
+   * @param {string} name - Skill name
+   * @returns {string} Lowercase words without punctuation or parentheticals
+   */
+  normalizeName(name) {
+    return name.toLowerCase()
+      .replace(/\([^)]*\)/g, ' ')
+      .replace(/&/g, ' and ')
+      .replace(/[^a-z0-9]+/g, ' ')
+      .trim();
+  },
+
+  /**
+   * @param {string} a - Text
+   * @param {string} b - Text
+   * @returns {number} Levenshtein distance
+   */
+  editDistance(a, b) {
+    let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+      const row = [i];
+      for (let j = 1; j <= b.length; j++) {
+        row[j] = Math.min(previous[j] + 1, row[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+      }
+      previous = row;
+    }
+    return previous[b.length];
+  },
+
+  /**
+   * Exact and near-duplicate names across the quiz datasets
+   * Ids come from names, and hand-made challenges are matched to skills by
+   * name, so a name must be unique in both files together.
+   * @param {Array} named - { dataset, name }
+   * @returns {Object} { duplicates, near } each a list of [a, b] pairs
+   */
+  findDuplicates(named) {
+    const duplicates = [];
+    const near = [];
+    const items = named.map(item => {
+      const normalized = this.normalizeName(item.name);
+      return { ...item, normalized, tokens: new Set(normalized.split(' ')) };
+    });
+    for (let i = 0; i < items.length; i++) {
+      for (let j = i + 1; j < items.length; j++) {
+        const a = items[i];
+        const b = items[j];
+        if (a.name.trim().toLowerCase() === b.name.trim().toLowerCase()) {
+          duplicates.push([a, b]);
+          continue;
+        }
+        if (a.normalized === b.normalized) {
+          near.push([a, b]);
+          continue;
+        }
+        const longest = Math.max(a.normalized.length, b.normalized.length);
+        const editRatio = 1 - this.editDistance(a.normalized, b.normalized) / longest;
+        const shared = [...a.tokens].filter(t => b.tokens.has(t)).length;
+        const overlap = shared / new Set([...a.tokens, ...b.tokens]).size;
+        if (editRatio >= this.nearDuplicate.editRatio || (shared >= 2 && overlap >= this.nearDuplicate.tokenOverlap)) {
+          near.push([a, b]);
+        }
+      }
+    }
+    return { duplicates, near };
+  },
+
+  // ---- Themes ----
+
+  /**
+   * Variables every theme must set: the default theme's full set (applyTheme
+   * never clears variables, so a partial theme keeps the previous theme's
+   * values) plus any variable styles.css reads without declaring it
+   * @param {Array} themes - Parsed themes.json
+   * @returns {Object} { required, unused } variable names without "--"
+   */
+  themeContract(themes) {
+    const css = fs.readFileSync(path.join(this.root, 'styles.css'), 'utf8');
+    const declared = new Set([...css.matchAll(/(--[\w-]+)\s*:/g)].map(m => m[1].slice(2)));
+    const readByStyles = [...new Set([...css.matchAll(/var\(\s*--([\w-]+)/g)].map(m => m[1]))]
+      .filter(name => !declared.has(name));
+    const base = themes.find(theme => theme.id === 'default') || themes[0] || {};
+    const required = [...new Set([...Object.keys(base.cssVariables || {}), ...readByStyles])];
+
+    // Variables no page, stylesheet or script reads
+    const sources = fs.readdirSync(this.root)
+      .filter(file => /\.(html|css|js)$/.test(file))
+      .map(file => fs.readFileSync(path.join(this.root, file), 'utf8'))
+      .join('\n');
+    const used = new Set([...sources.matchAll(/var\(\s*--([\w-]+)/g)].map(m => m[1]));
+    const unused = required.filter(name => !used.has(name));
+    return { required, unused };
+  },
+
+  // ---- Runner ----
+
+  /**
+   * Run every check
+   * @returns {Object} { errors, warnings } lists of messages
+   */
+  check() {
+    const errors = [];
+    const warnings = [];
+    const loaded = {};
+
+    Object.entries(this.datasets).forEach(([id, spec]) => {
+      let file;
+      try {
+        file = this.read(spec.file);
+      } catch (err) {
+        errors.push(`${spec.file}: ${err.message}`);
+        return;
+      }
+      loaded[id] = file.data;
+      if (file.bom) warnings.push(`${spec.file}: starts with a byte order mark (run "fix" to remove it)`);
+
+      const schema = this.loadSchema(spec.schema);
+      this.validate(file.data, schema).forEach(message => errors.push(`${spec.file} ${message}`));
+
+      if (spec.tagTraits && Array.isArray(file.data)) {
+        file.data.forEach((entry, i) => {
+          if (!entry || !entry.traits) return;
+          const expected = this.tagsFor(entry, spec.tagTraits);
+          if (JSON.stringify(expected) !== JSON.stringify(entry.tags)) {
+            errors.push(`${spec.file} [${i}] "${entry.name}": tags ${JSON.stringify(entry.tags)} don't match traits, expected ${JSON.stringify(expected)} (run "fix")`);
+          }
+        });
+      }
+    });
+
+    // Bookmarks and challenges refer to quiz skills by id across both files
+    const ids = new Map();
+    ['skills', 'weird'].filter(id => Array.isArray(loaded[id])).forEach(id => {
+      loaded[id].forEach(entry => {
+        if (!entry || typeof entry.id !== 'string') return;
+        const file = this.datasets[id].file;
+        if (ids.has(entry.id)) errors.push(`Duplicate id "${entry.id}": "${ids.get(entry.id).name}" (${ids.get(entry.id).file}) and "${entry.name}" (${file})`);
+        else ids.set(entry.id, { name: entry.name, file });
+      });
+    });
+
+    const named = ['skills', 'weird']
+      .filter(id => Array.isArray(loaded[id]))
+      .flatMap(id => loaded[id].filter(e => e && typeof e.name === 'string').map(e => ({ dataset: this.datasets[id].file, name: e.name })));
+    const { duplicates, near } = this.findDuplicates(named);
+    duplicates.forEach(([a, b]) => errors.push(`Duplicate name: "${a.name}" (${a.dataset}) and "${b.name}" (${b.dataset})`));
+    near.forEach(([a, b]) => warnings.push(`Similar names: "${a.name}" (${a.dataset}) and "${b.name}" (${b.dataset})`));
+
+    if (Array.isArray(loaded.themes)) {
+      const themeIds = new Set();
+      loaded.themes.forEach(theme => {
+        if (themeIds.has(theme.id)) errors.push(`themes.json: duplicate id "${theme.id}"`);
+        themeIds.add(theme.id);
+      });
+      const { required, unused } = this.themeContract(loaded.themes);
+      loaded.themes.forEach(theme => {
+        const missing = required.filter(name => !(name in (theme.cssVariables || {})));
+        if (missing.length) errors.push(`themes.json "${theme.id}": missing CSS variables ${missing.join(', ')}`);
+      });
+      if (unused.length) warnings.push(`themes.json: variables nothing reads: ${unused.join(', ')}`);
+    }
+
+    return { errors, warnings };
+  },
+
+  /**
+   * Add missing ids, regenerate tags and drop byte order marks, keeping line endings
+   * @returns {Array} Messages describing what changed
+   */
+  fix() {
+    const messages = [];
+    const specs = Object.values(this.datasets);
+    const files = specs.map(spec => this.read(spec.file));
+    const taken = new Set();
+    specs.forEach((spec, i) => {
+      if (spec.tagTraits) files[i].data.forEach(entry => entry.id && taken.add(entry.id));
+    });
+
+    specs.forEach((spec, i) => {
+      const file = files[i];
+      let text = file.text;
+      if (spec.tagTraits) {
+        const ids = this.assignIds(text, file.data, taken);
+        text = ids.text;
+        if (ids.added.length) messages.push(`${spec.file}: added ${ids.added.length} id(s)`);
+
+        const result = this.regenerateTags(text, file.data, spec.tagTraits);
+        text = result.text;
+        result.changed.forEach(name => messages.push(`${spec.file}: regenerated tags for "${name}"`));
+      }
+      if (file.bom) messages.push(`${spec.file}: removed byte order mark`);
+      if (text !== file.text || file.bom) fs.writeFileSync(path.join(this.root, spec.file), text, 'utf8');
+    });
+    return messages;
+  }
+};
+
+/**
+ * Command-line entry point
+ * @param {Array} args - Arguments after the script name
+ * @returns {number} Exit code
+ */
+function main(args) {
+  const command = args[0] || 'check';
+
+  if (command === 'fix') {
+    const messages = DatasetTools.fix();
+    messages.forEach(message => console.log(message));
+    if (!messages.length) console.log('Nothing to fix.');
+    return 0;
+  }
+
+  if (command === 'names') {
+    const named = ['skills', 'weird'].flatMap(id => {
+      const spec = DatasetTools.datasets[id];
+      return DatasetTools.read(spec.file).data.map(entry => ({ dataset: spec.file, name: entry.name }));
+    });
+    const { duplicates, near } = DatasetTools.findDuplicates(named);
+    duplicates.forEach(([a, b]) => console.log(`duplicate  "${a.name}" (${a.dataset})  "${b.name}" (${b.dataset})`));
+    near.forEach(([a, b]) => console.log(`similar    "${a.name}" (${a.dataset})  "${b.name}" (${b.dataset})`));
+    console.log(`${duplicates.length} duplicate(s), ${near.length} similar pair(s) among ${named.length} names.`);
+    return duplicates.length ? 1 : 0;
+  }
+
+  if (command !== 'check') {
+    console.error(`Unknown command "${command}". Use check, names or fix.`);
+    return 2;
+  }
+
+  const { errors, warnings } = DatasetTools.check();
+  warnings.forEach(message => console.warn(`warning  ${message}`));
+  errors.forEach(message => console.error(`error    ${message}`));
+  console.log(`${errors.length} error(s), ${warnings.length} warning(s).`);
+  return errors.length ? 1 : 0;
+}
+
+if (require.main === module) {
+  process.exitCode = main(process.argv.slice(2));
+}
+
+module.exports = DatasetTools;
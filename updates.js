@@ -0,0 +1,86 @@
+/**
+ * SpendSomeTime App Updates
+ * Registers the offline service worker (sw.js) on every page and, when a new
+ * version has been downloaded, offers to switch to it. The new worker waits
+ * until the user accepts so a page never runs a mix of old and new files.
+ *
+ * Load this with defer.
+ */
+
+const UpdateManager = {
+  BANNER_ID: 'sst-update-banner',
+  _reloading: false,
+
+  /**
+   * Register sw.js and watch for updates
+   * @returns {Promise<ServiceWorkerRegistration|null>} Registration, or null if unsupported
+   */
+  async register() {
+    if (!('serviceWorker' in navigator)) return null;
+
+    let reg;
+    try {
+      reg = await navigator.serviceWorker.register('sw.js');
+    } catch (err) {
+      console.warn('Service worker registration failed (offline mode unavailable)', err);
+      return null;
+    }
+
+    // A worker may already be waiting from an earlier visit
+    if (reg.waiting && navigator.serviceWorker.controller) this.showPrompt(reg.waiting);
+
+    reg.addEventListener('updatefound', () => {
+      const worker = reg.installing;
+      if (!worker) return;
+      worker.addEventListener('statechange', () => {
+        // No controller means this is the first install, not an update
+        if (worker.state === 'installed' && navigator.serviceWorker.controller) this.showPrompt(worker);
+      });
+    });
+
+    // The new worker took over (here or in another tab): load the new files
+    navigator.serviceWorker.addEventListener('controllerchange', () => {
+      if (this._reloading) return;
+      this._reloading = true;
+      window.location.reload();
+    });
+
+    return reg;
+  },
+
+  /**
+   * Show the "new version available" banner
+   * @param {ServiceWorker} worker - Installed worker waiting to activate
+   */
+  showPrompt(worker) {
+    if (document.getElementById(this.BANNER_ID)) return;
+
+    const banner = document.createElement('div');
+    banner.id = this.BANNER_ID;
+    banner.setAttribute('role', 'status');
+    banner.style.cssText = [
+      'position:fixed', 'left:50%', 'bottom:1.5rem', 'transform:translateX(-50%)', 'z-index:10000',
+      'display:flex', 'align-items:center', 'gap:1rem', 'padding:0.9rem 1.2rem', 'border-radius:12px',
+      'background:var(--panel, #fff)', 'color:var(--text, #1f2937)', 'border:1px solid var(--border, #e5e7eb)',
+      'box-shadow:0 10px 30px rgba(0,0,0,0.2)', 'font-family:inherit', 'font-size:0.95rem'
+    ].join(';');
+    banner.innerHTML = `
+      <span>✨ A new version of SpendSomeTime is available.</span>
+      <button type="button" data-action="reload" style="border:0; border-radius:8px; padding:0.5rem 0.9rem; font-weight:600; cursor:pointer; color:#fff; background:var(--accent2, #58d9ff);">Reload</button>
+      <button type="button" data-action="dismiss" aria-label="Dismiss" style="border:0; background:none; cursor:pointer; font-size:1.1rem; color:inherit;">✕</button>
+    `;
+
+    banner.addEventListener('click', (e) => {
+      const action = e.target.closest('button')?.dataset.action;
+      if (action === 'reload') {
+        // sw.js skips waiting on this message; controllerchange then reloads
+        worker.postMessage({ type: 'SKIP_WAITING' });
+      }
+      if (action) banner.remove();
+    });
+
+    document.body.appendChild(banner);
+  }
+};
+
+UpdateManager.register();